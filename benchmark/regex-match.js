@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Compares the streaming regex transform with the previous approach of buffering the
+ * whole file and replacing each placeholder with a new RegExp. Each approach transforms
+ * the same generated file in its own process, so peak memory can be compared. Run with:
+```
+  $ node benchmark/regex-match.js [--size=<megabytes>]
+```
+ */
+
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileUtil = require('../lib/utils/file-util.js');
+const RegexMatch = require('../lib/transforms/regex-match.js');
+
+const VARS = {NAME: 'benchmark', DESCRIPTION: 'A generated file', VERSION: '1.0.0'};
+
+/**
+ * The transform as it was before streaming, kept for comparison
+ */
+class BufferedRegexMatch {
+  constructor(args) {
+    this.pattern = RegexMatch.getPattern(args);
+    this.vars = args.vars;
+  }
+
+  transform(chunk, encoding, callback) {
+    if (!this.chunks) this.chunks = [];
+    this.chunks.push(chunk);
+    callback();
+  }
+
+  flush(callback) {
+    let str = Buffer.concat(this.chunks || []).toString();
+    let found = [];
+    (str.match(this.pattern) || []).forEach((matchStr) => {
+      let key = RegexMatch.findVar(matchStr, this.vars);
+      if (!found.some((foundMatch) => foundMatch.matchStr === matchStr)) found.push({matchStr, value: this.vars[key]});
+    });
+    found.forEach((foundMatch) => {
+      str = str.replace(new RegExp(foundMatch.matchStr, 'g'), foundMatch.value);
+    });
+    callback(null, Buffer.from(str));
+  }
+}
+
+/**
+ * Writes a large text file, with placeholders spread throughout
+ *
+ * @param {string} filePath Path to write to
+ * @param {number} megabytes Approximate size of the file
+ */
+const writeFixture = (filePath, megabytes) => {
+  let line = 'INSERT INTO projects (name, description, version) VALUES ' +
+    '(\'{{NAME}}\', \'{{DESCRIPTION}}\', \'{{VERSION}}\'); -- padding to make the line longer\n';
+  let block = line.repeat(Math.ceil(1024 * 1024 / line.length));
+  let fd = fs.openSync(filePath, 'w');
+  for (let i = 0; i < megabytes; i++) fs.writeSync(fd, block);
+  fs.closeSync(fd);
+};
+
+/**
+ * Transforms the fixture with a single approach, then reports the duration and peak
+ * memory to the parent process
+ *
+ * @param {string} name 'buffered' or 'streaming'
+ * @param {string} source Path of the fixture
+ */
+const runOne = async (name, source) => {
+  let Engine = name === 'buffered' ? BufferedRegexMatch : RegexMatch;
+  let engine = new Engine({opts: {}, vars: VARS});
+  let dest = `${source}.${name}.out`;
+
+  let start = process.hrtime.bigint();
+  await FileUtil.transformCopy(source, dest, engine.transform.bind(engine), engine.flush.bind(engine));
+  let duration = Number(process.hrtime.bigint() - start) / 1e6;
+
+  let hash = crypto.createHash('sha256').update(fs.readFileSync(dest)).digest('hex');
+  fs.unlinkSync(dest);
+  process.send({name, duration, maxRSS: process.resourceUsage().maxRSS, hash});
+};
+
+/**
+ * Runs an approach in a child process
+ *
+ * @param {string} name 'buffered' or 'streaming'
+ * @param {string} source Path of the fixture
+ *
+ * @return {Promise} Resolves with the results of the approach
+ */
+const fork = (name, source) => {
+  return new Promise((resolve, reject) => {
+    let child = childProcess.fork(__filename, ['--child', name, source]);
+    let result = null;
+    child.on('message', (message) => result = message);
+    child.on('error', reject);
+    child.on('exit', (code) => {
+      if (code !== 0 || !result) return reject(new Error(`The ${name} benchmark exited with code ${code}`));
+      resolve(result);
+    });
+  });
+};
+
+const main = async () => {
+  let sizeArg = process.argv.find((arg) => arg.startsWith('--size='));
+  let megabytes = sizeArg ? Number(sizeArg.split('=')[1]) : 32;
+  let source = path.join(os.tmpdir(), `uff-benchmark-${process.pid}.sql`);
+
+  console.log(`Transforming a ${megabytes}MB file with ${Object.keys(VARS).length} vars:`);
+  writeFixture(source, megabytes);
+  try {
+    let results = [];
+    for (let name of ['buffered', 'streaming']) {
+      let result = await fork(name, source);
+      results.push(result);
+      console.log(`  ${name.padEnd(10)} ${result.duration.toFixed(0).padStart(6)}ms` +
+        `  peak memory ${(result.maxRSS / 1024).toFixed(0).padStart(5)}MB`);
+    }
+
+    if (results[0].hash !== results[1].hash) {
+      throw new Error('The buffered and streaming output differ');
+    }
+  } finally {
+    fs.unlinkSync(source);
+  }
+};
+
+if (process.argv[2] === '--child') {
+  runOne(process.argv[3], process.argv[4]).catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+} else {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -10,31 +10,53 @@ process.on('unhandledRejection', (err) => {
 });
 
 const Args = require('../lib/utils/args.js');
+const Actions = require('../lib/actions/index.js');
 
 (async () => {
   // Process and validate arguments
   const args = new Args(process.argv);
 
+  const logger = args.logger;
+
+  /**
+   * Reports an error and exits. The JSON reporter still outputs a report, along with
+   * anything the action reported before failing
+   *
+   * @param {string} title Title of the error
+   * @param {Error} e The error
+   */
+  const fail = (title, e) => {
+    if (!logger.json) {
+      logger.error(`\n${title}:`);
+      logger.group();
+    }
+    logger.error(e.message);
+    logger.groupEnd();
+    logger.report(Object.assign({status: 'error', action: args.args[0] || null}, e.report, {error: e.message}));
+    process.exit(1);
+  };
+
   try {
     await args.validate();
   } catch (e) {
     // There was a validation error
-    console.error('\nINVALID ARGUMENTS:');
-    console.group();
-    console.error(e.message);
-    console.groupEnd();
-    process.exit(1);
+    fail('INVALID ARGUMENTS', e);
   }
 
   // Initialize the action
-  let action = require(`../lib/actions/${args.args[0]}.js`);
+  let action = Actions.get(args.args[0].toLowerCase());
 
   // Check for help
-  if (args.opts.h || args.opts.help) {
-    console.log(action.help);
+  if (args.opts.help) {
+    // Actions may generate help text based on the provided arguments
+    console.log(action.getHelp ? await action.getHelp(args) : action.help);
     return;
   }
 
   // Run the action
-  await action.exec(args);
+  try {
+    await action.exec(args);
+  } catch (e) {
+    fail('ERROR', e);
+  }
 })();
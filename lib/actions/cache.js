@@ -0,0 +1,120 @@
+'use strict';
+
+const Config = require('../utils/config.js');
+const FileUtil = require('../utils/file-util.js');
+const Options = require('../utils/options.js');
+const path = require('path');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [];
+
+/**
+ * Every user level cache, keyed by the name used to clean it alone
+ */
+const CACHES = {
+  templates: {
+    dir: () => Config.TEMPLATE_CACHE_DIR,
+    description: 'Git and npm templates, fetched again when next used'
+  },
+  bases: {
+    dir: () => Config.BASE_CACHE_DIR,
+    description: 'Generated content of projects, used by "update" to merge changes'
+  }
+};
+
+const help = `
+Framework Factory Help
+Action: cache
+
+Command Structure:
+  $ tf cache [clean] [cache...] [options]
+
+Shows the caches kept in ~/.uff (or $UFF_HOME), along with the number of files and the
+space each one uses:
+${Object.keys(CACHES).map((name) => `  - ${name}: ${CACHES[name].description}`).join('\n')}
+
+Neither cache is ever cleaned on its own. Projects updated after the bases are cleaned
+generate the previous version of their template again to merge changes, see "update --help"
+
+Arguments:
+  - clean:
+    Removes the contents of the caches
+
+  - cache:
+    Only show or clean these caches. EX: tf cache clean templates
+
+${Options.getHelp(options)}`;
+
+/**
+ * Counts the files within a directory, and the space they use
+ *
+ * @param {string} dir Full path of the directory
+ *
+ * @return {Promise} Resolves with an object in the form {files, bytes}. Directories that
+ * do not exist are empty
+ */
+const measure = async (dir) => {
+  let usage = {files: 0, bytes: 0};
+  if (!await FileUtil.exists(dir)) return usage;
+
+  for (let filePath of await FileUtil.getDirRecursive(dir)) {
+    usage.files++;
+    usage.bytes += (await FileUtil.lstat(filePath)).size;
+  }
+  return usage;
+};
+
+/**
+ * Formats a number of bytes for people to read
+ *
+ * @param {number} bytes Number of bytes
+ *
+ * @return {string} EX: '1.5 MB'
+ */
+const formatBytes = (bytes) => {
+  let units = ['B', 'KB', 'MB', 'GB'];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? bytes : bytes.toFixed(1)} ${units[unit]}`;
+};
+
+const exec = async (args) => {
+  let logger = args.logger;
+  let clean = args.args[1] === 'clean';
+  let names = args.args.slice(clean ? 2 : 1);
+
+  let unknown = names.find((name) => !Object.prototype.hasOwnProperty.call(CACHES, name));
+  if (unknown !== undefined) {
+    throw new Error(`Invalid cache: "${unknown}", must be one of ${Object.keys(CACHES).join(', ')}`);
+  }
+  if (names.length === 0) names = Object.keys(CACHES);
+
+  let caches = [];
+  for (let name of names) {
+    let dir = CACHES[name].dir();
+    let usage = await measure(dir);
+    if (clean) {
+      // The directory itself is kept, as it may be a link set up by the user
+      for (let entry of await FileUtil.readdir(dir).catch(() => [])) {
+        await FileUtil.removeDir(path.join(dir, entry));
+      }
+    }
+    caches.push(Object.assign({name, dir}, usage));
+  }
+
+  caches.forEach((cache) => {
+    let usage = `${cache.files} file(s), ${formatBytes(cache.bytes)}`;
+    logger.info(clean ? `Removed ${cache.name}: ${usage} from ${cache.dir}` : `${cache.name}: ${usage} in ${cache.dir}`);
+  });
+
+  logger.report({status: 'ok', action: 'cache', cleaned: clean, caches});
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
@@ -0,0 +1,343 @@
+'use strict';
+
+const FileUtil = require('../utils/file-util.js');
+const Logger = require('../utils/logger.js');
+const Manifest = require('../utils/manifest.js');
+const Options = require('../utils/options.js');
+const {generate} = require('../index.js');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [{
+  name: 'engine',
+  type: Options.TYPES.STRING,
+  description: 'Transform to check the template with, see "run --help"'
+}, {
+  name: 'pattern',
+  type: Options.TYPES.STRING,
+  description: 'Regex used to identify variables by the regex engine'
+}, {
+  name: 'unknown-placeholders',
+  type: Options.TYPES.STRING,
+  description: [
+    'Policy for placeholders without a variable, see "run --help".',
+    '  Undeclared placeholders are not reported when they are left'
+  ].join('\n')
+}, {
+  name: 'generate',
+  description: 'Generate the template with each fixture',
+  default: false
+}, {
+  name: 'fixture',
+  type: Options.TYPES.STRING,
+  repeatable: true,
+  description: 'Only generate with the fixture of this name'
+}, {
+  name: 'strict',
+  description: 'Fail on warnings as well as errors',
+  default: false
+}, {
+  name: 'refresh',
+  description: 'Fetch git and npm templates again, even if they are cached',
+  default: false
+}];
+
+const help = `
+Framework Factory Help
+Action: check
+
+Command Structure:
+  $ tf check <template> [options]
+
+Arguments:
+  - template:
+    The template to check, using any source accepted by "run"
+
+Checks a template for mistakes that would otherwise only surface when it is generated.
+Every file the template may generate is scanned, no matter the file rules, using the
+engine and pattern the template is generated with. The problems reported are:
+  - error: Tags the template engine can not parse
+  - error: Binary files containing placeholders, which are copied as they are and never
+    replaced. Add them to "text" in ${Manifest.FILENAME} if they are text
+  - warning: Placeholders without a variable declared in ${Manifest.FILENAME}
+  - warning: Variables declared in ${Manifest.FILENAME}, but never used by a placeholder,
+    a file rule or a hook
+
+With --generate, the template is also generated into a temporary directory with each of
+the fixtures declared in ${Manifest.FILENAME}, or with the variable defaults when it declares
+none. Hooks are not run. Any failure is an error
+
+${Options.getHelp(options)}`;
+
+/**
+ * Escapes a string for use within a regular expression
+ *
+ * @param {string} str String to escape
+ *
+ * @return {string} The escaped string
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lists every file the template may generate, including those left out by file rules
+ *
+ * @param {Template} template Template to list
+ *
+ * @return {Promise} Resolves with an array of {path, source} objects sorted by path
+ */
+const listFiles = async (template) => {
+  let {included, excluded} = await template.listFiles({});
+  return included.map((source) => ({path: template.getRelativePath(source), source}))
+      .concat(excluded.filter((file) => file.reason !== 'ignored' && !file.reason.startsWith('replaced')))
+      .map((file) => ({path: file.path.split(path.sep).join('/'), source: file.source}))
+      .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * Checks if a declared variable is used by a file rule or a hook. Command hooks receive
+ * vars as `UFF_VAR_` environment variables, and module hooks are searched for the name
+ *
+ * @param {string} name Name of the variable
+ * @param {Template} template Template to check
+ *
+ * @return {Promise} Resolves with true if the variable is used
+ */
+const isUsedOutsideFiles = async (name, template) => {
+  let nameRegex = new RegExp(`(^|[^\\w])${escapeRegex(name)}($|[^\\w])`);
+  let manifest = template.manifest;
+
+  let conditions = manifest.files.reduce((all, rule) => all.concat(rule.if || [], rule.unless || []), []);
+  if (conditions.some((condition) => nameRegex.test(condition))) return true;
+
+  let envName = `UFF_VAR_${name.replace(/\W/g, '_').toUpperCase()}`;
+  for (let hook of manifest.hooks) {
+    if (hook.type === 'command' && hook.command.includes(envName)) return true;
+    if (hook.type === 'module') {
+      let content = await FileUtil.readFile(path.join(hook.dir, hook.module)).catch(() => Buffer.alloc(0));
+      if (nameRegex.test(content.toString())) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Finds the line a variable is declared on within the manifest of the template
+ *
+ * @param {string} name Name of the variable
+ * @param {Template} template Template to search
+ *
+ * @return {Promise} Resolves with the line, or null if the variable is declared by a
+ * template it is layered on
+ */
+const findDeclaration = async (name, template) => {
+  let content = await FileUtil.readFile(path.join(template.dir, Manifest.FILENAME)).catch(() => Buffer.alloc(0));
+  content = content.toString();
+
+  let match = content.match(new RegExp(`"name"\\s*:\\s*${escapeRegex(JSON.stringify(name))}`));
+  return match ? content.slice(0, match.index).split('\n').length : null;
+};
+
+/**
+ * Scans the files of the template for problems
+ *
+ * @param {Args} args Processed arguments
+ *
+ * @return {Promise} Resolves with an array of problems in the form
+ * {level, code, file, line, message}
+ */
+const scan = async (args) => {
+  let template = args.template;
+  let Engine = template.getEngine(args.engine);
+  let problems = [];
+  let used = [];
+
+  let declared = {};
+  template.manifest.variables.forEach((variable) => declared[variable.name] = '');
+  let reportUndeclared = args.unknownPolicy !== args.UNKNOWN_POLICIES.LEAVE;
+
+  /**
+   * Records the placeholders found in a file, reporting undeclared ones once per file
+   *
+   * @param {Object[]} placeholders Placeholders from `Engine.findPlaceholders`
+   * @param {string} file Relative path of the file
+   * @param {boolean} inPath If the placeholders were found in the path of the file
+   */
+  let record = (placeholders, file, inPath) => {
+    let reported = [];
+    placeholders.forEach((found) => {
+      let name = Engine.findVar(found.placeholder, declared);
+      if (name !== undefined) {
+        if (!used.includes(name)) used.push(name);
+        return;
+      }
+      if (!reportUndeclared || found.block || reported.includes(found.placeholder)) return;
+      reported.push(found.placeholder);
+      problems.push({
+        level: 'warning',
+        code: 'undeclared-placeholder',
+        file,
+        line: inPath ? null : found.line,
+        message: `${found.placeholder}${inPath ? ' in the path' : ''} has no variable declared in ${Manifest.FILENAME}`
+      });
+    });
+  };
+
+  for (let file of await listFiles(template)) {
+    try {
+      record(Engine.findPlaceholders(file.path, args), file.path, true);
+
+      let type = await template.getFileType(file.source);
+      if (type.link || type.verbatim) continue;
+
+      let content = await FileUtil.readFile(file.source);
+      if (!type.binary) {
+        record(Engine.findPlaceholders(FileUtil.decode(content, type), args), file.path, false);
+        continue;
+      }
+
+      // Files forced to be binary by the manifest are copied as they are on purpose
+      if (template.manifest.getFileType(file.path) === 'binary') continue;
+      let found = [];
+      try {
+        found = Engine.findPlaceholders(content.toString('latin1'), Object.assign({}, args, {unknownPolicy: 'leave'}));
+      } catch (e) {
+        // Binary content that is not a valid template is not rendered either way
+      }
+      found.filter((placeholder) => !placeholder.block).slice(0, 1).forEach((placeholder) => {
+        problems.push({
+          level: 'error',
+          code: 'binary-placeholder',
+          file: file.path,
+          line: placeholder.line,
+          message: `Binary file contains ${placeholder.placeholder}, which is never replaced. Add the file to "text" ` +
+            `in ${Manifest.FILENAME} if it is text (detected as binary: ${type.reason})`
+        });
+      });
+    } catch (e) {
+      let match = e.message.match(/ (?:on|from) line (\d+)/);
+      problems.push({level: 'error', code: 'parse', file: file.path, line: match ? Number(match[1]) : null, message: e.message});
+    }
+  }
+
+  for (let variable of template.manifest.variables) {
+    if (used.includes(variable.name) || await isUsedOutsideFiles(variable.name, template)) continue;
+    problems.push({
+      level: 'warning',
+      code: 'unused-variable',
+      file: Manifest.FILENAME,
+      line: await findDeclaration(variable.name, template),
+      message: `Variable "${variable.name}" is declared, but never used`
+    });
+  }
+
+  return problems;
+};
+
+/**
+ * Generates the template into a temporary directory with a single fixture
+ *
+ * @param {Args} args Processed arguments
+ * @param {Object} fixture Fixture in the form {name, vars}
+ *
+ * @return {Promise} Resolves with an object in the form {name, files, problems}
+ */
+const generateFixture = async (args, fixture) => {
+  let dest = await FileUtil.mkdtemp(path.join(os.tmpdir(), 'uff-check-'));
+  let problems = [];
+  let files = 0;
+
+  // Anything logged while generating is reported as a warning of the fixture
+  let logger = new Logger({reporter: Logger.REPORTERS.JSON});
+
+  try {
+    let result = await generate({
+      template: args.template.dir,
+      vars: fixture.vars,
+      dest,
+      engine: args.opts.engine,
+      pattern: args.opts.pattern,
+      unknownPlaceholders: args.opts['unknown-placeholders'],
+      skipHooks: true,
+      answers: false,
+      lockfile: false,
+      logger
+    });
+    files = result.summary.created;
+  } catch (e) {
+    problems.push({level: 'error', code: 'generate', file: null, line: null, message: `Fixture "${fixture.name}": ${e.message}`});
+  } finally {
+    await FileUtil.removeDir(dest);
+  }
+
+  logger.messages.forEach((message) => {
+    let level = message.level === 'error' ? 'error' : 'warning';
+    problems.push({level, code: 'generate', file: null, line: null, message: `Fixture "${fixture.name}": ${message.message}`});
+  });
+
+  return {name: fixture.name, files, problems};
+};
+
+/**
+ * Formats a problem as a single line
+ *
+ * @param {Object} problem Problem from `scan` or `generateFixture`
+ *
+ * @return {string} The line
+ */
+const formatProblem = (problem) => {
+  let location = problem.file ? `${problem.file}${problem.line ? `:${problem.line}` : ''}  ` : '';
+  return `${problem.level.padEnd(8)} ${location}${problem.message}`;
+};
+
+const exec = async (args) => {
+  let start = Date.now();
+  let logger = args.logger;
+  let template = args.template;
+  let metadata = await template.getMetadata();
+
+  logger.info(`Checking "${metadata.name}" from ${template.dir}`);
+  // The engine may be added by the plugins of the template
+  await template.loadPlugins();
+  let problems = await scan(args);
+
+  let fixtures = [];
+  if (args.opts.generate) {
+    for (let fixture of await template.loadFixtures(args.opts.fixture)) {
+      let result = await generateFixture(args, fixture);
+      problems = problems.concat(result.problems);
+      fixtures.push({name: result.name, files: result.files, ok: !result.problems.some((p) => p.level === 'error')});
+    }
+  }
+
+  let errors = problems.filter((problem) => problem.level === 'error');
+  let warnings = problems.filter((problem) => problem.level === 'warning');
+
+  if (!logger.json) {
+    logger.group();
+    errors.forEach((problem) => logger.print(formatProblem(problem)));
+    warnings.forEach((problem) => logger.info(formatProblem(problem)));
+    fixtures.forEach((fixture) => {
+      logger.info(`fixture  "${fixture.name}" ${fixture.ok ? `generated ${fixture.files} file(s)` : 'failed'}`);
+    });
+    logger.groupEnd();
+  }
+  if (problems.length === 0) logger.info('No problems found');
+  logger.summary({'Errors': errors.length, 'Warnings': warnings.length, 'Fixtures': fixtures.length}, Date.now() - start);
+
+  let report = {action: 'check', template: metadata.name, dir: template.dir, problems, fixtures};
+  let failures = args.opts.strict ? problems.length : errors.length;
+  if (failures > 0) {
+    let e = new Error(args.opts.strict ? `Found ${failures} problem(s)` : `Found ${failures} error(s)`);
+    e.report = report;
+    throw e;
+  }
+
+  logger.report(Object.assign({status: 'ok'}, report));
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
@@ -1,6 +1,15 @@
 'use strict';
 
-const help = `
+const Actions = require('./index.js');
+const Options = require('../utils/options.js');
+
+/**
+ * Generates the help text. Actions are listed when the help is shown, as plugins of the
+ * user config may add actions after this module is loaded
+ *
+ * @return {Promise} Resolves with the help text
+ */
+const getHelp = async () => `
 Simple Static Framework Help
 
 Command Structure:
@@ -9,7 +18,8 @@ Command Structure:
 Arguments
 - action:
   Will run a pre-defined action
-  Valid options are: 'run'
+  Valid options are:
+${Actions.names().map((name) => `    - ${name}: ${Actions.describe(name)}`).join('\n')}
 
 - args:
   Arguments that will be passed to given action function
@@ -17,11 +27,12 @@ Arguments
 Tips:
 - Use the --help (-h) with a action to access its help text
   EX: tf [action] --help
-`;
+
+${Options.getHelp([])}`;
 
 const exec = async () => {
-  console.log(help);
+  console.log(await getHelp());
 };
 
 module.exports.exec = exec;
-module.exports.help = help;
+module.exports.getHelp = getHelp;
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Every action of the command line, keyed by the name used to run it, along with a
+ * short description used by the help text. Action modules are only loaded when used
+ */
+const ACTIONS = {
+  'run': 'Generate a project from a template',
+  'list': 'List the available templates',
+  'info': 'Describe the variables, files and hooks of a template',
+  'update': 'Update a generated project from a newer version of its template',
+  'new-template': 'Create a template from an existing project',
+  'check': 'Check a template for mistakes',
+  'test': 'Compare the output of a template with its snapshots',
+  'cache': 'Show or clean the cached templates and generated content',
+  'help': 'Show this help text'
+};
+
+/**
+ * Actions added by plugins, keyed by name
+ */
+const PLUGIN_ACTIONS = {};
+
+/**
+ * Pseudo-Static class provides access to all actions. Every action is a module that
+ * exports:
+ * - `exec(args)`, which runs the action with the processed arguments
+ * - `help`, the help text of the action, or `getHelp(args)` resolving with it
+ * - `options`, an optional array of the options the action accepts, see `Options`
+ *
+ * Plugins of the user config may register more actions, see `Plugins`
+ */
+class Actions {
+  /**
+   * Pseudo-Enum describes every built-in action, keyed by its name in upper snake case.
+   * EX: `Actions.BUILT_IN.NEW_TEMPLATE` is 'new-template'
+   */
+  static get BUILT_IN() {
+    let names = {};
+    Object.keys(ACTIONS).forEach((name) => names[name.toUpperCase().replace(/-/g, '_')] = name);
+    return names;
+  }
+
+  /**
+   * @return {string[]} Names of all actions
+   */
+  static names() {
+    return Object.keys(ACTIONS).concat(Object.keys(PLUGIN_ACTIONS));
+  }
+
+  /**
+   * Checks if an action was added by a plugin
+   *
+   * @param {string} name Name of the action
+   *
+   * @return {boolean} If the action comes from a plugin
+   */
+  static isPlugin(name) {
+    return Object.prototype.hasOwnProperty.call(PLUGIN_ACTIONS, name);
+  }
+
+  /**
+   * Registers an action added by a plugin. Registering the same action again does nothing
+   *
+   * @param {string} name Name of the action
+   * @param {Object} action The action module
+   * @param {string} spec The plugin adding the action, used in errors
+   */
+  static register(name, action, spec) {
+    if (PLUGIN_ACTIONS[name] === action) return;
+    if (Actions.names().includes(name)) {
+      throw new Error(`Invalid plugin "${spec}": Action "${name}" already exists`);
+    }
+    PLUGIN_ACTIONS[name] = action;
+  }
+
+  /**
+   * Gets the short description of an action
+   *
+   * @param {string} name Name of the action
+   *
+   * @return {string} The description
+   */
+  static describe(name) {
+    return Actions.isPlugin(name) ? PLUGIN_ACTIONS[name].description || '' : ACTIONS[name];
+  }
+
+  /**
+   * Gets an action module by name
+   *
+   * @param {string} name Name of the action
+   *
+   * @return {Object} The action module. An error is thrown if there is no such action
+   */
+  static get(name) {
+    if (Actions.isPlugin(name)) return PLUGIN_ACTIONS[name];
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, name)) {
+      throw new Error(`Invalid action: "${name}"`);
+    }
+    return require(`./${name}.js`);
+  }
+
+  /**
+   * Gets the options an action accepts
+   *
+   * @param {string} name Name of the action
+   *
+   * @return {Object[]} Option definitions, see `Options`
+   */
+  static getOptions(name) {
+    return Actions.get(name).options || [];
+  }
+}
+
+module.exports = Actions;
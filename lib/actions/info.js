@@ -0,0 +1,150 @@
+'use strict';
+
+const Options = require('../utils/options.js');
+const Transforms = require('../transforms/index.js');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [{
+  name: 'refresh',
+  description: 'Fetch git and npm templates again, even if they are cached',
+  default: false
+}];
+
+const help = `
+Framework Factory Help
+Action: info
+
+Command Structure:
+  $ tf info <template> [options]
+
+Arguments:
+  - template:
+    The template to describe, using any source accepted by "run"
+
+Shows the description and version of a template, along with the variables it declares,
+the files it generates and the hooks it runs after generating. Files that are only
+generated depending on a variable are listed using the variable defaults
+
+${Options.getHelp(options)}`;
+
+/**
+ * Builds a nested tree out of relative file paths
+ *
+ * @param {Object[]} files Array of {path, note} objects
+ *
+ * @return {Object} Tree whose keys are file and directory names. Directories map to a
+ * nested tree, and files to their note
+ */
+const buildTree = (files) => {
+  let tree = {};
+  files.forEach((file) => {
+    let parts = file.path.split(/[\\/]/);
+    let node = tree;
+    parts.slice(0, -1).forEach((part) => {
+      if (typeof node[part] !== 'object') node[part] = {};
+      node = node[part];
+    });
+    node[parts[parts.length - 1]] = file.note;
+  });
+  return tree;
+};
+
+/**
+ * Prints a tree from `buildTree`, directories first
+ *
+ * @param {Logger} logger Logger to print with
+ * @param {Object} tree Tree to print
+ */
+const printTree = (logger, tree) => {
+  let names = Object.keys(tree).sort((a, b) => {
+    let aDir = typeof tree[a] === 'object';
+    let bDir = typeof tree[b] === 'object';
+    if (aDir !== bDir) return aDir ? -1 : 1;
+    return a.localeCompare(b);
+  });
+
+  names.forEach((name) => {
+    if (typeof tree[name] === 'object') {
+      logger.print(`${name}/`);
+      logger.group();
+      printTree(logger, tree[name]);
+      logger.groupEnd();
+    } else {
+      logger.print(tree[name] ? `${name}  (${tree[name]})` : name);
+    }
+  });
+};
+
+const exec = async (args) => {
+  let logger = args.logger;
+  let template = args.template;
+  let manifest = template.manifest;
+  let metadata = await template.getMetadata();
+
+  // Show the files that would be generated with only the defaults set
+  let defaults = {};
+  manifest.variables.forEach((variable) => {
+    if (variable.default !== undefined) defaults[variable.name] = variable.default;
+  });
+
+  let {included, excluded} = await template.listFiles(defaults);
+  let files = included.map((filePath) => ({path: template.getRelativePath(filePath), note: ''}))
+      .concat(excluded.filter((file) => file.reason !== 'ignored' && !file.reason.startsWith('replaced')).map((file) => {
+        return {path: file.path, note: `not generated by default: ${file.reason}`};
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+  let info = {
+    name: metadata.name,
+    description: metadata.description,
+    version: metadata.version,
+    source: template.source ? template.source.spec : template.dir,
+    resolved: template.source ? template.source.resolved : null,
+    dir: template.dir,
+    engine: manifest.engine || Transforms.DEFAULT,
+    variables: manifest.variables.map((variable) => {
+      return Object.assign({}, variable, {pattern: variable.pattern ? variable.pattern.source : null});
+    }),
+    files,
+    hooks: manifest.hooks
+  };
+
+  if (logger.json) {
+    logger.print(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  logger.print(`\n${info.version ? `${info.name}@${info.version}` : info.name}`);
+  logger.group();
+  if (info.description) logger.print(info.description);
+  logger.print(`Source: ${info.source}${info.resolved ? ` (${info.resolved})` : ''}`);
+  logger.print(`Directory: ${info.dir}`);
+  logger.print(`Engine: ${info.engine}`);
+  logger.groupEnd();
+
+  logger.print(`\n${manifest.getVariablesHelp()}`);
+
+  logger.print('Files:');
+  logger.group();
+  if (files.length === 0) logger.print('(none)');
+  printTree(logger, buildTree(files));
+  logger.groupEnd();
+
+  logger.print('\nPost-generate hooks:');
+  logger.group();
+  if (info.hooks.length === 0) logger.print('(none)');
+  info.hooks.forEach((hook, index) => {
+    let detail = hook.type === 'command' ? `$ ${hook.command}` : `module ${hook.module}`;
+    logger.print(hook.name === hook.command || hook.name === hook.module ?
+      `${index + 1}. ${detail}` :
+      `${index + 1}. ${hook.name}: ${detail}`);
+  });
+  logger.groupEnd();
+  logger.print('');
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
@@ -0,0 +1,105 @@
+'use strict';
+
+const FileUtil = require('../utils/file-util.js');
+const Options = require('../utils/options.js');
+const Template = require('../utils/template.js');
+const path = require('path');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [];
+
+const help = `
+Framework Factory Help
+Action: list
+
+Command Structure:
+  $ tf list [options]
+
+Lists every named template that can be passed to "run", along with its description and
+version. Templates are searched for in the bundled src/templates folder, followed by the
+user template paths. When two directories contain a template of the same name, the first
+one found is used
+
+User template paths are set with "templatePaths" in ~/.uff/config.json (or
+$UFF_HOME/config.json), and with the UFF_TEMPLATE_PATH environment variable
+
+${Options.getHelp(options)}`;
+
+/**
+ * Finds every template within a directory
+ *
+ * @param {string} templateDir Full path of a directory containing templates
+ * @param {string[]} templateDirs All directories containing templates, used to find the
+ * templates each template is layered on
+ *
+ * @return {Promise} Resolves with an array of {name, description, version, dir, error}
+ * objects. A directory that does not exist contains no templates
+ */
+const findTemplates = async (templateDir, templateDirs) => {
+  let dirents = await FileUtil.readdir(templateDir, true).catch(() => []);
+  let templates = [];
+
+  for (let dirent of dirents.filter((dirent) => dirent.isDirectory())) {
+    let dir = path.join(templateDir, dirent.name);
+    let entry = {name: dirent.name, description: '', version: '', dir, error: null};
+
+    try {
+      let metadata = await (await Template.load(dir, null, {templateDirs})).getMetadata();
+      entry.description = metadata.description;
+      entry.version = metadata.version;
+    } catch (e) {
+      entry.error = e.message;
+    }
+
+    templates.push(entry);
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const exec = async (args) => {
+  let logger = args.logger;
+  let seen = [];
+  let groups = [];
+
+  for (let templateDir of args.TEMPLATE_DIRS) {
+    let templates = await findTemplates(templateDir, args.TEMPLATE_DIRS);
+    templates.forEach((template) => {
+      template.shadowed = seen.includes(template.name);
+      seen.push(template.name);
+    });
+    groups.push({dir: templateDir, templates});
+  }
+
+  if (logger.json) {
+    let templates = groups.reduce((all, group) => all.concat(group.templates), []);
+    logger.print(JSON.stringify(templates, null, 2));
+    return;
+  }
+
+  groups.forEach((group) => {
+    logger.print(`\nTemplates in "${group.dir}":`);
+    logger.group();
+
+    if (group.templates.length === 0) logger.print('(none)');
+    group.templates.forEach((template) => {
+      let name = template.version ? `${template.name}@${template.version}` : template.name;
+      if (template.shadowed) name += ' (shadowed by an earlier template of the same name)';
+      logger.print(name);
+
+      logger.group();
+      if (template.error) logger.print(`Unable to read template: ${template.error}`);
+      if (template.description) logger.print(template.description);
+      logger.groupEnd();
+    });
+
+    logger.groupEnd();
+  });
+  logger.print('');
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
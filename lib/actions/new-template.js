@@ -0,0 +1,340 @@
+'use strict';
+
+const FileUtil = require('../utils/file-util.js');
+const Ignore = require('../utils/ignore.js');
+const Lockfile = require('../utils/lockfile.js');
+const Manifest = require('../utils/manifest.js');
+const Options = require('../utils/options.js');
+const VarsFile = require('../utils/vars-file.js');
+const RegexMatch = require('../transforms/regex-match.js');
+const path = require('path');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [{
+  name: 'dest',
+  type: Options.TYPES.STRING,
+  description: [
+    'Directory to create the template in. It must not exist yet, or be',
+    '  empty. Pass a user template path to use the template by name'
+  ].join('\n'),
+  defaultHelp: './<project>-template'
+}, {
+  name: 'name',
+  type: Options.TYPES.STRING,
+  description: 'Name of the template in the manifest',
+  defaultHelp: 'the name of the destination directory'
+}];
+
+const help = `
+Framework Factory Help
+Action: new-template
+
+Command Structure:
+  $ tf new-template <project> <literal=VAR...> [options]
+
+Creates a template from an existing project. Every file of the project is copied into a
+new template directory, with each literal value replaced by the placeholder of its
+variable, in both file contents and paths. A starter ${Manifest.FILENAME} declaring the
+variables is written as well, using the literal values as their defaults
+
+Files matched by any .gitignore of the project are left out, along with node_modules, .git
+and the ${Lockfile.FILENAME} and ${VarsFile.ANSWERS_FILENAME} of generated projects. Binary files
+are copied as they are. Anything in the project that already looks like a placeholder is
+escaped, so it is generated as it is
+
+Arguments:
+  - project:
+    Directory of the project to create the template from
+
+  - literal=VAR:
+    Literal values to replace, and the variable that replaces them. Variable names may
+    only contain upper case letters and digits, to match the default --pattern of "run".
+    Quote literals containing spaces. Longer literals are replaced first
+    EX: my-site=NAME "My Site=TITLE"
+
+${Options.getHelp(options)}`;
+
+/**
+ * Files and directories of a project that never belong in a template
+ */
+const DEFAULT_IGNORE = [
+  '.git',
+  'node_modules/',
+  `/${Manifest.FILENAME}`,
+  `/${Lockfile.FILENAME}`,
+  `/${VarsFile.ANSWERS_FILENAME}`
+];
+
+/**
+ * Reads the literal to variable mappings from the arguments. Mappings whose literal is a
+ * valid var name are parsed as vars by Args, and any other mapping is left as an argument
+ *
+ * @param {Args} args Processed arguments
+ *
+ * @return {Object[]} Mappings in the form {literal, name, placeholder}, longest literal
+ * first. An error is thrown if any mapping is invalid
+ */
+const getMappings = (args) => {
+  let pattern = RegexMatch.getPattern({opts: {}});
+  let fullMatch = new RegExp(`^(?:${pattern.source})$`);
+  let mappings = Object.keys(args.vars).map((literal) => ({literal, name: args.vars[literal]}));
+
+  args.args.slice(2).forEach((arg) => {
+    let match = arg.match(/^(.+)[=:]([^=:]+)$/);
+    if (!match) throw new Error(`Invalid mapping: "${arg}", must be in the form literal=VAR`);
+    mappings.push({literal: match[1], name: match[2]});
+  });
+
+  if (mappings.length === 0) {
+    throw new Error('Invalid arguments: Must provide at least one literal=VAR mapping');
+  }
+
+  return mappings.map((mapping) => {
+    let placeholder = `{{${mapping.name}}}`;
+    if (!fullMatch.test(placeholder)) {
+      throw new Error(`Invalid variable name: "${mapping.name}", must only contain upper case letters and digits`);
+    }
+    let other = mappings.find((existing) => existing !== mapping && existing.name === mapping.name);
+    if (other) {
+      throw new Error(`Invalid mapping: "${mapping.name}" is mapped from both "${other.literal}" and "${mapping.literal}"`);
+    }
+    return Object.assign({}, mapping, {placeholder});
+  }).sort((a, b) => b.literal.length - a.literal.length);
+};
+
+/**
+ * Creates a function that replaces every literal within a string with its placeholder.
+ * Anything already matching the placeholder pattern may be escaped with a backslash
+ *
+ * @param {Object[]} mappings Mappings from `getMappings`
+ *
+ * @return {function(string, boolean)} Function taking a string and if existing
+ * placeholders are escaped, returning {str, counts} where counts maps var names to the
+ * number of literals replaced
+ */
+const createReplacer = (mappings) => {
+  let escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  let literals = mappings.map((mapping) => escapeRegex(mapping.literal));
+  // Existing placeholders come first, so literals within them are left alone
+  let regex = new RegExp(`(${RegexMatch.getPattern({opts: {}}).source})|${literals.join('|')}`, 'g');
+
+  return (str, escape) => {
+    let counts = {};
+    str = str.replace(regex, (matchStr, existing) => {
+      if (existing !== undefined) return escape ? `\\${matchStr}` : matchStr;
+
+      let mapping = mappings.find((candidate) => candidate.literal === matchStr);
+      counts[mapping.name] = (counts[mapping.name] || 0) + 1;
+      return mapping.placeholder;
+    });
+    return {str, counts};
+  };
+};
+
+/**
+ * Lists the files of a project that are part of the template. Every `.gitignore` of the
+ * project applies to the directory it is in, and everything within it
+ *
+ * @param {string} projectDir Full path of the project
+ * @param {string} destDir Full path of the template being created, which is never listed
+ *
+ * @return {Promise} Resolves with an object in the form {files, emptyDirs}, both arrays of
+ * paths relative to the project
+ */
+const listProject = async (projectDir, destDir) => {
+  let files = [];
+  let emptyDirs = [];
+
+  /**
+   * Lists a single directory of the project, along with every directory within it
+   *
+   * @param {string} dir Full path of the directory
+   * @param {Object[]} ignores The ignore files of its parents, as {dir, ignore} objects
+   *
+   * @return {Promise} Resolves once every directory within it has been listed
+   */
+  let listDir = async (dir, ignores) => {
+    try {
+      let ignore = new Ignore((await FileUtil.readFile(path.join(dir, '.gitignore'))).toString());
+      ignores = ignores.concat({dir, ignore});
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    let dirents = await FileUtil.readdir(dir, true);
+    if (dirents.length === 0 && dir !== projectDir) emptyDirs.push(FileUtil.removeBasepath(projectDir, dir));
+
+    for (let dirent of dirents) {
+      let filePath = path.join(dir, dirent.name);
+      let isDir = dirent.isDirectory();
+      if (filePath === destDir) continue;
+      if (ignores.some((scope) => scope.ignore.ignores(FileUtil.removeBasepath(scope.dir, filePath), isDir))) continue;
+
+      if (isDir) {
+        await listDir(filePath, ignores);
+      } else {
+        files.push(FileUtil.removeBasepath(projectDir, filePath));
+      }
+    }
+  };
+  await listDir(projectDir, [{dir: projectDir, ignore: new Ignore(DEFAULT_IGNORE)}]);
+
+  return {files: files.sort(), emptyDirs: emptyDirs.sort()};
+};
+
+/**
+ * Adds the counts of a replacement to the totals
+ *
+ * @param {Object} totals Map of var names to the number of literals replaced so far
+ * @param {Object} counts Counts from a replacer, see `createReplacer`
+ *
+ * @return {number} The number of literals the replacement replaced
+ */
+const addCounts = (totals, counts) => {
+  return Object.keys(counts).reduce((sum, key) => {
+    totals[key] = (totals[key] || 0) + counts[key];
+    return sum + counts[key];
+  }, 0);
+};
+
+/**
+ * Copies a single file of the project into the template, replacing literals within text
+ * files. Links are recreated as they are
+ *
+ * @param {string} source Full path of the project file
+ * @param {string} dest Full path of the template file
+ * @param {Function} replace Replacer from `createReplacer`
+ *
+ * @return {Promise} Resolves with an object in the form {binary, counts}
+ */
+const copyFile = async (source, dest, replace) => {
+  let type = await FileUtil.getFileType(source);
+
+  if (type.link) {
+    await FileUtil.symlink(await FileUtil.readlink(source), dest);
+    return {binary: true, counts: {}};
+  }
+  if (type.binary) {
+    await FileUtil.makeDir(path.dirname(dest));
+    await FileUtil.copyFile(source, dest);
+    await FileUtil.copyAttributes(source, dest);
+    return {binary: true, counts: {}};
+  }
+
+  let {str, counts} = replace(FileUtil.decode(await FileUtil.readFile(source), type), true);
+  await FileUtil.makeFile(dest, FileUtil.encode(str, type));
+  await FileUtil.copyAttributes(source, dest);
+  return {binary: false, counts};
+};
+
+/**
+ * Creates the starter manifest of the template
+ *
+ * @param {string} name Name of the template
+ * @param {string} projectDir Full path of the project the template is created from
+ * @param {Object[]} mappings Mappings from `getMappings`
+ *
+ * @return {Object} Manifest data
+ */
+const createManifest = (name, projectDir, mappings) => {
+  return {
+    name,
+    description: `Created from ${path.basename(projectDir)}`,
+    version: '0.1.0',
+    variables: mappings.map((mapping) => ({
+      name: mapping.name,
+      description: `Replaces "${mapping.literal}"`,
+      default: mapping.literal
+    }))
+  };
+};
+
+const exec = async (args) => {
+  let start = Date.now();
+  let logger = args.logger;
+
+  if (args.args.length < 2) {
+    throw new Error('Invalid number of Arguments: Must provide the project directory');
+  }
+  let projectDir = path.resolve(args.args[1]);
+  if (!await FileUtil.exists(projectDir) || !(await FileUtil.stat(projectDir)).isDirectory()) {
+    throw new Error(`"${projectDir}" is not a directory`);
+  }
+
+  let mappings = getMappings(args);
+  let destDir = path.resolve(args.opts.dest || `${path.basename(projectDir)}-template`);
+  let name = args.opts.name || path.basename(destDir);
+
+  if (projectDir === destDir || projectDir.startsWith(destDir + path.sep)) {
+    throw new Error(`The template can not be created in "${destDir}", as it contains the project`);
+  }
+  let created = !await FileUtil.exists(destDir);
+  if (!created && (await FileUtil.readdir(destDir)).length > 0) {
+    throw new Error(`"${destDir}" already exists and is not empty`);
+  }
+
+  logger.info(`Creating template "${name}" from ${projectDir}`);
+  logger.info(`Destination: ${destDir}`);
+
+  let replace = createReplacer(mappings);
+  let {files, emptyDirs} = await listProject(projectDir, destDir);
+  let report = [];
+  let totals = {};
+
+  try {
+    for (let relative of files) {
+      let templatePath = replace(relative, false);
+      let result = await copyFile(path.join(projectDir, relative), path.join(destDir, templatePath.str), replace);
+
+      // Literals in the path count as well as those in the content
+      let replacements = addCounts(totals, templatePath.counts) + addCounts(totals, result.counts);
+      report.push({path: relative, template: templatePath.str, binary: result.binary, replacements});
+
+      let details = result.binary ? 'copied as is' : `${replacements} replaced`;
+      logger.verbose(`  ${templatePath.str} [${details}]`);
+    }
+
+    for (let relative of emptyDirs) {
+      let templatePath = replace(relative, false);
+      addCounts(totals, templatePath.counts);
+      await FileUtil.makeDir(path.join(destDir, templatePath.str));
+    }
+
+    let manifest = createManifest(name, projectDir, mappings);
+    await FileUtil.makeFile(path.join(destDir, Manifest.FILENAME), `${JSON.stringify(manifest, null, 2)}\n`);
+  } catch (e) {
+    // Nothing is left behind of a template that could not be created
+    if (created) await FileUtil.removeDir(destDir).catch(() => {});
+    throw e;
+  }
+
+  mappings.filter((mapping) => !totals[mapping.name]).forEach((mapping) => {
+    logger.warn(`"${mapping.literal}" was not found in any file or path of the project`);
+  });
+
+  logger.summary({
+    'Files': files.length,
+    'Empty directories': emptyDirs.length,
+    'Values replaced': Object.keys(totals).reduce((sum, key) => sum + totals[key], 0)
+  }, Date.now() - start);
+  logger.info(`Review ${path.join(destDir, Manifest.FILENAME)}, then generate it with "uff run ${destDir}"`);
+
+  logger.report({
+    status: 'ok',
+    action: 'new-template',
+    name,
+    project: projectDir,
+    dest: destDir,
+    variables: mappings.map((mapping) => {
+      return {name: mapping.name, literal: mapping.literal, count: totals[mapping.name] || 0};
+    }),
+    files: report,
+    emptyDirs
+  });
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
@@ -1,9 +1,106 @@
 'use strict';
 
-const FileUtil = require('../utils/file-util.js');
-const path = require('path');
+const Generator = require('../generator.js');
+const Lockfile = require('../utils/lockfile.js');
+const Manifest = require('../utils/manifest.js');
+const Options = require('../utils/options.js');
+const Template = require('../utils/template.js');
+const VarsFile = require('../utils/vars-file.js');
 
-const RegexMatch = require('../transforms/regex-match.js');
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [{
+  name: 'engine',
+  type: Options.TYPES.STRING,
+  description: [
+    'Transform used to render the template, overriding the engine',
+    'declared in the template manifest',
+    '  regex: Replaces every match of --pattern with the matching var',
+    '  template: Supports {{#if VAR}}, {{#each LIST}} blocks and filters',
+    '    such as {{NAME|kebab}}. See the README for details'
+  ].join('\n'),
+  defaultHelp: 'regex'
+}, {
+  name: 'pattern',
+  type: Options.TYPES.STRING,
+  description: [
+    'Regex used to identify variables by the regex engine',
+    '  Prefix a placeholder with a backslash to output it as it is.',
+    '    EX: \\{{NAME}}'
+  ].join('\n'),
+  defaultHelp: '/{{[A-Z0-9]+}}/g'
+}, {
+  name: 'unknown-placeholders',
+  type: Options.TYPES.STRING,
+  description: [
+    'What to do with placeholders that no variable fills',
+    '  error: Abort before writing anything',
+    '  leave: Output them as they are',
+    '  warn: Output them as they are, with a warning listing them'
+  ].join('\n'),
+  defaultHelp: 'error, or the unknownPlaceholders of the template manifest'
+}, {
+  name: 'dest',
+  type: Options.TYPES.STRING,
+  description: 'Relative destination of the target folder',
+  default: '.',
+  defaultHelp: '. (the current directory)'
+}, {
+  name: 'interactive',
+  description: 'Never prompt for missing variables, failing instead',
+  default: true
+}, {
+  name: 'refresh',
+  description: 'Fetch git and npm templates again, even if they are cached',
+  default: false
+}, {
+  name: 'dry-run',
+  description: [
+    'Show which files would be created, overwritten or skipped, along',
+    '  with a diff of any overwritten file, without writing anything'
+  ].join('\n')
+}, {
+  name: 'on-conflict',
+  type: Options.TYPES.STRING,
+  description: [
+    'What to do with files that already exist at the destination,',
+    `  including the ${Lockfile.FILENAME} and ${VarsFile.ANSWERS_FILENAME} files`,
+    '  skip: Keep the existing file',
+    '  overwrite: Replace the existing file',
+    '  prompt: Ask for each existing file',
+    '  backup: Copy the existing file to <file>.orig, then replace it',
+    '  fail: Abort before writing anything'
+  ].join('\n'),
+  default: 'overwrite'
+}, {
+  name: 'vars-file',
+  type: Options.TYPES.STRING,
+  repeatable: true,
+  description: [
+    'JSON, YAML or .env file to load variables from. Later files win',
+    '  over earlier ones. EX: --vars-file=answers.json'
+  ].join('\n')
+}, {
+  name: 'answers',
+  description: [
+    `Do not record the variables used in ${VarsFile.ANSWERS_FILENAME}, within`,
+    '  the destination. The file can be passed to --vars-file to generate',
+    '  the project again with the same variables'
+  ].join('\n'),
+  default: true
+}, {
+  name: 'lockfile',
+  description: [
+    `Do not write ${Lockfile.FILENAME} within the destination. Without it`,
+    '  the project can not be updated, and its generated files are not',
+    '  kept in ~/.uff/bases (or $UFF_HOME/bases) for updates'
+  ].join('\n'),
+  default: true
+}, {
+  name: 'skip-hooks',
+  description: 'Do not run the post-generate hooks declared by the template'
+}];
 
 const help = `
 Framework Factory Help
@@ -14,55 +111,194 @@ Command Structure:
 
 Arguments:
   - template:
-    The exact name of the template directory, within the lib/templates folder
+    Where the template comes from, one of:
+      - The exact name of a template directory, within the src/templates folder or
+        a user template path (see "tf list --help")
+      - A local directory path. EX: ./my-template
+      - A git URL with an optional ref. EX: git+file:///repos/web.git#v2
+      - An npm package or tarball. EX: npm:web-template@1.2.0, ./web-template.tgz
+    Git and npm templates are cached in ~/.uff/templates (or $UFF_HOME/templates)
 
   - vars:
     Variables to be injected into the template, Make style
     EX: NAME=some_name DESCRIPTION="some description"
+    Variables may also be loaded with --vars-file, or set as environment variables
+    prefixed with UFF_VAR_. EX: UFF_VAR_NAME=some_name. Command line variables win
+    over the vars file, which wins over the environment
+    Variables declared in the template's ${Manifest.FILENAME} are validated before
+    any files are written, and their defaults applied. Any missing variables are
+    prompted for when running in a terminal
 
-Options:
-  --pattern {string}  Regex used to identify variables
-                        Default: /{{[A-Z0-9]+}}/g
-  --dest {string}     Relative destination of the target folder
-                        Default: . (the current directory) 
-`;
+Tips:
+  - Use "run <template> --help" to list the variables a template declares
 
-const exec = async (args) => {
-  // The second argument will be the template
-  let templateName = args.args[1];
+${Options.getHelp(options)}`;
+
+/**
+ * Labels of each count of the summary, in the order they are reported
+ */
+const SUMMARY_LABELS = {
+  created: 'Created',
+  overwritten: 'Overwritten',
+  kept: 'Kept existing',
+  unchanged: 'Unchanged',
+  skipped: 'Skipped',
+  transformed: 'Transformed',
+  copied: 'Copied as is'
+};
+
+/**
+ * Builds the document output by the JSON reporter
+ *
+ * @param {Object} result Result from `Generator.run`
+ *
+ * @return {Object} The report
+ */
+const getReport = (result) => {
+  let files = result.files.map((entry) => {
+    return {
+      path: entry.relative,
+      source: entry.source,
+      dest: entry.dest || null,
+      action: entry.action,
+      outcome: entry.outcome || null,
+      status: entry.status || null,
+      reason: entry.reason || null,
+      diff: entry.diff || null
+    };
+  });
+
+  return {
+    dryRun: result.dryRun,
+    template: result.template,
+    dest: result.dest,
+    summary: result.summary,
+    files,
+    hooks: result.hooks
+  };
+};
+
+/**
+ * Reports the result of a dry run
+ *
+ * @param {Args} args Processed arguments
+ * @param {Object} result Result from `Generator.run`
+ */
+const printPreview = (args, result) => {
+  let logger = args.logger;
+  let plan = result.files;
+  let hooks = args.template.manifest.hooks;
+
+  logger.info('Dry Run (no files will be written):');
+  logger.group();
+  plan.forEach((entry) => {
+    let details = entry.reason ? ` [${entry.reason}]` : '';
+    logger.info(`${entry.status.padEnd(10)} ${entry.relative}${details}`);
+  });
+  logger.groupEnd();
 
-  // Get all the files we need to transfer
-  let filePaths = await FileUtil.getDirRecursive(path.join(args.TEMPLATE_DIR, templateName));
+  let counts = {};
+  plan.forEach((entry) => counts[entry.status] = (counts[entry.status] || 0) + 1);
+  logger.info(Object.keys(counts).map((status) => `${status}: ${counts[status]}`).join(', '));
 
-  let destDir = process.cwd();
-  if (args.opts.dest) {
-    destDir = path.join(destDir, args.opts.dest);
+  if (hooks.length > 0) {
+    logger.info(args.opts['skip-hooks'] ? 'Post-generate hooks that would be skipped:' : 'Post-generate hooks that would run:');
+    logger.group();
+    hooks.forEach((hook, i) => logger.info(`[${i + 1}/${hooks.length}] ${hook.name}`));
+    logger.groupEnd();
   }
 
-  // Copy files
-  let promises = filePaths.map((sourcePath) => {
-    // Set up the transform function
-    let regexMatch = new RegexMatch(args);
-    let {transform, flush} = regexMatch;
+  plan.filter((entry) => entry.diff).forEach((entry) => {
+    logger.info(`\n${entry.diff.replace(/\n$/, '')}`);
+  });
+};
 
-    // Bind the transform functions to their parent object
-    transform = transform.bind(regexMatch);
-    flush = flush.bind(regexMatch);
+const exec = async (args) => {
+  let logger = args.logger;
+  let generator = new Generator(args);
 
-    // Generate the destination path by stripping out everything before and including
-    // the template name and appending that to the pre-defined destDir
-    let postNameRegex = new RegExp(`.+${templateName}(.+)`);
-    let dest = path.join(destDir, sourcePath.match(postNameRegex)[1]);
+  generator.on('plan', (plan) => {
+    logger.verbose(`Generating "${args.template.name}" from ${args.template.dir}`);
+    logger.verbose(`Destination: ${args.destDir}`);
+    logger.verbose(`Engine: ${args.engine}, ${plan.filter((entry) => entry.action !== 'skip').length} file(s) to generate`);
+  });
+
+  generator.on('commit', (result) => {
+    logger.info('Copying and Transforming Files:');
+    logger.group();
+    if (logger.isVerbose) {
+      // Every file, including the ones that were not written
+      result.files.forEach((entry) => {
+        let details = entry.reason ? ` [${entry.reason}]` : '';
+        logger.verbose(`${entry.outcome.padEnd(11)} ${entry.action.padEnd(9)} ${entry.relative}${details}`);
+      });
+    } else {
+      result.written.forEach((dest) => logger.info(dest));
+    }
+    logger.groupEnd();
+    logger.info('Copying and Transforming Complete');
+
+    if (args.opts['skip-hooks'] && result.hooks.length > 0) {
+      logger.info(`Skipped ${result.hooks.length} post-generate hook(s)`);
+    }
+  });
 
-    return FileUtil.transformCopy(sourcePath, dest, transform, flush);
+  generator.on('hook', (event) => {
+    let step = `[${event.index + 1}/${event.total}] ${event.name}`;
+    if (event.index === 0 && event.status === 'running') {
+      logger.info('Running Post-Generate Hooks:');
+    }
+    logger.group();
+    if (event.status === 'running') logger.info(step);
+    if (event.status === 'done') logger.info(`${step} done in ${(event.duration / 1000).toFixed(1)}s`);
+    logger.groupEnd();
+    if (event.status === 'done' && event.index === event.total - 1) {
+      logger.info('Post-Generate Hooks Complete');
+    }
   });
 
-  console.log('Copying and Transforming Files:');
-  console.group();
-  await Promise.all(promises);
-  console.groupEnd();
-  console.log('Copying and Transforming Complete');
+  let result;
+  try {
+    result = await generator.run();
+  } catch (e) {
+    // Files may have been generated before a hook failed
+    if (e.result) e.report = getReport(e.result);
+    throw e;
+  }
+
+  if (result.dryRun) {
+    printPreview(args, result);
+  } else {
+    let summary = {};
+    Object.keys(SUMMARY_LABELS).forEach((key) => summary[SUMMARY_LABELS[key]] = result.summary[key]);
+    logger.summary(summary, result.summary.duration);
+  }
+  logger.report(Object.assign({status: 'ok', action: 'run'}, getReport(result)));
+};
+
+/**
+ * Generates the help text, including the declared variables of the template when one
+ * has been provided
+ *
+ * @param {Args} args Processed arguments
+ *
+ * @return {Promise} Resolves with the help text
+ */
+const getHelp = async (args) => {
+  let templateName = args.args[1];
+  if (!templateName) return help;
+
+  let template;
+  try {
+    template = await Template.resolve(templateName, {templateDirs: args.TEMPLATE_DIRS});
+  } catch (e) {
+    return `${help}\nUnable to read template "${templateName}": ${e.message}\n`;
+  }
+
+  return `${help}\n${template.manifest.getVariablesHelp()}`;
 };
 
 module.exports.exec = exec;
 module.exports.help = help;
+module.exports.options = options;
+module.exports.getHelp = getHelp;
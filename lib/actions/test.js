@@ -0,0 +1,330 @@
+'use strict';
+
+const Diff = require('../utils/diff.js');
+const FileUtil = require('../utils/file-util.js');
+const Lockfile = require('../utils/lockfile.js');
+const Logger = require('../utils/logger.js');
+const Manifest = require('../utils/manifest.js');
+const Options = require('../utils/options.js');
+const Template = require('../utils/template.js');
+const {generate} = require('../index.js');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [{
+  name: 'fixture',
+  type: Options.TYPES.STRING,
+  repeatable: true,
+  description: 'Only test the fixture of this name'
+}, {
+  name: 'update-snapshots',
+  description: 'Replace the snapshots with the current output'
+}, {
+  name: 'snapshots',
+  type: Options.TYPES.STRING,
+  description: [
+    'Directory holding the snapshots, EX: when testing a git or npm',
+    '  template. Relative paths are relative to the current directory'
+  ].join('\n'),
+  defaultHelp: `${Template.SNAPSHOT_DIRNAME} within the template directory`
+}, {
+  name: 'engine',
+  type: Options.TYPES.STRING,
+  description: 'Transform to generate the template with, see "run --help"'
+}, {
+  name: 'pattern',
+  type: Options.TYPES.STRING,
+  description: 'Regex used to identify variables by the regex engine'
+}, {
+  name: 'unknown-placeholders',
+  type: Options.TYPES.STRING,
+  description: 'Policy for placeholders without a variable, see "run --help"'
+}, {
+  name: 'refresh',
+  description: 'Fetch git and npm templates again, even if they are cached',
+  default: false
+}];
+
+const help = `
+Framework Factory Help
+Action: test
+
+Command Structure:
+  $ tf test <template> [options]
+
+Arguments:
+  - template:
+    The template to test, using any source accepted by "run"
+
+Generates the template with each of the fixtures declared in ${Manifest.FILENAME}, or with
+the variable defaults when it declares none, and compares the output byte for byte with
+the snapshot of each fixture. Snapshots are directories named after the fixtures, within
+the ${Template.SNAPSHOT_DIRNAME} directory of the template, which is never generated.
+Hooks are not run, and no ${Lockfile.FILENAME} is written
+
+Every file that differs from its snapshot is listed, with a diff of text files. Run with
+--update-snapshots to accept the output as the new snapshots once it is correct
+
+${Options.getHelp(options)}`;
+
+/**
+ * Lists the files, links and empty directories within a directory
+ *
+ * @param {string} dir Full path of the directory
+ *
+ * @return {Promise} Resolves with an object mapping relative paths, using '/' as the
+ * separator, to either 'file', 'link' or 'dir'. Directories that do not exist are empty
+ */
+const listTree = async (dir) => {
+  let entries = {};
+  if (!await FileUtil.exists(dir)) return entries;
+
+  let dirs = [];
+  let parents = new Set();
+  await FileUtil.getDirRecursive(dir, (relative, dirent) => {
+    parents.add(path.dirname(relative));
+
+    let kind = 'file';
+    if (dirent.isSymbolicLink()) kind = 'link';
+    if (dirent.isDirectory()) {
+      kind = 'dir';
+      dirs.push(relative);
+    }
+    entries[relative.split(path.sep).join('/')] = kind;
+    return true;
+  });
+
+  // Only empty directories are kept, the others are implied by their files
+  dirs.filter((relative) => parents.has(relative)).forEach((relative) => {
+    delete entries[relative.split(path.sep).join('/')];
+  });
+  return entries;
+};
+
+/**
+ * Compares a single path of the output with the snapshot
+ *
+ * @param {string} relative Relative path, using '/' as the separator
+ * @param {string} snapshotDir Full path of the snapshot
+ * @param {string} outputDir Full path of the output
+ * @param {string} kind Kind of the path in both, see `listTree`
+ *
+ * @return {Promise} Resolves with null if both are the same, or a description of the
+ * difference, which is a diff for text files
+ */
+const compare = async (relative, snapshotDir, outputDir, kind) => {
+  let expectedPath = path.join(snapshotDir, relative);
+  let actualPath = path.join(outputDir, relative);
+
+  if (kind === 'dir') return null;
+  if (kind === 'link') {
+    let expected = await FileUtil.readlink(expectedPath);
+    let actual = await FileUtil.readlink(actualPath);
+    return expected === actual ? null : `Link points to "${actual}" instead of "${expected}"`;
+  }
+
+  let expected = await FileUtil.readFile(expectedPath);
+  let actual = await FileUtil.readFile(actualPath);
+  if (expected.equals(actual)) return null;
+
+  let types = [await FileUtil.getFileType(expectedPath), await FileUtil.getFileType(actualPath)];
+  if (types.some((type) => type.binary)) {
+    return `Binary files differ (${expected.length} bytes expected, ${actual.length} bytes generated)`;
+  }
+
+  let diff = Diff.unified(FileUtil.decode(expected, types[0]), FileUtil.decode(actual, types[1]), {
+    oldName: `snapshot/${relative}`,
+    newName: `output/${relative}`
+  });
+  // Files that only differ in encoding or byte order mark have an empty diff
+  return diff || 'Files differ in encoding or byte order mark';
+};
+
+/**
+ * Compares the output of a fixture with its snapshot
+ *
+ * @param {string} snapshotDir Full path of the snapshot
+ * @param {string} outputDir Full path of the output
+ *
+ * @return {Promise} Resolves with an array of {path, status, diff} objects, where status
+ * is 'matched', 'changed', 'added' (only in the output) or 'missing' (only in the snapshot)
+ */
+const compareTrees = async (snapshotDir, outputDir) => {
+  let expected = await listTree(snapshotDir);
+  let actual = await listTree(outputDir);
+  let paths = Object.keys(Object.assign({}, expected, actual)).sort();
+
+  let files = [];
+  for (let relative of paths) {
+    if (!expected[relative]) {
+      files.push({path: relative, status: 'added', diff: null});
+    } else if (!actual[relative]) {
+      files.push({path: relative, status: 'missing', diff: null});
+    } else if (expected[relative] !== actual[relative]) {
+      let diff = `Expected a ${expected[relative]}, but a ${actual[relative]} was generated`;
+      files.push({path: relative, status: 'changed', diff});
+    } else {
+      let diff = await compare(relative, snapshotDir, outputDir, actual[relative]);
+      files.push({path: relative, status: diff ? 'changed' : 'matched', diff});
+    }
+  }
+  return files;
+};
+
+/**
+ * Generates the template with a single fixture
+ *
+ * @param {Args} args Processed arguments
+ * @param {Object} fixture Fixture in the form {name, vars}
+ * @param {string} dest Full path of the directory to generate into
+ *
+ * @return {Promise} Resolves on success, rejects if the template can not be generated
+ */
+const generateFixture = async (args, fixture, dest) => {
+  // Nothing logged while generating is output, only the comparison matters
+  let logger = new Logger({reporter: Logger.REPORTERS.JSON});
+  await generate({
+    template: args.template.dir,
+    vars: fixture.vars,
+    dest,
+    engine: args.opts.engine,
+    pattern: args.opts.pattern,
+    unknownPlaceholders: args.opts['unknown-placeholders'],
+    skipHooks: true,
+    answers: false,
+    lockfile: false,
+    logger
+  });
+};
+
+/**
+ * Tests the template with a single fixture, updating its snapshot if requested
+ *
+ * @param {Args} args Processed arguments
+ * @param {Object} fixture Fixture in the form {name, vars}
+ * @param {string} snapshotDir Full path of the snapshot of the fixture
+ *
+ * @return {Promise} Resolves with an object in the form {name, status, error, files},
+ * where status is 'passed', 'failed' or 'updated'
+ */
+const testFixture = async (args, fixture, snapshotDir) => {
+  let result = {name: fixture.name, status: 'passed', error: null, files: []};
+
+  if (args.opts['update-snapshots']) {
+    // The snapshot is only replaced once the output is complete. Generating next to it
+    // keeps both on the same device, so the output can be renamed into place
+    let outputDir = `${snapshotDir}.${process.pid}.tmp`;
+    try {
+      await generateFixture(args, fixture, outputDir);
+      await FileUtil.removeDir(snapshotDir);
+      await FileUtil.rename(outputDir, snapshotDir);
+    } catch (e) {
+      await FileUtil.removeDir(outputDir);
+      return Object.assign(result, {status: 'failed', error: e.message});
+    }
+    let files = Object.keys(await listTree(snapshotDir)).sort().map((relative) => {
+      return {path: relative, status: 'written', diff: null};
+    });
+    return Object.assign(result, {status: 'updated', files});
+  }
+
+  if (!await FileUtil.exists(snapshotDir)) {
+    return Object.assign(result, {status: 'failed', error: 'No snapshot exists yet, run with --update-snapshots'});
+  }
+
+  let outputDir = await FileUtil.mkdtemp(path.join(os.tmpdir(), 'uff-test-'));
+  try {
+    await generateFixture(args, fixture, outputDir);
+    result.files = await compareTrees(snapshotDir, outputDir);
+  } catch (e) {
+    return Object.assign(result, {status: 'failed', error: e.message});
+  } finally {
+    await FileUtil.removeDir(outputDir);
+  }
+
+  if (result.files.some((file) => file.status !== 'matched')) result.status = 'failed';
+  return result;
+};
+
+/**
+ * Logs the result of a single fixture
+ *
+ * @param {Logger} logger Logger to log with
+ * @param {Object} result Result from `testFixture`
+ */
+const printResult = (logger, result) => {
+  let line = `${result.status.padEnd(8)} ${result.name}`;
+  if (result.status !== 'failed') {
+    logger.info(line);
+    logger.group();
+    result.files.forEach((file) => logger.verbose(`${file.status.padEnd(8)} ${file.path}`));
+    logger.groupEnd();
+    return;
+  }
+
+  let differences = result.files.filter((file) => file.status !== 'matched');
+  logger.print(result.error ? `${line}: ${result.error}` : `${line}: ${differences.length} file(s) differ`);
+  logger.group();
+  result.files.forEach((file) => {
+    if (file.status === 'matched') {
+      logger.verbose(`${file.status.padEnd(8)} ${file.path}`);
+      return;
+    }
+    logger.print(`${file.status.padEnd(8)} ${file.path}`);
+    if (file.diff) {
+      logger.group();
+      logger.print(file.diff.replace(/\n$/, ''));
+      logger.groupEnd();
+    }
+  });
+  logger.groupEnd();
+};
+
+const exec = async (args) => {
+  let start = Date.now();
+  let logger = args.logger;
+  let template = args.template;
+  let metadata = await template.getMetadata();
+
+  let snapshotsDir = args.opts.snapshots ?
+    path.resolve(args.opts.snapshots) :
+    path.join(template.dir, Template.SNAPSHOT_DIRNAME);
+  logger.info(`Testing "${metadata.name}" from ${template.dir}`);
+  logger.verbose(`Snapshots: ${snapshotsDir}`);
+
+  let results = [];
+  logger.group();
+  for (let fixture of await template.loadFixtures(args.opts.fixture)) {
+    let result = await testFixture(args, fixture, path.join(snapshotsDir, fixture.name));
+    if (!logger.json) printResult(logger, result);
+    results.push(result);
+  }
+  logger.groupEnd();
+
+  let count = (status) => results.filter((result) => result.status === status).length;
+  logger.summary({Passed: count('passed'), Failed: count('failed'), Updated: count('updated')}, Date.now() - start);
+
+  let report = {
+    action: 'test',
+    template: metadata.name,
+    dir: template.dir,
+    snapshots: snapshotsDir,
+    fixtures: results.map((result) => {
+      return Object.assign({}, result, {files: result.files.filter((file) => file.status !== 'matched')});
+    })
+  };
+  if (count('failed') > 0) {
+    let e = new Error(`${count('failed')} of ${results.length} fixture(s) failed`);
+    e.report = report;
+    throw e;
+  }
+
+  logger.report(Object.assign({status: 'ok'}, report));
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
@@ -0,0 +1,418 @@
+'use strict';
+
+const FileUtil = require('../utils/file-util.js');
+const Diff = require('../utils/diff.js');
+const Lockfile = require('../utils/lockfile.js');
+const Options = require('../utils/options.js');
+const Staging = require('../utils/staging.js');
+const Template = require('../utils/template.js');
+const VarsFile = require('../utils/vars-file.js');
+const path = require('path');
+
+const Generator = require('../generator.js');
+
+/**
+ * Options accepted by the action, see `Options`
+ */
+const options = [{
+  name: 'dest',
+  type: Options.TYPES.STRING,
+  description: 'Relative path of the project to update',
+  default: '.',
+  defaultHelp: '. (the current directory)'
+}, {
+  name: 'merge',
+  type: Options.TYPES.STRING,
+  description: [
+    'What to do with files changed both by the user and by the template',
+    '  markers: Merge the changes, marking conflicting changes with',
+    '    <<<<<<< and >>>>>>> lines',
+    '  rej: Keep the file as it is, and write the template changes as',
+    '    a diff to <file>.rej'
+  ].join('\n'),
+  default: 'markers'
+}, {
+  name: 'unknown-placeholders',
+  type: Options.TYPES.STRING,
+  description: [
+    'What to do with placeholders that no variable fills',
+    '  error: Abort before writing anything',
+    '  leave: Output them as they are',
+    '  warn: Output them as they are, with a warning listing them'
+  ].join('\n'),
+  defaultHelp: 'the policy the project was generated with'
+}, {
+  name: 'refresh',
+  description: 'Use cached git and npm templates instead of fetching them again',
+  default: true
+}, {
+  name: 'interactive',
+  description: 'Never prompt for missing variables, failing instead',
+  default: true
+}, {
+  name: 'dry-run',
+  description: 'Show what would happen to each file without writing anything'
+}, {
+  name: 'vars-file',
+  type: Options.TYPES.STRING,
+  repeatable: true,
+  description: 'JSON, YAML or .env file to load variables from, see "run --help"'
+}];
+
+const help = `
+Framework Factory Help
+Action: update
+
+Command Structure:
+  $ tf update [template] [vars...] [options]
+
+Updates a project generated by "run" from the latest version of its template. How the
+project was generated is read from its ${Lockfile.FILENAME}, and the template is generated
+again with the same variables and options. Each file is then updated:
+  - Files that were not changed since they were generated are updated
+  - Files that were changed, but not by the template, are kept as they are
+  - Files that were changed both by the user and by the template are merged, see
+    --merge
+  - Files removed from the template are deleted, unless they were changed
+  - New template files are created
+  - New links and empty directories are created, unless something else is already
+    there. Links and empty directories removed from the template are left in place,
+    as the lockfile only lists files
+
+Merges compare each side with the content generated last time, kept in ~/.uff/bases (or
+$UFF_HOME/bases). When it is missing, EX: after "tf cache clean", the locked template
+version is generated again instead
+
+Arguments:
+  - template:
+    Template source to update from, using any source accepted by "run". Defaults to
+    the source the project was generated from. EX: git+https://github.com/org/web.git#v3
+
+  - vars:
+    Variables to add or change, Make style. The variables the project was generated
+    with are used for everything else. --vars-file and UFF_VAR_ variables are
+    supported as well
+
+${Options.getHelp(options)}`;
+
+/**
+ * Checks if an object has a property of its own, so paths such as "constructor" are not
+ * mistaken for members of Object.prototype
+ *
+ * @param {Object} object Object mapping relative paths to values
+ * @param {string} relative Relative path
+ *
+ * @return {boolean} True if the path is in the object
+ */
+const has = (object, relative) => Object.prototype.hasOwnProperty.call(object, relative);
+
+/**
+ * Generates every file of a template in memory
+ *
+ * @param {Args} args Processed arguments, with the template and vars to generate
+ * @param {string} destDir Full path of the destination directory
+ *
+ * @return {Promise} Resolves with an object in the form {files, others}. files maps
+ * relative paths, using '/' as the separator, to an object in the form {entry, content},
+ * and others maps the relative paths of links and empty directories to their plan entry
+ */
+const generate = async (args, destDir) => {
+  let files = {};
+  let others = {};
+  for (let entry of await Generator.createPlan(args, destDir)) {
+    let relative = entry.relative.split(path.sep).join('/');
+    if (['link', 'dir'].includes(entry.action)) {
+      others[relative] = entry;
+    } else if (['transform', 'copy'].includes(entry.action)) {
+      files[relative] = {entry, content: await Generator.render(args, entry)};
+    }
+  }
+  return {files, others};
+};
+
+/**
+ * Finds the files of the project as they were when it was last generated, to be used as
+ * the common original of each merge. The content kept when the project was generated is
+ * used first, see `Lockfile.loadBase`. Any other file is generated again from the locked
+ * template version, and only used if its content matches the hash in the lockfile, as
+ * bundled and local templates can not be pinned to the version that was generated
+ *
+ * @param {Args} args Processed arguments
+ * @param {string[]} relatives Paths of the files that need an original, using '/' as the
+ * separator
+ *
+ * @return {Promise} Resolves with an object mapping relative paths to Buffers
+ */
+const generateBase = async (args, relatives) => {
+  let lock = args.lock;
+
+  let base = {};
+  let missing = [];
+  for (let relative of relatives) {
+    let content = await Lockfile.loadBase(has(lock.files, relative) ? lock.files[relative] : null);
+    if (content) {
+      base[relative] = content;
+    } else {
+      missing.push(relative);
+    }
+  }
+  if (missing.length === 0) return base;
+
+  // Generate with the locked template version, vars and options, without changing args
+  let baseArgs = Object.create(args);
+  baseArgs.vars = Object.assign({}, lock.vars);
+  baseArgs.opts = Object.assign({}, args.opts, {
+    'engine': lock.opts.engine || undefined,
+    'pattern': lock.opts.pattern || undefined,
+    'unknown-placeholders': lock.opts['unknown-placeholders'] || undefined
+  });
+
+  try {
+    baseArgs.template = await Template.resolve(lock.getPinnedSource(), {templateDirs: args.TEMPLATE_DIRS});
+    await baseArgs.template.loadPlugins();
+    let {files} = await generate(baseArgs, args.destDir);
+    missing.filter((relative) => has(files, relative)).forEach((relative) => {
+      if (Lockfile.hash(files[relative].content) === lock.files[relative]) base[relative] = files[relative].content;
+    });
+  } catch (e) {
+    args.logger.warn(`Unable to generate the previous template version, changed files can not be merged: ${e.message}`);
+  }
+  return base;
+};
+
+/**
+ * Decides what happens to a single file
+ *
+ * @param {Args} args Processed arguments
+ * @param {Object} file Object in the form {relative, locked, current, next, base, type},
+ * with the locked hash, the current, newly generated and original content of the file,
+ * and the type of the template file, see `Template.getFileType`. Missing content is null
+ *
+ * @return {Object} Object in the form {outcome, content, rej}, where content is what the
+ * file should contain (null to delete it) and rej is the content of a `.rej` file, if any
+ */
+const decide = (args, file) => {
+  let {relative, locked, current, next, base, type} = file;
+  let currentHash = current ? Lockfile.hash(current) : null;
+
+  // Removed from the template
+  if (!next) {
+    if (!current) return {outcome: 'unchanged', content: null};
+    if (currentHash === locked) return {outcome: 'removed', content: null};
+    return {outcome: 'kept', content: current, note: 'removed from the template, but changed locally'};
+  }
+
+  if (!current) {
+    if (!locked) return {outcome: 'created', content: next};
+    if (Lockfile.hash(next) === locked) return {outcome: 'unchanged', content: null};
+    return {outcome: 'kept', content: null, note: 'deleted locally, but changed in the template'};
+  }
+
+  if (current.equals(next)) return {outcome: 'unchanged', content: current};
+  if (currentHash === locked) return {outcome: 'updated', content: next};
+  // Local changes to a file the template did not change need nothing done
+  if (locked && Lockfile.hash(next) === locked) return {outcome: 'unchanged', content: current};
+
+  // Both sides changed the file
+  if (!type.binary) {
+    let originalStr = base ? FileUtil.decode(base, type) : '';
+    let currentStr = FileUtil.decode(current, type);
+    let nextStr = FileUtil.decode(next, type);
+    let merged = Diff.merge3(originalStr, currentStr, nextStr, {
+      oursName: `${relative} (local)`,
+      theirsName: `${relative} (template)`
+    });
+    if (merged.conflicts === 0) return {outcome: 'merged', content: FileUtil.encode(merged.content, type)};
+
+    if (args.mergePolicy === args.MERGE_POLICIES.MARKERS) {
+      return {outcome: 'conflict', content: FileUtil.encode(merged.content, type)};
+    }
+
+    let rej = Diff.unified(base ? originalStr : currentStr, nextStr, {
+      oldName: `a/${relative}`,
+      newName: `b/${relative}`
+    });
+    return {outcome: 'conflict', content: current, rej: Buffer.from(rej)};
+  }
+
+  // Binary files can not be merged, so the new version is set aside
+  return {outcome: 'conflict', content: current, rej: next};
+};
+
+/**
+ * Decides what happens to a link or an empty directory of the template. They are only
+ * created when nothing is at their destination, as the lockfile does not list them
+ *
+ * @param {Object} entry Plan entry of the link or directory, see `Generator.createPlan`
+ *
+ * @return {Promise} Resolves with an object in the form {outcome, content, note}
+ */
+const decideOther = async (entry) => {
+  if (!await FileUtil.lexists(entry.dest)) return {outcome: 'created', content: null};
+  if (await Generator.isUnchanged(entry, null)) return {outcome: 'unchanged', content: null};
+
+  let what = entry.action === 'link' ? `a link to "${entry.target}"` : 'an empty directory';
+  return {outcome: 'kept', content: null, note: `${what} in the template, but something else locally`};
+};
+
+const exec = async (args) => {
+  let start = Date.now();
+  let logger = args.logger;
+  let destDir = args.destDir;
+  let lock = args.lock;
+
+  let {files: nextFiles, others} = await generate(args, destDir);
+  let base = await generateBase(args, Object.keys(nextFiles).filter((relative) => {
+    return has(lock.files, relative) && !nextFiles[relative].entry.type.binary;
+  }));
+
+  let relatives = Object.keys(lock.files).concat(Object.keys(nextFiles), Object.keys(others))
+      .filter((relative, index, all) => all.indexOf(relative) === index)
+      .sort();
+
+  let results = [];
+  for (let relative of relatives) {
+    let dest = path.join(destDir, ...relative.split('/'));
+    if (has(others, relative)) {
+      let entry = others[relative];
+      results.push(Object.assign({relative, dest, current: null, entry}, await decideOther(entry)));
+      continue;
+    }
+
+    let current = await FileUtil.exists(dest) ? await FileUtil.readFile(dest) : null;
+    let next = has(nextFiles, relative) ? nextFiles[relative].content : null;
+    let type = has(nextFiles, relative) ? nextFiles[relative].entry.type : null;
+    let locked = has(lock.files, relative) ? lock.files[relative] : null;
+
+    let original = has(base, relative) ? base[relative] : null;
+
+    let result = decide(args, {relative, locked, current, next, base: original, type});
+    results.push(Object.assign({relative, dest, current}, result));
+  }
+
+  const LABELS = {
+    created: 'Created',
+    updated: 'Updated',
+    merged: 'Merged',
+    conflict: 'Conflicts',
+    removed: 'Removed',
+    kept: 'Kept local version',
+    unchanged: 'Unchanged'
+  };
+
+  if (args.opts['dry-run']) {
+    logger.info('Dry Run (no files will be written):');
+  } else {
+    let staging = await Staging.create(logger);
+    try {
+      let files = [];
+      let stageFile = async (relative, dest, content) => {
+        let staged = staging.getPath(relative);
+        await FileUtil.makeDir(path.dirname(staged));
+        await FileUtil.writeFile(staged, content);
+        files.push({staged, dest});
+      };
+
+      for (let result of results) {
+        if (result.entry && result.outcome === 'created') {
+          let staged = staging.getPath(result.relative);
+          await FileUtil.makeDir(path.dirname(staged));
+          if (result.entry.action === 'link') {
+            await FileUtil.symlink(result.entry.target, staged);
+          } else {
+            await FileUtil.makeDir(staged);
+          }
+          files.push({staged, dest: result.dest});
+        }
+        if (result.content && !(result.current && result.current.equals(result.content))) {
+          await stageFile(result.relative, result.dest, result.content);
+        }
+        if (result.rej) await stageFile(`${result.relative}.rej`, `${result.dest}.rej`, result.rej);
+      }
+
+      // The new lockfile describes the new template version
+      let hashes = {};
+      Object.keys(nextFiles).forEach((relative) => hashes[relative] = Lockfile.hash(nextFiles[relative].content));
+      let lockfile = Lockfile.create(args.template, args, hashes);
+      await stageFile(Lockfile.FILENAME, path.join(destDir, Lockfile.FILENAME), lockfile.toString());
+
+      let answersPath = path.join(destDir, VarsFile.ANSWERS_FILENAME);
+      if (await FileUtil.exists(answersPath)) {
+        await stageFile(VarsFile.ANSWERS_FILENAME, answersPath, `${JSON.stringify(args.vars, null, 2)}\n`);
+      }
+
+      // The new versions are the originals of the next update
+      try {
+        for (let relative of Object.keys(nextFiles).filter((relative) => !nextFiles[relative].entry.type.binary)) {
+          await Lockfile.storeBase(nextFiles[relative].content);
+        }
+      } catch (e) {
+        logger.warn(`Unable to keep the generated files for later updates: ${e.message}`);
+      }
+
+      await staging.commit(files);
+    } finally {
+      await staging.cleanup();
+    }
+
+    for (let result of results.filter((result) => result.outcome === 'removed')) {
+      await FileUtil.unlink(result.dest);
+    }
+
+    logger.info('Updating Files:');
+  }
+
+  logger.group();
+  results.forEach((result) => {
+    let details = result.note ? ` [${result.note}]` : result.rej ? ` [see ${result.relative}.rej]` : '';
+    let line = `${result.outcome.padEnd(10)} ${result.relative}${details}`;
+    // Unchanged files are only listed when verbose
+    if (result.outcome === 'unchanged') {
+      logger.verbose(line);
+    } else {
+      logger.info(line);
+    }
+  });
+  logger.groupEnd();
+
+  let summary = {};
+  let counts = {};
+  Object.keys(LABELS).forEach((outcome) => {
+    summary[outcome] = results.filter((result) => result.outcome === outcome).length;
+    counts[LABELS[outcome]] = summary[outcome];
+  });
+  summary.duration = Date.now() - start;
+  if (results.every((result) => result.outcome === 'unchanged')) {
+    logger.info('Nothing to update');
+  } else {
+    logger.summary(counts, summary.duration);
+  }
+
+  let hasConflicts = results.some((result) => result.outcome === 'conflict');
+  if (!args.opts['dry-run'] && hasConflicts) {
+    logger.warn(args.mergePolicy === args.MERGE_POLICIES.MARKERS ?
+      'Resolve the conflicts marked with <<<<<<< and >>>>>>> in the files listed above' :
+      'Apply the template changes in the .rej files listed above by hand');
+  }
+
+  logger.report({
+    status: hasConflicts ? 'conflict' : 'ok',
+    action: 'update',
+    dryRun: !!args.opts['dry-run'],
+    template: args.template.name,
+    dest: destDir,
+    summary,
+    files: results.map((result) => {
+      return {
+        path: result.relative,
+        outcome: result.outcome,
+        note: result.note || null,
+        rej: result.rej ? `${result.relative}.rej` : null
+      };
+    })
+  });
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.options = options;
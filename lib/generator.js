@@ -0,0 +1,604 @@
+'use strict';
+
+const EventEmitter = require('events');
+const path = require('path');
+const FileUtil = require('./utils/file-util.js');
+const Diff = require('./utils/diff.js');
+const Hooks = require('./utils/hooks.js');
+const Lockfile = require('./utils/lockfile.js');
+const Prompt = require('./utils/prompt.js');
+const Staging = require('./utils/staging.js');
+const VarsFile = require('./utils/vars-file.js');
+
+/**
+ * The Generator class generates a template into a destination directory, as described
+ * by a validated Args instance. It is used by the `run` action as well as the
+ * programmatic API, and reports its progress through the following events:
+ * - 'plan' (plan): The files of the template have been listed. See `createPlan`
+ * - 'file' (file): A file was generated, skipped or left alone. Emitted for every plan
+ *   entry once the destination has been written, in the form {path, dest, action, outcome}
+ * - 'commit' (result): Every file has been written, and the hooks are about to run
+ * - 'hook' (event): A post-generate hook started, finished or failed, in the form
+ *   {index, total, name, status, duration, error}. See `Hooks.run`
+ * - 'done' (result): Generation has finished. See `run`
+ */
+class Generator extends EventEmitter {
+  /**
+   * @param {Args} args Validated arguments, see `Args.validate`
+   */
+  constructor(args) {
+    super();
+    this.args = args;
+  }
+
+  /**
+   * Creates a new set of transform functions, bound to a shared transform object
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {Object} Object containing the `transform` and `flush` functions
+   */
+  static createTransform(args) {
+    let Engine = args.template.getEngine(args.engine);
+    let engine = new Engine(args);
+    return {
+      transform: engine.transform.bind(engine),
+      flush: engine.flush.bind(engine)
+    };
+  }
+
+  /**
+   * Creates the chain of transforms a file is rendered with: the engine, followed by the
+   * transforms the template manifest applies to the file, in the order they are declared.
+   * See `Manifest.normalizeTransforms`
+   *
+   * @param {Args} args Processed arguments
+   * @param {Object} entry Plan entry of the file, see `createPlan`
+   *
+   * @return {Object[]} Array of objects containing the `transform` and `flush` functions
+   */
+  static createTransforms(args, entry) {
+    let relative = args.template.getRelativePath(entry.source);
+    return [Generator.createTransform(args)].concat(args.template.manifest.getTransforms(relative).map((rule) => {
+      let Transform = args.template.getTransform(rule.name);
+      let transform = new Transform(args, Object.assign({}, rule.options));
+      return {
+        transform: transform.transform.bind(transform),
+        flush: transform.flush.bind(transform)
+      };
+    }));
+  }
+
+  /**
+   * Replaces the placeholders in each segment of a relative template path. Every segment
+   * must still be a single, valid file or directory name afterwards
+   *
+   * @param {Object} engine Transform object used to replace the placeholders
+   * @param {string} templatePath Path of a file, relative to the template directory
+   *
+   * @return {string} The path with all placeholders replaced
+   */
+  static renderPath(engine, templatePath) {
+    return templatePath.split(path.sep).map((segment) => {
+      let rendered;
+      try {
+        rendered = engine.replace(segment);
+      } catch (e) {
+        throw new Error(`Unable to generate the path of "${templatePath}": ${e.message}`);
+      }
+
+      if (!rendered || rendered === '.' || rendered === '..' || /[\\/]/.test(rendered)) {
+        throw new Error(`Unable to generate the path of "${templatePath}": "${segment}" became invalid name "${rendered}"`);
+      }
+      return rendered;
+    }).join(path.sep);
+  }
+
+  /**
+   * Determines what should happen to each file of the template
+   *
+   * @param {Args} args Processed arguments
+   * @param {string} destDir Full path of the destination directory
+   *
+   * @return {Promise} Resolves with an array of plan entries in the form
+   * {source, dest, relative, action, reason, type, target}, where action is one of
+   * 'transform', 'copy', 'link', 'dir' (an empty directory), 'record' (the lockfile and
+   * answers file, see `renderRecord`) or 'skip', type is the file type, see
+   * `Template.getFileType`, and target is the target of a link
+   */
+  static async createPlan(args, destDir) {
+    let {included, excluded, emptyDirs} = await args.template.listFiles(args.vars);
+    let Engine = args.template.getEngine(args.engine);
+    let engine = new Engine(args);
+    let dests = new Map();
+
+    let plan = [];
+    for (let source of included) {
+      // The destination mirrors the location of the file within the template, with any
+      // placeholders in the path replaced
+      let templatePath = args.template.getRelativePath(source);
+      let relative = Generator.renderPath(engine, templatePath);
+      let entry = {source, dest: path.join(destDir, relative), relative};
+
+      // Links are recreated, and binary and verbatim files are copied as they are
+      entry.type = await args.template.getFileType(source);
+      if (entry.type.link) {
+        entry.action = 'link';
+        entry.target = await Generator.getLinkTarget(entry, destDir);
+      } else if (entry.type.binary || entry.type.verbatim) {
+        entry.action = 'copy';
+        entry.reason = entry.type.reason;
+      } else {
+        entry.action = 'transform';
+      }
+
+      // Two template files must never end up in the same place
+      if (dests.has(relative)) {
+        throw new Error(`Both "${dests.get(relative)}" and "${templatePath}" would be generated as "${relative}"`);
+      }
+      dests.set(relative, templatePath);
+
+      plan.push(entry);
+    }
+
+    // Empty directories are created, with placeholders in their paths replaced as well
+    emptyDirs.forEach((source) => {
+      let relative = Generator.renderPath(engine, args.template.getRelativePath(source));
+      plan.push({source, dest: path.join(destDir, relative), relative, action: 'dir'});
+    });
+
+    // The files recording how the project was generated are written like any other file
+    let records = [];
+    if (args.opts.lockfile !== false) records.push(Lockfile.FILENAME);
+    if (args.opts.answers !== false) records.push(VarsFile.ANSWERS_FILENAME);
+    records.forEach((relative) => {
+      if (dests.has(relative)) {
+        throw new Error(`"${dests.get(relative)}" would be generated as "${relative}", which is reserved by uff`);
+      }
+      let type = {binary: false, encoding: 'utf8', bom: false, reason: null};
+      plan.push({source: null, dest: path.join(destDir, relative), relative, action: 'record', type});
+    });
+
+    // Excluded files are kept in the plan so they can be reported
+    excluded.forEach((file) => {
+      plan.push({source: file.source, relative: file.path, action: 'skip', reason: file.reason});
+    });
+
+    return plan;
+  }
+
+  /**
+   * Gets the target a symbolic link of the template is recreated with. Links must be
+   * relative, and must point inside the destination directory once generated
+   *
+   * @param {Object} entry Plan entry of the link, with its source, dest and relative path
+   * @param {string} destDir Full path of the destination directory
+   *
+   * @return {Promise} Resolves with the target, rejects if it is not allowed
+   */
+  static async getLinkTarget(entry, destDir) {
+    let target = await FileUtil.readlink(entry.source);
+    let resolved = path.resolve(path.dirname(entry.dest), target);
+
+    if (path.isAbsolute(target) || (resolved !== destDir && !resolved.startsWith(destDir + path.sep))) {
+      throw new Error(`Symbolic link "${entry.relative}" points outside of the destination: "${target}"`);
+    }
+    return target;
+  }
+
+  /**
+   * Checks if the destination of a plan entry already holds what would be generated
+   *
+   * @param {Object} entry Plan entry
+   * @param {Buffer|null} content Generated content of a file, not used for links and
+   * directories
+   *
+   * @return {Promise} Resolves with true if nothing would change
+   */
+  static async isUnchanged(entry, content) {
+    let stats = await FileUtil.lstat(entry.dest);
+    if (entry.action === 'dir') return stats.isDirectory();
+    if (entry.action === 'link') return stats.isSymbolicLink() && await FileUtil.readlink(entry.dest) === entry.target;
+    return stats.isFile() && (await FileUtil.readFile(entry.dest)).equals(content);
+  }
+
+  /**
+   * Counts what happened to the files of a plan. Dry runs are counted by what would happen
+   *
+   * @param {Object[]} plan Plan entries with an outcome, or a status for dry runs
+   * @param {number} start Time generation started, in milliseconds
+   *
+   * @return {Object} Object in the form
+   * {created, overwritten, unchanged, kept, skipped, transformed, copied, duration}, where
+   * transformed and copied count the files written by how they were generated, links
+   * counting as copied, and duration is in milliseconds
+   */
+  static summarize(plan, start) {
+    const OUTCOMES = {
+      created: 'created',
+      overwritten: 'overwritten',
+      backedUp: 'overwritten',
+      kept: 'kept',
+      unchanged: 'unchanged',
+      skipped: 'skipped',
+      create: 'created',
+      overwrite: 'overwritten',
+      skip: 'skipped'
+    };
+
+    let summary = {created: 0, overwritten: 0, unchanged: 0, kept: 0, skipped: 0, transformed: 0, copied: 0};
+    plan.forEach((entry) => {
+      let outcome = OUTCOMES[entry.outcome || entry.status];
+      summary[outcome]++;
+      if (outcome === 'created' || outcome === 'overwritten') {
+        if (entry.action === 'transform') summary.transformed++;
+        if (entry.action === 'copy' || entry.action === 'link') summary.copied++;
+      }
+    });
+    summary.duration = Date.now() - start;
+    return summary;
+  }
+
+  /**
+   * Runs the full transform pipeline on a single plan entry in memory
+   *
+   * @param {Args} args Processed arguments
+   * @param {Object} entry Plan entry from `createPlan`
+   *
+   * @return {Promise} Resolves with a Buffer of the generated content
+   */
+  static async render(args, entry) {
+    if (entry.action === 'copy') {
+      return FileUtil.readFile(entry.source);
+    }
+    return FileUtil.transformBuffer(entry.source, Generator.createTransforms(args, entry), null, entry.type);
+  }
+
+  /**
+   * Renders a file recording how the project was generated: the lockfile, so the project
+   * can be updated later, or the answers file, so it can be generated again with the same
+   * vars
+   *
+   * @param {Args} args Processed arguments
+   * @param {Object} entry Plan entry of the record
+   * @param {Object} contents Map of the relative path of every generated file, using '/' as
+   * the separator, to its generated content
+   *
+   * @return {Buffer} The content of the record
+   */
+  static renderRecord(args, entry, contents) {
+    if (entry.relative === VarsFile.ANSWERS_FILENAME) {
+      return Buffer.from(`${JSON.stringify(args.vars, null, 2)}\n`);
+    }
+    let hashes = {};
+    Object.keys(contents).forEach((relative) => hashes[relative] = Lockfile.hash(contents[relative]));
+    return Buffer.from(Lockfile.create(args.template, args, hashes).toString());
+  }
+
+  /**
+   * Generates the template. With the `dry-run` option nothing is written, and each
+   * file is given a `status` of 'create', 'overwrite', 'unchanged' or 'skip' instead of
+   * an outcome, along with a `diff` of any overwritten text file
+   *
+   * @return {Promise} Resolves with the result in the form
+   * {dryRun, template, dest, vars, files, written, transformed, copied, skipped, hooks, summary},
+   * where files holds every plan entry, written the full path of every file written,
+   * transformed and copied the paths of the generated files by how they were generated,
+   * skipped the paths of the files that were not written, hooks the post-generate hooks
+   * along with their status, and summary the counts described by `summarize`. Paths are
+   * relative to the destination unless noted
+   */
+  async run() {
+    let start = Date.now();
+    let args = this.args;
+    let destDir = args.destDir;
+    let hooks = args.template.manifest.hooks;
+
+    let plan = await Generator.createPlan(args, destDir);
+    this.emit('plan', plan);
+
+    let result = {
+      dryRun: !!args.opts['dry-run'],
+      template: args.template.name,
+      dest: destDir,
+      vars: args.vars,
+      files: plan,
+      written: [],
+      transformed: [],
+      copied: [],
+      skipped: [],
+      hooks: hooks.map((hook) => ({name: hook.name, status: args.opts['skip-hooks'] ? 'skipped' : 'pending'}))
+    };
+
+    if (result.dryRun) {
+      await this.preview(plan);
+      result.summary = Generator.summarize(plan, start);
+      this.emit('done', result);
+      return result;
+    }
+
+    // Generate everything into a staging directory first, so a failure in any file
+    // leaves the destination untouched
+    let staging = await Staging.create(args.logger);
+    try {
+      await this.stage(plan, staging);
+      await this.resolveConflicts(plan);
+      await this.storeBases(plan);
+      result.written = await this.commit(plan, staging);
+    } finally {
+      await staging.cleanup();
+    }
+
+    plan.forEach((entry) => {
+      let written = ['created', 'overwritten', 'backedUp'].includes(entry.outcome);
+      if (written && entry.action === 'transform') result.transformed.push(entry.relative);
+      if (written && ['copy', 'link'].includes(entry.action)) result.copied.push(entry.relative);
+      if (!written) result.skipped.push(entry.relative);
+      this.emit('file', {path: entry.relative, dest: entry.dest || null, action: entry.action, outcome: entry.outcome});
+    });
+    result.summary = Generator.summarize(plan, start);
+    this.emit('commit', result);
+
+    if (!args.opts['skip-hooks']) {
+      let context = {vars: args.vars, destDir, templateDir: args.template.dir, stdio: this.getHookStdio()};
+      try {
+        await Hooks.run(hooks, context, (event) => {
+          result.hooks[event.index].status = event.status;
+          this.emit('hook', event);
+        });
+      } catch (e) {
+        result.summary.duration = Date.now() - start;
+        e.result = result;
+        throw e;
+      }
+    }
+
+    result.summary.duration = Date.now() - start;
+    this.emit('done', result);
+    return result;
+  }
+
+  /**
+   * Decides where the output of command hooks goes. Hooks write to the terminal as usual,
+   * except with the JSON reporter, where stdout is reserved for the report and hook output
+   * goes to stderr instead, and when quiet, where only errors of the hooks are shown
+   *
+   * @return {string|Array} The stdio option passed on to child_process.spawn
+   */
+  getHookStdio() {
+    let logger = this.args.logger;
+    if (logger && logger.json) return ['inherit', process.stderr, 'inherit'];
+    if (logger && logger.quiet) return ['inherit', 'ignore', 'inherit'];
+    return 'inherit';
+  }
+
+  /**
+   * Runs the full transform pipeline in memory, and works out what would be written
+   * without touching the destination
+   *
+   * @param {Object[]} plan Plan entries from `createPlan`
+   *
+   * @return {Promise} Resolves once every entry has a status
+   */
+  async preview(plan) {
+    // Records are rendered last, from the content of every generated file
+    let contents = {};
+    let ordered = plan.filter((entry) => entry.action !== 'record').concat(plan.filter((entry) => entry.action === 'record'));
+    for (let entry of ordered) {
+      if (entry.action === 'skip') {
+        entry.status = 'skip';
+        continue;
+      }
+
+      let content = null;
+      if (['transform', 'copy'].includes(entry.action)) {
+        content = await Generator.render(this.args, entry);
+        contents[entry.relative.split(path.sep).join('/')] = content;
+      } else if (entry.action === 'record') {
+        content = Generator.renderRecord(this.args, entry, contents);
+      }
+
+      if (!await FileUtil.lexists(entry.dest)) {
+        entry.status = 'create';
+        continue;
+      }
+
+      if (await Generator.isUnchanged(entry, content)) {
+        entry.status = 'unchanged';
+        continue;
+      }
+
+      entry.status = 'overwrite';
+      let existing = (await FileUtil.lstat(entry.dest)).isFile() ? await FileUtil.readFile(entry.dest) : null;
+      if ((['transform', 'record'].includes(entry.action) || entry.type.verbatim) && existing) {
+        entry.diff = Diff.unified(FileUtil.decode(existing, entry.type), FileUtil.decode(content, entry.type), {
+          oldName: `a/${entry.relative}`,
+          newName: `b/${entry.relative}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Generates every planned file into the staging directory. All files are generated
+   * even if one fails, so the staging directory is not in use when it is cleaned up
+   *
+   * @param {Object[]} plan Plan entries from `createPlan`
+   * @param {Staging} staging Staging directory to generate into
+   *
+   * @return {Promise} Resolves on success, rejects with the first error encountered
+   */
+  async stage(plan, staging) {
+    let errors = [];
+
+    // Directories are created once the files are in place, see `commit`, and records are
+    // rendered from the staged files
+    await Promise.all(plan.filter((entry) => !['skip', 'dir', 'record'].includes(entry.action)).map(async (entry) => {
+      entry.staged = staging.getPath(entry.relative);
+      entry.backup = staging.getBackupPath(entry.relative);
+
+      try {
+        if (entry.action === 'link') {
+          await FileUtil.symlink(entry.target, entry.staged);
+          return;
+        }
+        // Verbatim text files are copied the same way as binary files
+        let type = entry.action === 'copy' ? Object.assign({}, entry.type, {binary: true}) : entry.type;
+        let transforms = entry.action === 'copy' ? [] : Generator.createTransforms(this.args, entry);
+        await FileUtil.transformCopy(entry.source, entry.staged, transforms, null, type);
+      } catch (e) {
+        errors.push(new Error(`Unable to generate "${entry.relative}": ${e.message}`));
+      }
+    }));
+
+    if (errors.length > 0) throw errors[0];
+
+    let contents = {};
+    for (let entry of plan.filter((entry) => ['transform', 'copy'].includes(entry.action))) {
+      contents[entry.relative.split(path.sep).join('/')] = await FileUtil.readFile(entry.staged);
+    }
+    for (let entry of plan.filter((entry) => entry.action === 'record')) {
+      entry.staged = staging.getPath(entry.relative);
+      entry.backup = staging.getBackupPath(entry.relative);
+      await FileUtil.makeDir(path.dirname(entry.staged));
+      await FileUtil.writeFile(entry.staged, Generator.renderRecord(this.args, entry, contents));
+    }
+  }
+
+  /**
+   * Decides what happens to each staged file that already exists at the destination,
+   * based on the conflict policy. The decision is stored as the `outcome` of each entry,
+   * one of 'created', 'overwritten', 'backedUp', 'kept', 'unchanged' or 'skipped'
+   *
+   * @param {Object[]} plan Plan entries from `createPlan`
+   *
+   * @return {Promise} Resolves once every entry has an outcome, rejects if the policy
+   * does not allow conflicts
+   */
+  async resolveConflicts(plan) {
+    const POLICIES = this.args.CONFLICT_POLICIES;
+    let policy = this.args.conflictPolicy;
+    let conflicts = [];
+
+    for (let entry of plan) {
+      let isFile = ['transform', 'copy', 'record'].includes(entry.action);
+
+      if (entry.action === 'skip') {
+        entry.outcome = 'skipped';
+      } else if (!await FileUtil.lexists(entry.dest)) {
+        entry.outcome = 'created';
+      } else if (await Generator.isUnchanged(entry, isFile ? await FileUtil.readFile(entry.staged) : null)) {
+        // Identical files are not conflicts
+        entry.outcome = 'unchanged';
+      } else if (entry.action === 'dir') {
+        throw new Error(`Unable to create directory "${entry.relative}", a file already exists at the destination`);
+      } else if ((await FileUtil.lstat(entry.dest)).isDirectory()) {
+        // Replacing a directory would remove everything within it, whatever the policy
+        throw new Error(`Unable to create file "${entry.relative}", a directory already exists at the destination`);
+      } else {
+        conflicts.push(entry);
+      }
+    }
+
+    if (conflicts.length === 0) return;
+
+    if (policy === POLICIES.FAIL) {
+      let files = conflicts.map((entry) => entry.relative);
+      throw new Error(`Aborting, files already exist at the destination:\n  - ${files.join('\n  - ')}`);
+    }
+
+    if (policy !== POLICIES.PROMPT) {
+      let outcome = {
+        [POLICIES.SKIP]: 'kept',
+        [POLICIES.OVERWRITE]: 'overwritten',
+        [POLICIES.BACKUP]: 'backedUp'
+      }[policy];
+      conflicts.forEach((entry) => entry.outcome = outcome);
+      return;
+    }
+
+    // Ask about each conflict, one at a time
+    const ANSWERS = {
+      y: 'overwritten',
+      n: 'kept',
+      b: 'backedUp'
+    };
+    await Prompt.session(async (ask) => {
+      let all = null;
+      for (let entry of conflicts) {
+        while (!entry.outcome) {
+          if (all) {
+            entry.outcome = all;
+            break;
+          }
+
+          let answer = (await ask(`Overwrite ${entry.relative}? [y]es, [n]o, [b]ackup, [a]ll, [q]uit: `)).toLowerCase();
+          if (answer === 'q') throw new Error('Aborted, no files were written');
+          if (answer === 'a') all = 'overwritten';
+          entry.outcome = ANSWERS[answer];
+        }
+      }
+    }, this.args.logger.promptStream);
+  }
+
+  /**
+   * Keeps the generated content of every text file, as the common original of later
+   * updates, see `Lockfile.storeBase`. Nothing is kept unless the lockfile is written or
+   * already up to date, as only the lockfile leads an update to the content. Failing to
+   * keep it only stops later updates from merging as well, so it is not an error
+   *
+   * @param {Object[]} plan Plan entries with outcomes, see `resolveConflicts`
+   *
+   * @return {Promise} Resolves once every file is kept
+   */
+  async storeBases(plan) {
+    let lockfile = plan.find((entry) => entry.action === 'record' && entry.relative === Lockfile.FILENAME);
+    if (!lockfile || !['created', 'overwritten', 'backedUp', 'unchanged'].includes(lockfile.outcome)) return;
+
+    try {
+      for (let entry of plan.filter((entry) => ['transform', 'copy'].includes(entry.action) && !entry.type.binary)) {
+        await Lockfile.storeBase(await FileUtil.readFile(entry.staged));
+      }
+    } catch (e) {
+      this.args.logger.warn(`Unable to keep the generated files for later updates: ${e.message}`);
+    }
+  }
+
+  /**
+   * Moves the staged files to the destination, along with any backups, then creates any
+   * empty directories
+   *
+   * @param {Object[]} plan Plan entries with outcomes, see `resolveConflicts`
+   * @param {Staging} staging Staging directory the files were generated into
+   *
+   * @return {Promise} Resolves with the full path of every file written
+   */
+  async commit(plan, staging) {
+    let files = [];
+    plan.forEach((entry) => {
+      if (entry.action === 'dir' || !['created', 'overwritten', 'backedUp'].includes(entry.outcome)) return;
+      if (entry.outcome === 'backedUp') {
+        // Backups are committed alongside the generated files
+        files.push({staged: entry.backup, dest: `${entry.dest}.orig`});
+      }
+      files.push({staged: entry.staged, dest: entry.dest});
+    });
+
+    // Back up existing files into the staging directory before anything is moved
+    for (let entry of plan.filter((entry) => entry.outcome === 'backedUp')) {
+      await FileUtil.makeDir(path.dirname(entry.backup));
+      await FileUtil.copyFile(entry.dest, entry.backup);
+    }
+
+    await staging.commit(files);
+
+    let dirs = plan.filter((entry) => entry.action === 'dir' && entry.outcome === 'created');
+    for (let entry of dirs) {
+      await FileUtil.makeDir(entry.dest);
+    }
+
+    return files.map((file) => file.dest).concat(dirs.map((entry) => entry.dest));
+  }
+}
+
+module.exports = Generator;
@@ -0,0 +1,41 @@
+'use strict';
+
+const Args = require('./utils/args.js');
+const Generator = require('./generator.js');
+
+/**
+ * Generates a template without going through the command line. EX:
+```
+  const {generate} = require('ultimate-framework-factory');
+
+  let result = await generate({
+    template: 'trifoia-static-web',
+    vars: {NAME: 'testing', DESCRIPTION: 'Testing description'},
+    dest: 'build',
+    on: {file: (file) => console.log(file.outcome, file.path)}
+  });
+```
+ *
+ * @param {Object} options Options in the form {template, vars, dest, pattern, engine,
+ * onConflict, unknownPlaceholders, varsFile, dryRun, skipHooks, answers, lockfile,
+ * refresh, interactive, logger, on}. Every option except `template` is optional, see
+ * `Args.fromOptions`. `on` maps event names to listeners, see `Generator` for all events
+ *
+ * @return {Promise} Resolves with the result of `Generator.run`, rejects if the options
+ * are invalid or generation fails
+ */
+const generate = async (options) => {
+  if (!options || !options.template) {
+    throw new Error('Invalid options: Must provide a template');
+  }
+
+  let args = Args.fromOptions('run', options);
+  await args.validate();
+
+  let generator = new Generator(args);
+  Object.keys(options.on || {}).forEach((event) => generator.on(event, options.on[event]));
+  return generator.run();
+};
+
+module.exports.generate = generate;
+module.exports.Generator = Generator;
@@ -0,0 +1,103 @@
+'use strict';
+
+const RegexMatch = require('./regex-match.js');
+const TemplateEngine = require('./template-engine.js');
+
+/**
+ * All transforms that templates can be rendered with, keyed by the name used to select
+ * them with the `--engine` option or the `engine` manifest property
+ */
+const TRANSFORMS = {
+  regex: RegexMatch,
+  template: TemplateEngine
+};
+
+/**
+ * Name of the transform used when none is selected
+ */
+const DEFAULT = 'regex';
+
+/**
+ * Static functions every engine implements, see `Transforms`
+ */
+const ENGINE_FUNCTIONS = ['scan', 'findVar', 'getVarName', 'findPlaceholders'];
+
+/**
+ * Pseudo-Static class provides access to all available transforms. Every transform is a
+ * class whose constructor takes the processed arguments, and that implements
+ * `transform` and `flush` stream functions, as used by `FileUtil.transformCopy`.
+ * Transforms that render templates, called engines, also implement:
+ * - `replace(str)`, which transforms a single string such as a file name
+ * - static `scan(filePaths, args, baseDir)`, `findVar(placeholder, vars)`,
+ *   `getVarName(placeholder)` and `findPlaceholders(str, args)` functions, used to find
+ *   missing vars before generating
+ *
+ * Plugins of the user config may register more transforms, see `Plugins`
+ */
+class Transforms {
+  static get DEFAULT() {
+    return DEFAULT;
+  }
+
+  /**
+   * @return {string[]} Names of all available transforms
+   */
+  static names() {
+    return Object.keys(TRANSFORMS);
+  }
+
+  /**
+   * Checks if a transform is registered
+   *
+   * @param {string} name Name of the transform
+   *
+   * @return {boolean} If there is a transform of that name
+   */
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(TRANSFORMS, name);
+  }
+
+  /**
+   * Checks if a transform can render templates, see `Transforms`
+   *
+   * @param {Function} Transform The transform class
+   *
+   * @return {boolean} If the transform is an engine
+   */
+  static isEngine(Transform) {
+    return typeof Transform.prototype.replace === 'function' &&
+      ENGINE_FUNCTIONS.every((name) => typeof Transform[name] === 'function');
+  }
+
+  /**
+   * Registers a transform added by a plugin. Registering the same transform again does
+   * nothing
+   *
+   * @param {string} name Name of the transform
+   * @param {Function} Transform The transform class
+   * @param {string} spec The plugin adding the transform, used in errors
+   */
+  static register(name, Transform, spec) {
+    if (TRANSFORMS[name] === Transform) return;
+    if (Transforms.has(name)) {
+      throw new Error(`Invalid plugin "${spec}": Transform "${name}" already exists`);
+    }
+    TRANSFORMS[name] = Transform;
+  }
+
+  /**
+   * Gets a transform class by name
+   *
+   * @param {string} name Name of the transform
+   *
+   * @return {Function} The transform class. An error is thrown if there is no such transform
+   */
+  static get(name) {
+    if (!Transforms.has(name)) {
+      throw new Error(`Invalid engine: "${name}", must be one of ${Transforms.names().join(', ')}`);
+    }
+    return TRANSFORMS[name];
+  }
+}
+
+module.exports = Transforms;
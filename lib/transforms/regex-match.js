@@ -1,95 +1,312 @@
 'use_strict';
 /* eslint-disable valid-jsdoc */
 
+const {StringDecoder} = require('string_decoder');
+const FileUtil = require('../utils/file-util.js');
+
 const DEFAULT_REGEX = /{{[A-Z0-9]+}}/g;
 
+/**
+ * Longest placeholder, in characters, that is found when it is split across chunks. Only
+ * this much text is held back between chunks, so memory use does not grow with the file
+ */
+const MAX_PLACEHOLDER_LENGTH = 1024;
+
 /**
  * The RegexMatch class handles the regex-match transform style. All values matching
  * a provided / pre-defined regex identifier will be replaced with the provided vars that
  * match that identifier
  *
+ * A placeholder preceded by a backslash is escaped: the backslash is removed and the
+ * placeholder is output as it is, EX: `\{{NAME}}` becomes `{{NAME}}`. Placeholders without
+ * a matching var fail the transform, unless the unknown placeholder policy leaves them as
+ * they are, see `Args.unknownPolicy`
+ *
+ * Files are transformed as they stream through, rather than being read into memory
+ * first. The text after the last complete placeholder is held back until the next chunk
+ * arrives, so placeholders split between chunks are still replaced. Placeholders may not
+ * be longer than MAX_PLACEHOLDER_LENGTH characters, and patterns should not rely on
+ * lookbehinds or anchors, as each chunk of text is matched on its own
+ *
  * The form of the functions in this file are described here:
  * https://nodejs.org/api/stream.html#stream_implementing_a_transform_stream
  */
 class RegexMatch {
   constructor(args) {
-    this.pattern = DEFAULT_REGEX;
-    if (args.opts.pattern) {
-      // The pattern was set in the arguments
-      this.pattern = new RegExp(args.opts.pattern);
-    }
+    // A copy of the pattern is used, as matching changes its lastIndex
+    let pattern = RegexMatch.getPattern(args);
+    this.pattern = new RegExp(pattern.source, pattern.flags);
 
-    // Gather all vars
+    // Gather all vars, compiling each key once
     this.vars = args.vars;
+    this.keys = Object.keys(this.vars).map((key) => ({key, regex: new RegExp(key)}));
+
+    // Value of every placeholder seen so far, and the placeholders without a var
+    this.values = new Map();
+    this.missing = [];
+    this.leaveUnknown = !!args.unknownPolicy && args.unknownPolicy !== 'error';
+
+    // Decoded text that may still be part of a placeholder
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
   }
 
   /**
-   * The transform function simply saves the chunks into memory
+   * Longest placeholder, in characters, that is found when it is split across chunks
    */
-  transform(chunk, encoding, callback) {
-    if (!this.chunks) this.chunks = [];
-    this.chunks.push(chunk);
-    callback();
+  static get MAX_PLACEHOLDER_LENGTH() {
+    return MAX_PLACEHOLDER_LENGTH;
   }
 
   /**
-   * The flush function uses the saved chunk data to modify the string
+   * Gets the pattern used to identify variables
+   *
+   * @param {Args} args Processed arguments, which may define a custom pattern
+   *
+   * @return {RegExp} The pattern
    */
-  flush(callback) {
-    if (!this.chunks) {
-      return callback(null, Buffer.alloc(0));
+  static getPattern(args) {
+    if (args.opts.pattern) {
+      // The pattern was set in the arguments. It must be global to find every match
+      return new RegExp(args.opts.pattern, 'g');
     }
+    return DEFAULT_REGEX;
+  }
 
-    let fileString = Buffer.concat(this.chunks).toString();
+  /**
+   * Replaces the placeholders within a string that start before the cutoff. Escaped
+   * placeholders are output without their backslash, and are not passed to onMatch
+   *
+   * @param {RegExp} pattern Global pattern used to identify placeholders
+   * @param {string} str String to replace the placeholders of
+   * @param {number} cutoff Index placeholders must start before
+   * @param {Function} onMatch Called with each placeholder and its index, returns its
+   * replacement
+   *
+   * @return {Object} Object in the form {output, end}, where output is the replaced text
+   * up to end. Text from end on may still be part of a placeholder
+   */
+  static replaceMatches(pattern, str, cutoff, onMatch) {
+    let output = '';
+    let index = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(str)) !== null && match.index < cutoff) {
+      let escaped = match.index > index && str.charAt(match.index - 1) === '\\';
+      if (escaped) {
+        output += str.slice(index, match.index - 1) + match[0];
+      } else {
+        output += str.slice(index, match.index) + onMatch(match[0], match.index);
+      }
+      index = match.index + match[0].length;
 
-    let match = fileString.match(this.pattern);
-    if (!match) {
-      // No match means there is nothing to alter
-      return callback(null, Buffer.from(fileString));
+      // Empty matches would otherwise match in the same place forever
+      if (match[0].length === 0) pattern.lastIndex++;
     }
 
-    // Check the matches against the provided vars
-    // Start by converting all vars into regex
-    let varKeys = Object.keys(this.vars);
-    let varRegex = varKeys.map((key) => {
-      return new RegExp(key);
-    });
+    // A trailing backslash may escape a placeholder that has not been seen yet
+    let end = Math.max(index, cutoff);
+    if (end < str.length && end > index && str.charAt(end - 1) === '\\') end--;
+
+    return {output: output + str.slice(index, end), end};
+  }
+
+  /**
+   * Finds the key of the var that matches a given placeholder string. Var keys are
+   * treated as regex and tested against the placeholder
+   *
+   * @param {string} matchStr Placeholder string matched by the pattern
+   * @param {Object} vars Vars to search
+   *
+   * @return {string|undefined} The matching var key, if any
+   */
+  static findVar(matchStr, vars) {
+    return Object.keys(vars).find((key) => new RegExp(key).test(matchStr));
+  }
+
+  /**
+   * Gets the name of the var a placeholder refers to, which is the first run of word
+   * characters within the placeholder. EX: '{{NAME}}' refers to 'NAME'
+   *
+   * @param {string} matchStr Placeholder string matched by the pattern
+   *
+   * @return {string} The var name
+   */
+  static getVarName(matchStr) {
+    let match = matchStr.match(/\w+/);
+    return match ? match[0] : matchStr;
+  }
+
+  /**
+   * Scans all of the given files that would be transformed for placeholders. The paths
+   * of all files are scanned as well, relative to the template. Files are read in chunks,
+   * the same way they are transformed
+   *
+   * @param {string[]} filePaths Full paths of the files to scan, as listed by the template
+   * @param {Args} args Processed arguments, which may define a custom pattern
+   *
+   * @return {Promise} Resolves with an object whose keys are the found placeholders, and
+   * whose values are arrays of the files they were found in
+   */
+  static async scan(filePaths, args) {
+    let pattern = new RegExp(RegexMatch.getPattern(args));
+    let placeholders = {};
+
+    let addMatch = (matchStr, filePath) => {
+      if (!placeholders[matchStr]) placeholders[matchStr] = [];
+      if (!placeholders[matchStr].includes(filePath)) placeholders[matchStr].push(filePath);
+      return matchStr;
+    };
+
+    for (let filePath of filePaths) {
+      let onMatch = (matchStr) => addMatch(matchStr, filePath);
+      let relativePath = args.template.getRelativePath(filePath);
+      RegexMatch.replaceMatches(pattern, relativePath, relativePath.length, onMatch);
+
+      let type = await args.template.getFileType(filePath);
+      if (type.binary || type.verbatim) continue;
+
+      // Matches are recorded as they are found, and the transformed text is discarded
+      let matcher = new RegexMatch({opts: args.opts, vars: {}});
+      await FileUtil.transformBuffer(filePath, (chunk, encoding, callback) => {
+        matcher.feed(matcher.decoder.write(chunk), false, onMatch);
+        callback();
+      }, (callback) => {
+        matcher.feed(matcher.decoder.end(), true, onMatch);
+        callback();
+      }, type);
+    }
+
+    return placeholders;
+  }
 
-    // Now check for matches that contain the provided vars
-    let foundMatches = [];
-    match = match.filter((matchStr) => {
-      let notFound = true;
-      varRegex.forEach((varReg, varIndex) => {
-        if (varReg.test(matchStr)) {
-          // Match found! Add it to the found matches if it's not already there
-          if (!foundMatches.includes(matchStr)) {
-            foundMatches.push({matchStr, value: this.vars[varKeys[varIndex]]});
-          }
-
-          notFound = false;
-        }
-      });
-
-      return notFound;
+  /**
+   * Finds every placeholder within a string, along with the line it is on. Escaped
+   * placeholders are left out
+   *
+   * @param {string} str String to search
+   * @param {Args} args Processed arguments, which may define a custom pattern
+   *
+   * @return {Object[]} Array of {placeholder, line, block} objects, in the order they are
+   * found. Placeholders are never blocks with this transform
+   */
+  static findPlaceholders(str, args) {
+    let pattern = new RegExp(RegexMatch.getPattern(args));
+    let found = [];
+    let line = 1;
+    let lineIndex = 0;
+
+    RegexMatch.replaceMatches(pattern, str, str.length, (matchStr, index) => {
+      line += str.slice(lineIndex, index).split('\n').length - 1;
+      lineIndex = index;
+      found.push({placeholder: matchStr, line, block: false});
+      return matchStr;
     });
 
-    // If any matches remain, that means we don't have a var that goes with it
-    if (match.length > 0) {
-      let err = new Error(`\n
-  Error: Unable to find matching var for pattern(s): 
-    ${match}
-    Aborting process
-`);
-      throw err;
+    return found;
+  }
+
+  /**
+   * Gets the value a placeholder is replaced with. Each placeholder is only looked up once
+   *
+   * @param {string} matchStr Placeholder string matched by the pattern
+   *
+   * @return {string|undefined} The value of the matching var, if any
+   */
+  lookup(matchStr) {
+    if (!this.values.has(matchStr)) {
+      let found = this.keys.find((key) => key.regex.test(matchStr));
+      this.values.set(matchStr, found ? this.vars[found.key] : undefined);
+    }
+    return this.values.get(matchStr);
+  }
+
+  /**
+   * Replaces a single placeholder with its value. Placeholders without a var are
+   * recorded as missing, and left as they are
+   *
+   * @param {string} matchStr Placeholder string matched by the pattern
+   *
+   * @return {string} The replacement
+   */
+  substitute(matchStr) {
+    let value = this.lookup(matchStr);
+    if (value !== undefined) return value;
+
+    if (!this.missing.includes(matchStr)) this.missing.push(matchStr);
+    return matchStr;
+  }
+
+  /**
+   * Adds text to the pending text, and replaces the placeholders of any text that can no
+   * longer be part of a placeholder. A match is complete once at least
+   * MAX_PLACEHOLDER_LENGTH characters follow where it starts
+   *
+   * @param {string} str Text to add
+   * @param {boolean} final If no more text follows, in which case all text is replaced
+   * @param {Function} onMatch Called with each placeholder, returns its replacement
+   *
+   * @return {string} The replaced text, which may be empty
+   */
+  feed(str, final, onMatch) {
+    let pending = this.pending + str;
+    let cutoff = final ? pending.length : pending.length - MAX_PLACEHOLDER_LENGTH;
+    if (cutoff <= 0) {
+      this.pending = pending;
+      return '';
+    }
+
+    let {output, end} = RegexMatch.replaceMatches(this.pattern, pending, cutoff, onMatch);
+    this.pending = pending.slice(end);
+    return output;
+  }
+
+  /**
+   * The transform function replaces the placeholders of each chunk as it arrives, holding
+   * back any text that may be the start of a placeholder
+   */
+  transform(chunk, encoding, callback) {
+    let output = this.feed(this.decoder.write(chunk), false, this.substitute.bind(this));
+    callback(null, output ? Buffer.from(output) : undefined);
+  }
+
+  /**
+   * The flush function replaces the placeholders of the remaining text, and fails if any
+   * placeholder of the file had no matching var, unless unknown placeholders are left
+   */
+  flush(callback) {
+    let output = this.feed(this.decoder.end(), true, this.substitute.bind(this));
+    if (this.missing.length > 0 && !this.leaveUnknown) {
+      return callback(new Error(`Unable to find matching var for pattern(s): ${this.missing.join(', ')}`));
     }
 
-    // Apply the found matches!
-    foundMatches.forEach((foundMatch) => {
-      let matchRegex = new RegExp(foundMatch.matchStr, 'g');
-      fileString = fileString.replace(matchRegex, foundMatch.value);
+    callback(null, Buffer.from(output));
+  }
+
+  /**
+   * Replaces every placeholder within a string with the matching var
+   *
+   * @param {string} str String to replace the placeholders of
+   *
+   * @return {string} The altered string. An error is thrown if any placeholder has no
+   * matching var, unless unknown placeholders are left
+   */
+  replace(str) {
+    let missing = [];
+    let {output} = RegexMatch.replaceMatches(this.pattern, str, str.length, (matchStr) => {
+      let value = this.lookup(matchStr);
+      if (value !== undefined) return value;
+
+      if (!missing.includes(matchStr)) missing.push(matchStr);
+      return matchStr;
     });
 
-    callback(null, Buffer.from(fileString));
+    // Any placeholder without a var is an error
+    if (missing.length > 0 && !this.leaveUnknown) {
+      throw new Error(`Unable to find matching var for pattern(s): ${missing.join(', ')}`);
+    }
+
+    return output;
   }
 }
 
@@ -0,0 +1,421 @@
+'use strict';
+/* eslint-disable valid-jsdoc */
+
+const FileUtil = require('../utils/file-util.js');
+const Manifest = require('../utils/manifest.js');
+
+/**
+ * Matches every tag within a template, capturing the tag contents
+ */
+const TAG_REGEX = /{{\s*([^{}]*?)\s*}}/g;
+
+/**
+ * Splits a string into its words, breaking on any non alpha-numeric character as well
+ * as on camel case boundaries. EX: 'myProject-name' becomes ['my', 'Project', 'name']
+ *
+ * @param {string} str String to split
+ *
+ * @return {string[]} Array of words
+ */
+const words = (str) => {
+  return str
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[^A-Za-z0-9]+/)
+      .filter((word) => word);
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+/**
+ * All filters that may be applied to a value. EX: {{NAME|kebab}}
+ */
+const FILTERS = {
+  upper: (str) => str.toUpperCase(),
+  lower: (str) => str.toLowerCase(),
+  trim: (str) => str.trim(),
+  kebab: (str) => words(str).map((word) => word.toLowerCase()).join('-'),
+  snake: (str) => words(str).map((word) => word.toLowerCase()).join('_'),
+  constant: (str) => words(str).map((word) => word.toUpperCase()).join('_'),
+  camel: (str) => words(str).map((word, i) => i === 0 ? word.toLowerCase() : capitalize(word)).join(''),
+  pascal: (str) => words(str).map(capitalize).join(''),
+  title: (str) => words(str).map(capitalize).join(' ')
+};
+
+/**
+ * The TemplateEngine class handles the template transform style. Beyond replacing
+ * `{{KEY}}` tags with the matching var, it supports:
+ * - Filters: `{{NAME|kebab}}`, `{{NAME|pascal|upper}}`. See FILTERS for all filters
+ * - Conditionals: `{{#if FLAG}}...{{else}}...{{/if}}` and `{{#unless FLAG}}...{{/unless}}`.
+ *   Missing vars, and the values '', 'false', 'no', 'n' and '0' are considered false
+ * - Loops: `{{#each LIST}}...{{/each}}` over a comma separated or JSON array var. Within
+ *   the loop `{{this}}` is the current item, `{{this.key}}` a property of an object item,
+ *   and `{{@index}}`, `{{@first}}` and `{{@last}}` describe the position
+ * - Escaping: A tag preceded by a backslash is output as it is, without the backslash.
+ *   EX: `\{{NAME}}` becomes `{{NAME}}`
+ *
+ * Tags whose var is missing fail the render. When the unknown placeholder policy leaves
+ * them instead, see `Args.unknownPolicy`, they are output as they are, along with any tag
+ * that is not valid template syntax, such as `{{> partial}}`
+ *
+ * The form of the functions in this file are described here:
+ * https://nodejs.org/api/stream.html#stream_implementing_a_transform_stream
+ */
+class TemplateEngine {
+  constructor(args) {
+    // Gather all vars
+    this.vars = args.vars;
+    this.leaveUnknown = !!args.unknownPolicy && args.unknownPolicy !== 'error';
+  }
+
+  /**
+   * All filters that may be applied to a value
+   */
+  static get FILTERS() {
+    return FILTERS;
+  }
+
+  /**
+   * Var names are used as the keys of the placeholders found by `scan`, so a
+   * placeholder matches the var of the exact same name
+   *
+   * @param {string} name Name of the var
+   * @param {Object} vars Vars to search
+   *
+   * @return {string|undefined} The matching var key, if any
+   */
+  static findVar(name, vars) {
+    return Object.prototype.hasOwnProperty.call(vars, name) ? name : undefined;
+  }
+
+  /**
+   * @param {string} name Name of the var
+   *
+   * @return {string} The var name
+   */
+  static getVarName(name) {
+    return name;
+  }
+
+  /**
+   * Scans all of the given files that would be transformed for vars that are always
+   * output. Vars only used within blocks are left out, as they may never be rendered.
+   * The paths of all files are scanned as well, relative to the template
+   *
+   * @param {string[]} filePaths Full paths of the files to scan, as listed by the template
+   * @param {Args} args Processed arguments
+   *
+   * @return {Promise} Resolves with an object whose keys are the found var names, and
+   * whose values are arrays of the files they were found in
+   */
+  static async scan(filePaths, args) {
+    let placeholders = {};
+    let leaveUnknown = !!args.unknownPolicy && args.unknownPolicy !== 'error';
+
+    let addVars = (str, filePath) => {
+      let nodes;
+      try {
+        nodes = TemplateEngine.parse(str, {leaveUnknown});
+      } catch (e) {
+        throw new Error(`Unable to parse "${args.template.getRelativePath(filePath)}": ${e.message}`);
+      }
+
+      nodes.filter((node) => node.type === 'var').forEach((node) => {
+        if (!placeholders[node.name]) placeholders[node.name] = [];
+        if (!placeholders[node.name].includes(filePath)) placeholders[node.name].push(filePath);
+      });
+    };
+
+    for (let filePath of filePaths) {
+      addVars(args.template.getRelativePath(filePath), filePath);
+
+      let type = await args.template.getFileType(filePath);
+      if (type.binary || type.verbatim) continue;
+      addVars(FileUtil.decode(await FileUtil.readFile(filePath), type), filePath);
+    }
+
+    return placeholders;
+  }
+
+  /**
+   * Finds every var used within a string, including those used by blocks and within
+   * blocks. Loop scope names such as `{{this}}` and `{{@index}}` are left out
+   *
+   * @param {string} str Template string
+   * @param {Args} args Processed arguments
+   *
+   * @return {Object[]} Array of {placeholder, line, block} objects, where placeholder is
+   * the var name and block is true for the var of a block tag. An error is thrown if the
+   * template is malformed
+   */
+  static findPlaceholders(str, args) {
+    let leaveUnknown = !!args.unknownPolicy && args.unknownPolicy !== 'error';
+    let found = [];
+    let isScoped = (name) => name.startsWith('@') || name === 'this' || name.startsWith('this.');
+
+    let visit = (nodes) => nodes.forEach((node) => {
+      if (node.type === 'text') return;
+      if (!isScoped(node.name)) found.push({placeholder: node.name, line: node.line, block: node.type !== 'var'});
+      if (node.type !== 'var') {
+        visit(node.children);
+        visit(node.otherwise);
+      }
+    });
+    visit(TemplateEngine.parse(str, {leaveUnknown}));
+
+    return found.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Parses a template string into a tree of nodes
+   *
+   * @param {string} str Template string
+   * @param {Object} [options] Options
+   * @param {boolean} [options.leaveUnknown] If tags that are not valid template syntax are
+   * kept as text, rather than throwing an error
+   *
+   * @return {Object[]} Array of nodes. An error is thrown if the template is malformed
+   */
+  static parse(str, options = {}) {
+    let root = {type: 'root', children: []};
+    let stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    let lineOf = (index) => str.slice(0, index).split('\n').length;
+    let current = () => {
+      let block = stack[stack.length - 1];
+      return block.inElse ? block.otherwise : block.children;
+    };
+
+    TAG_REGEX.lastIndex = 0;
+    while ((match = TAG_REGEX.exec(str)) !== null) {
+      let tag = match[1];
+      let line = lineOf(match.index);
+      let textEnd = match.index;
+      let tagEnd = TAG_REGEX.lastIndex;
+
+      // Escaped tags are text, without the backslash
+      if (match.index > lastIndex && str.charAt(match.index - 1) === '\\') {
+        current().push({type: 'text', value: str.slice(lastIndex, match.index - 1) + match[0]});
+        lastIndex = tagEnd;
+        continue;
+      }
+
+      // Block tags that sit alone on a line remove the whole line from the output
+      if (/^([#/]|else$)/.test(tag)) {
+        let lineStart = str.lastIndexOf('\n', match.index - 1) + 1;
+        let lineEnd = str.indexOf('\n', tagEnd);
+        if (lineEnd === -1) lineEnd = str.length;
+
+        let standalone = lineStart >= lastIndex &&
+          !str.slice(lineStart, match.index).trim() &&
+          !str.slice(tagEnd, lineEnd).trim();
+        if (standalone) {
+          textEnd = lineStart;
+          tagEnd = Math.min(lineEnd + 1, str.length);
+        }
+      }
+
+      if (textEnd > lastIndex) {
+        current().push({type: 'text', value: str.slice(lastIndex, textEnd)});
+      }
+      lastIndex = tagEnd;
+      TAG_REGEX.lastIndex = tagEnd;
+
+      let open = tag.match(/^#(if|unless|each)\s+(\S+)$/);
+      if (open) {
+        let block = {type: open[1], name: open[2], children: [], otherwise: [], inElse: false, line};
+        current().push(block);
+        stack.push(block);
+        continue;
+      }
+
+      let close = tag.match(/^\/(if|unless|each)$/);
+      if (close) {
+        let block = stack.pop();
+        if (block.type !== close[1]) {
+          let expected = block.type === 'root' ? 'no open block' : `{{/${block.type}}} from line ${block.line}`;
+          throw new Error(`Unexpected {{/${close[1]}}} on line ${line}, expected ${expected}`);
+        }
+        continue;
+      }
+
+      if (tag === 'else') {
+        let block = stack[stack.length - 1];
+        if (block.type === 'root' || block.inElse) {
+          throw new Error(`Unexpected {{else}} on line ${line}`);
+        }
+        block.inElse = true;
+        continue;
+      }
+
+      let parts = tag.split('|').map((part) => part.trim());
+      let error = null;
+      if (!/^@?[A-Za-z_][\w.]*$/.test(parts[0])) {
+        error = `Invalid tag "{{${tag}}}" on line ${line}`;
+      } else {
+        let filter = parts.slice(1).find((name) => !Object.prototype.hasOwnProperty.call(FILTERS, name));
+        if (filter !== undefined) error = `Unknown filter "${filter}" on line ${line}`;
+      }
+
+      if (error && !options.leaveUnknown) throw new Error(error);
+      if (error) {
+        current().push({type: 'text', value: match[0]});
+      } else {
+        current().push({type: 'var', name: parts[0], filters: parts.slice(1), raw: match[0], line});
+      }
+    }
+
+    if (stack.length > 1) {
+      let block = stack[stack.length - 1];
+      throw new Error(`Unclosed {{#${block.type}}} from line ${block.line}`);
+    }
+
+    if (lastIndex < str.length) {
+      root.children.push({type: 'text', value: str.slice(lastIndex)});
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Converts a var value into a list of items. JSON arrays are parsed, anything else is
+   * treated as a comma separated list
+   *
+   * @param {*} value Value of the var
+   *
+   * @return {Array} The list items
+   */
+  static toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null) return [];
+
+    value = String(value).trim();
+    if (value.startsWith('[')) {
+      try {
+        let list = JSON.parse(value);
+        if (Array.isArray(list)) return list;
+      } catch (e) {
+        // Not JSON, fall back to a comma separated list
+      }
+    }
+
+    return value.split(',').map((item) => item.trim()).filter((item) => item);
+  }
+
+  /**
+   * The transform function simply saves the chunks into memory
+   */
+  transform(chunk, encoding, callback) {
+    if (!this.chunks) this.chunks = [];
+    this.chunks.push(chunk);
+    callback();
+  }
+
+  /**
+   * The flush function renders the saved chunk data
+   */
+  flush(callback) {
+    if (!this.chunks) {
+      return callback(null, Buffer.alloc(0));
+    }
+
+    let fileString;
+    try {
+      fileString = this.replace(Buffer.concat(this.chunks).toString());
+    } catch (e) {
+      return callback(e);
+    }
+
+    callback(null, Buffer.from(fileString));
+  }
+
+  /**
+   * Renders a template string using the vars
+   *
+   * @param {string} str Template string
+   *
+   * @return {string} The rendered string. An error is thrown if the template is malformed
+   * or an output var is missing, unless unknown placeholders are left
+   */
+  replace(str) {
+    return this.render(TemplateEngine.parse(str, {leaveUnknown: this.leaveUnknown}), []);
+  }
+
+  /**
+   * Renders a list of nodes
+   *
+   * @param {Object[]} nodes Nodes from `parse`
+   * @param {Object[]} scopes Loop scopes, innermost last
+   *
+   * @return {string} The rendered string
+   */
+  render(nodes, scopes) {
+    return nodes.map((node) => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+
+        case 'var': {
+          let value = this.lookup(node.name, scopes);
+          if (value === undefined || value === null) {
+            if (this.leaveUnknown) return node.raw;
+            throw new Error(`Unable to find matching var for "{{${node.name}}}" on line ${node.line}`);
+          }
+          value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+          return node.filters.reduce((result, filter) => FILTERS[filter](result), value);
+        }
+
+        case 'if':
+        case 'unless': {
+          let value = this.lookup(node.name, scopes);
+          let truthy = Manifest.isTruthy(value);
+          if (node.type === 'unless') truthy = !truthy;
+          return this.render(truthy ? node.children : node.otherwise, scopes);
+        }
+
+        case 'each': {
+          let list = TemplateEngine.toList(this.lookup(node.name, scopes));
+          if (list.length === 0) return this.render(node.otherwise, scopes);
+
+          return list.map((item, index) => {
+            let scope = {item, index, first: index === 0, last: index === list.length - 1};
+            return this.render(node.children, scopes.concat(scope));
+          }).join('');
+        }
+      }
+    }).join('');
+  }
+
+  /**
+   * Finds the value of a name, checking the innermost loop scope before the vars
+   *
+   * @param {string} name Name used in a tag
+   * @param {Object[]} scopes Loop scopes, innermost last
+   *
+   * @return {*} The value, or undefined if it does not exist
+   */
+  lookup(name, scopes) {
+    let scope = scopes[scopes.length - 1];
+
+    if (name.startsWith('@')) {
+      if (!scope) return undefined;
+      return {'@index': scope.index, '@first': scope.first, '@last': scope.last}[name];
+    }
+
+    if (name === 'this' || name.startsWith('this.')) {
+      if (!scope) return undefined;
+      return name.split('.').slice(1).reduce((value, key) => {
+        let found = value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(value, key);
+        return found ? value[key] : undefined;
+      }, scope.item);
+    }
+
+    // Only the vars themselves, never members of Object.prototype such as "constructor"
+    let key = TemplateEngine.findVar(name, this.vars);
+    return key === undefined ? undefined : this.vars[key];
+  }
+}
+
+module.exports = TemplateEngine;
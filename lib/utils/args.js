@@ -1,23 +1,43 @@
 'use strict';
 
 const path = require('path');
-const FileUtil = require('./file-util.js');
-const ROOT_DIR = path.join(path.dirname(require.main.filename), '..');
+const Config = require('./config.js');
+const Lockfile = require('./lockfile.js');
+const Logger = require('./logger.js');
+const Template = require('./template.js');
+const Prompt = require('./prompt.js');
+const VarsFile = require('./vars-file.js');
+const Options = require('./options.js');
+const Plugins = require('./plugins.js');
+const Actions = require('../actions/index.js');
+const Transforms = require('../transforms/index.js');
+const ROOT_DIR = path.join(__dirname, '..', '..');
 const TEMPLATE_DIR = path.join(ROOT_DIR, 'src', 'templates');
 
+/**
+ * Matches arguments that are template sources containing a ':', see TemplateSource
+ */
+const TEMPLATE_SOURCE_REGEX = /^(git\+[a-z]+|npm|file|https?|ssh|git):/;
+
 /**
  * This class processes the raw argv values, extracting options and variables
  *
- * Options are defined as beginning with a '-' or '--' string. If only one dash
- * is used then all of the characters following it will be considered additional
- * single character flags. An any case, set a string option by using the following pattern:
+ * Options begin with '-' or '--', and must be accepted by the action, see `Options`.
+ * Options before the action may only be global ones, unless their value is given inline.
+ * Every other argument is a variable or a positional argument
 ```
-  --<option>[=:]<value>
+  --<option>[=:]<value>   --<option> <value>   --<flag>   --no-<flag>
+  -<alias>[=:]<value>     -<alias> <value>     -<aliases>, EX: -qv
 ```
- * Variables follow the following pattern:
+ * Variables follow the following pattern, where the var name may only contain word
+ * characters, dots and dashes. Everything after the '=' ending the name is the value,
+ * EX: `URL=http://a.b/?c=d`. A ':' may end the name instead:
 ```
-  <var_name>[=:]<value>
+  <var_name>=<value>   <var_name>:<value>
 ```
+ * Arguments after `--` are never options, EX: a template directory starting with a dash.
+ * Variables may also be loaded from files with `--vars-file`, and from environment
+ * variables, see `loadVars`
  */
 class Args {
   /**
@@ -31,83 +51,327 @@ class Args {
   }
 
   /**
-   * Constructor takes an array of arguments
+   * All directories named templates can be found in, in the order they are searched: the
+   * bundled templates, followed by the user template paths. Only available once validated
+   */
+  get TEMPLATE_DIRS() {
+    return [TEMPLATE_DIR].concat(this.config ? this.config.templatePaths : []);
+  }
+
+  /**
+   * Creates arguments from an options object, for use by the programmatic API. Options
+   * are named after their command line counterparts in camel case, EX: `dryRun` for
+   * `--dry-run`, and `varsFile` may be an array of files. Prompting is disabled unless
+   * `interactive` is true, and output goes through the given `logger`, or a logger with
+   * the default level otherwise
+   *
+   * @param {string} action One of Args.ACTIONS
+   * @param {Object} options Options in the form {template, vars, dest, pattern, engine,
+   * onConflict, unknownPlaceholders, varsFile, dryRun, skipHooks, answers, lockfile,
+   * refresh, interactive, logger}
+   *
+   * @return {Args} Arguments that still need to be validated
+   */
+  static fromOptions(action, options) {
+    let args = new Args([]);
+    args.args = [action].concat(options.template ? [options.template] : []);
+
+    Object.keys(options.vars || {}).forEach((name) => {
+      let value = options.vars[name];
+      if (value !== undefined && value !== null) {
+        args.vars[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+    });
+
+    const OPTIONS = {
+      dest: 'dest',
+      pattern: 'pattern',
+      engine: 'engine',
+      onConflict: 'on-conflict',
+      unknownPlaceholders: 'unknown-placeholders',
+      varsFile: 'vars-file',
+      dryRun: 'dry-run',
+      skipHooks: 'skip-hooks',
+      refresh: 'refresh'
+    };
+    Object.keys(OPTIONS).forEach((key) => {
+      if (options[key] !== undefined && options[key] !== null && options[key] !== false) {
+        args.opts[OPTIONS[key]] = options[key];
+      }
+    });
+    if (options.pattern instanceof RegExp) args.opts.pattern = options.pattern.source;
+    if (options.answers === false) args.opts.answers = false;
+    if (options.lockfile === false) args.opts.lockfile = false;
+    args.opts.interactive = !!options.interactive;
+    args.logger = options.logger || Logger.fromOpts(args.opts);
+
+    return args;
+  }
+
+  /**
+   * Constructor takes an array of arguments. Invalid options do not throw here, they
+   * are reported by `validate`
    *
    * @param {string[]} argv Array of args, generally from process.argv
    */
   constructor(argv) {
-    // Set up argument parts
+    // Set up argument parts. Index 0 is the process (node), and index 1 is the script
+    this.process = argv[0];
+    this.script = argv[1];
     this.args = [];
     this.opts = {};
     this.vars = {};
+    this.errors = [];
 
-    argv.forEach((arg, index) => {
-      // Special case. Index 0 is the process (node)
-      if (index === 0) {
-        this.process = arg;
-        return;
+    this.tokens = argv.slice(2);
+    this.parse(this.tokens);
+
+    // Output of every action goes through the logger, see Logger.fromOpts
+    this.logger = Logger.fromOpts(this.opts);
+  }
+
+  /**
+   * Sorts the raw arguments into options, variables and positional arguments. The first
+   * positional argument is the action, which decides the options accepted after it.
+   * Options before the action that are not global are parsed once the action is known
+   *
+   * @param {string[]} tokens Raw arguments, without the process and script
+   */
+  parse(tokens) {
+    let definitions = Options.GLOBAL;
+    let deferred = [];
+    let terminated = false;
+
+    /**
+     * Switches to the options of the action, once it is known
+     */
+    let setAction = () => {
+      try {
+        definitions = Options.GLOBAL.concat(Actions.getOptions(this.args[0].toLowerCase()));
+      } catch (e) {
+        // Invalid actions are reported by `validate`
       }
+      deferred.forEach((token) => this.parseOption(token, definitions, () => undefined));
+    };
 
-      // Special case. Index 1 is the script
-      if (index === 1) {
-        this.script = arg;
-        return;
+    for (let i = 0; i < tokens.length; i++) {
+      let token = tokens[i];
+
+      if (!terminated && token === '--') {
+        terminated = true;
+        continue;
       }
 
-      // Extract single character flags
-      let match = arg.match(/^-(?!-)(.+)(?![:=])/);
-      if (match) {
-        let flags = match[1];
-        // Apply all characters as flags
-        for (let i=0; i<flags.length; i++) {
-          this.opts[flags.charAt(i)] = true;
+      // Options, but not a lone '-'
+      if (!terminated && /^-./.test(token)) {
+        let name = token.match(/^--?(?:no-)?([^=:]+)/)[1];
+        if (this.args.length === 0 && !Options.find(definitions, token.startsWith('--') ? name : name.charAt(0))) {
+          deferred.push(token);
+          continue;
         }
-        return;
+        // Values may be the next argument, EX: --dest build
+        let next = () => i + 1 < tokens.length && tokens[i + 1] !== '--' ? tokens[++i] : undefined;
+        this.parseOption(token, definitions, next);
+        continue;
       }
 
-      // Extract string options
-      match = arg.match(/^--?(.+)[:=](.+)?/);
-      if (match) {
-        this.opts[match[1]] = match[2] || null;
-        return;
+      // Template sources such as git URLs and npm packages are arguments, not vars
+      if (TEMPLATE_SOURCE_REGEX.test(token)) {
+        this.args.push(token);
+        continue;
       }
 
-      // Extract multi character flags
-      match = arg.match(/^--(.+)/);
+      // Extract Vars, splitting at the first '=' if the name allows it
+      let match = token.match(/^([\w.][\w.-]*)=([\s\S]*)$/) || token.match(/^([\w.][\w.-]*):([\s\S]*)$/);
       if (match) {
-        this.opts[match[1]] = true;
-        return;
+        this.vars[match[1]] = match[2];
+        continue;
       }
 
-      // Extract Vars
-      match = arg.match(/^(.+)[:=](.+)$/);
+      // Anything that remains is an argument
+      this.args.push(token);
+      if (this.args.length === 1) setAction();
+    }
+
+    if (this.args.length === 0) setAction();
+  }
+
+  /**
+   * Parses a single option, recording any error for `validate`
+   *
+   * @param {string} token The raw option, EX: '--dest=build' or '-qv'
+   * @param {Object[]} definitions Options that are accepted, see `Options`
+   * @param {function(): string|undefined} next Takes the next argument as the value of
+   * the option, returning undefined if there is none
+   */
+  parseOption(token, definitions, next) {
+    const BOOLEAN = Options.TYPES.BOOLEAN;
+    let action = this.args[0];
+    let unknown = (flag) => {
+      return action ?
+        new Error(`Unknown option ${flag} for "${action}", see "uff ${action} --help"`) :
+        new Error(`Unknown option ${flag}, options of an action must follow it`);
+    };
+
+    try {
+      // Long options: --name, --name=value, --name value and --no-name
+      let match = token.match(/^--([^=:]+)(?:[=:]([\s\S]*))?$/);
       if (match) {
-        this.vars[match[1]] = match[2];
+        let flag = `--${match[1]}`;
+        let definition = Options.find(definitions, match[1]);
+        if (!definition && match[1].startsWith('no-')) {
+          let negated = Options.find(definitions, match[1].slice(3));
+          if (!negated || (negated.type || BOOLEAN) !== BOOLEAN) throw unknown(flag);
+          if (match[2] !== undefined) throw new Error(`Invalid option ${token}: ${flag} does not take a value`);
+          Options.set(this.opts, negated, false, flag);
+          return;
+        }
+        if (!definition || definition.alias === match[1]) throw unknown(flag);
+
+        let value = match[2];
+        if (value === undefined && (definition.type || BOOLEAN) !== BOOLEAN) value = next();
+        Options.set(this.opts, definition, value, flag);
         return;
       }
 
-      // Anything that remains is an argument
-      this.args.push(arg);
-    });
+      // Short options: -q, -qv, -d=build, -d build and -dbuild
+      let flags = token.slice(1);
+      for (let i = 0; i < flags.length; i++) {
+        let flag = `-${flags.charAt(i)}`;
+        let definition = definitions.find((candidate) => candidate.alias === flags.charAt(i));
+        if (!definition) throw unknown(flag);
+
+        let rest = flags.slice(i + 1);
+        if ((definition.type || BOOLEAN) === BOOLEAN && !/^[=:]/.test(rest)) {
+          Options.set(this.opts, definition, true, flag);
+          continue;
+        }
+        // The rest of the token is the value, if there is any
+        Options.set(this.opts, definition, rest ? rest.replace(/^[=:]/, '') : next(), flag);
+        return;
+      }
+    } catch (e) {
+      this.errors.push(e.message);
+    }
   }
 
   /**
-   * Pseudo-Enum describes all valid actions. The 'action' is the first provided
-   * argument
+   * Pseudo-Enum describes all built-in actions, see `Actions.BUILT_IN`. The 'action' is
+   * the first provided argument
    */
   get ACTIONS() {
+    return Actions.BUILT_IN;
+  }
+
+  /**
+   * Pseudo-Enum describes all valid policies for handling files that already exist
+   * at the destination, set with the `--on-conflict` option
+   */
+  get CONFLICT_POLICIES() {
+    return {
+      /**
+       * Leave the existing file untouched
+       */
+      SKIP: 'skip',
+      /**
+       * Replace the existing file
+       */
+      OVERWRITE: 'overwrite',
+      /**
+       * Ask what to do for each existing file
+       */
+      PROMPT: 'prompt',
+      /**
+       * Copy the existing file to `<file>.orig` before replacing it
+       */
+      BACKUP: 'backup',
+      /**
+       * Abort before writing anything
+       */
+      FAIL: 'fail'
+    };
+  }
+
+  /**
+   * The policy for handling files that already exist at the destination
+   */
+  get conflictPolicy() {
+    return this.opts['on-conflict'] || this.CONFLICT_POLICIES.OVERWRITE;
+  }
+
+  /**
+   * Pseudo-Enum describes all ways `update` may handle files changed both by the user
+   * and by the template, set with the `--merge` option
+   */
+  get MERGE_POLICIES() {
     return {
       /**
-       * Runs the framework factory with a single action
+       * Merge the changes into the file, marking conflicting changes
        */
-      RUN: 'run',
+      MARKERS: 'markers',
       /**
-       * Displays the help text
+       * Keep the file as it is, and write the template changes to a `.rej` file
        */
-      HELP: 'help'
+      REJ: 'rej'
     };
   }
 
+  /**
+   * How `update` handles files changed both by the user and by the template
+   */
+  get mergePolicy() {
+    return this.opts.merge || this.MERGE_POLICIES.MARKERS;
+  }
+
+  /**
+   * Pseudo-Enum describes all policies for placeholders that no var fills, set with the
+   * `--unknown-placeholders` option or the `unknownPlaceholders` of the template manifest
+   */
+  get UNKNOWN_POLICIES() {
+    return {
+      /**
+       * Fail before anything is written
+       */
+      ERROR: 'error',
+      /**
+       * Output the placeholders as they are
+       */
+      LEAVE: 'leave',
+      /**
+       * Output the placeholders as they are, and warn about each of them
+       */
+      WARN: 'warn'
+    };
+  }
+
+  /**
+   * How placeholders that no var fills are handled. The `--unknown-placeholders` option
+   * takes priority over the policy declared in the template manifest
+   */
+  get unknownPolicy() {
+    if (this.opts['unknown-placeholders']) return this.opts['unknown-placeholders'];
+    if (this.template && this.template.manifest.unknownPlaceholders) return this.template.manifest.unknownPlaceholders;
+    return this.UNKNOWN_POLICIES.ERROR;
+  }
+
+  /**
+   * Full path of the destination directory, set with the `--dest` option. Relative paths
+   * are relative to the current directory
+   */
+  get destDir() {
+    return path.resolve(process.cwd(), this.opts.dest || '');
+  }
+
+  /**
+   * Name of the transform used to render the template. The `--engine` option takes
+   * priority over the engine declared in the template manifest
+   */
+  get engine() {
+    if (this.opts.engine) return this.opts.engine;
+    if (this.template && this.template.manifest.engine) return this.template.manifest.engine;
+    return Transforms.DEFAULT;
+  }
+
   /**
    * Validates the arguments provided to this class. If any mismatches are found
    * an error will be thrown detailing the issue
@@ -120,28 +384,178 @@ class Args {
       throw new Error('Invalid Number of Arguments: Must provide at least one argument');
     }
 
-    // Make sure the action is valid
-    if (!this.ACTIONS[this.args[0].toUpperCase()]) {
+    // Load the user config, which may add template paths and plugins. Plugins may add
+    // actions along with their options, so the arguments are parsed again
+    this.config = await Config.load();
+    if (this.config.plugins.length > 0) {
+      this.config.plugins.forEach((spec) => Plugins.register(Plugins.load(spec, Config.HOME)));
+      if (this.tokens.length > 0) {
+        Object.assign(this, {args: [], opts: {}, vars: {}, errors: []});
+        this.parse(this.tokens);
+      }
+    }
+
+    // Make sure the action is valid. Actions are named in kebab case, EX: new-template
+    let action = this.args[0].toLowerCase();
+    if (!Actions.names().includes(action)) {
       throw new Error(`Invalid action: "${this.args[0]}"`);
     }
 
-    let action = this.args[0];
+    if (this.errors.length > 0) {
+      throw new Error(this.errors.join('\n'));
+    }
+    Options.normalize(this.opts, Options.GLOBAL.concat(Actions.getOptions(action)));
+
+    this.logger.validate();
 
     // If the help flag is present we are done
-    if (this.opts.h || this.opts.help) return;
+    if (this.opts.help) return;
 
-    // Validations for the `run` action...
-    if (action.toLowerCase() === this.ACTIONS.RUN) {
+    // Actions that work on a single template, including plugin actions asking for one...
+    let templateActions = [this.ACTIONS.RUN, this.ACTIONS.INFO, this.ACTIONS.CHECK, this.ACTIONS.TEST];
+    let usesTemplate = templateActions.includes(action) || (Actions.isPlugin(action) && !!Actions.get(action).template);
+    if (usesTemplate) {
       // There must be a second argument, the template directory
       if (this.args.length < 2) {
         throw new Error('Invalid number of Arguments: Must provide template directory');
       }
+    }
+
+    // Validations for the `run` action...
+    if (action === this.ACTIONS.RUN) {
+      let policies = Object.values(this.CONFLICT_POLICIES);
+      if (!policies.includes(this.conflictPolicy)) {
+        throw new Error(`Invalid conflict policy: "${this.conflictPolicy}", must be one of ${policies.join(', ')}`);
+      }
+      if (this.conflictPolicy === this.CONFLICT_POLICIES.PROMPT && !this.interactive) {
+        throw new Error('Invalid conflict policy: "prompt" requires an interactive terminal');
+      }
+    }
+
+    if (usesTemplate) {
+      this.template = await Template.resolve(this.args[1], {
+        templateDirs: this.TEMPLATE_DIRS,
+        refresh: this.opts.refresh
+      });
+    }
 
-      let validTemplates = await FileUtil.readdir(TEMPLATE_DIR);
-      let providedTemplate = this.args[1];
-      if (!validTemplates.includes(providedTemplate)) {
-        throw new Error(`Invalid template: Could not find template directory for "${providedTemplate}"`);
+    // Updates start from how the project was generated. The template is fetched again
+    // unless a source is given, and the locked vars and options are reused
+    if (action === this.ACTIONS.UPDATE) {
+      let policies = Object.values(this.MERGE_POLICIES);
+      if (!policies.includes(this.mergePolicy)) {
+        throw new Error(`Invalid merge policy: "${this.mergePolicy}", must be one of ${policies.join(', ')}`);
       }
+
+      this.lock = await Lockfile.load(this.destDir);
+      Object.keys(this.lock.opts).forEach((key) => {
+        if (this.lock.opts[key] !== null && this.opts[key] === undefined) this.opts[key] = this.lock.opts[key];
+      });
+
+      this.template = await Template.resolve(this.args[1] || this.lock.template.source, {
+        templateDirs: this.TEMPLATE_DIRS,
+        refresh: this.opts.refresh
+      });
+    }
+
+    if (action === this.ACTIONS.RUN || action === this.ACTIONS.UPDATE) {
+      // Transforms added by the plugins of the template must be loaded before rendering
+      await this.template.loadPlugins();
+
+      // Make sure the engine exists, and is able to render templates
+      this.template.getEngine(this.engine);
+
+      let unknownPolicies = Object.values(this.UNKNOWN_POLICIES);
+      if (!unknownPolicies.includes(this.unknownPolicy)) {
+        throw new Error(`Invalid unknown placeholder policy: "${this.unknownPolicy}", must be one of ${unknownPolicies.join(', ')}`);
+      }
+
+      await this.loadVars(this.lock ? this.lock.vars : {});
+
+      await this.resolveVars();
+    }
+  }
+
+  /**
+   * If missing variables may be prompted for on the TTY. Disabled by the
+   * `--no-interactive` option
+   */
+  get interactive() {
+    return this.opts.interactive !== false && Prompt.available;
+  }
+
+  /**
+   * Merges the vars given on the command line with those from the `--vars-file` options
+   * and `UFF_VAR_` environment variables. Command line vars win over the vars files, which
+   * win over the environment. Each vars file wins over the ones given before it
+   *
+   * @param {Object} [baseVars] Vars that every other source wins over
+   *
+   * @return {Promise} Resolves on success, rejects if the vars file can not be loaded
+   */
+  async loadVars(baseVars = {}) {
+    let fileVars = {};
+    for (let varsFile of [].concat(this.opts['vars-file'] || [])) {
+      Object.assign(fileVars, await VarsFile.load(path.resolve(varsFile)));
+    }
+    this.vars = Object.assign({}, baseVars, VarsFile.fromEnv(process.env), fileVars, this.vars);
+  }
+
+  /**
+   * Makes sure every variable the template needs has a value before anything is
+   * written. Declared variables are prompted for first when running interactively, and
+   * validated against the template manifest. The files that will be generated are then
+   * scanned for placeholders, and any placeholder without a value is prompted for as well,
+   * unless the unknown placeholder policy leaves such placeholders as they are
+   *
+   * @return {Promise} Resolves on success, rejects with an error if any var is missing or invalid
+   */
+  async resolveVars() {
+    let manifest = this.template.manifest;
+    let Engine = this.template.getEngine(this.engine);
+
+    // Declared variables come first, as they decide which files are generated
+    if (this.interactive) {
+      let names = manifest.variables.map((variable) => variable.name);
+      this.vars = await Prompt.askVars(manifest, names, this.vars, this.logger);
+    }
+    this.vars = manifest.validate(this.vars);
+
+    let filePaths = await this.template.getFiles(this.vars);
+    let placeholders = await Engine.scan(filePaths, this);
+
+    // Only placeholders that no provided var can fill are missing
+    let findMissing = () => Object.keys(placeholders).filter((matchStr) => {
+      return Engine.findVar(matchStr, this.vars) === undefined;
+    });
+
+    let leaveUnknown = this.unknownPolicy !== this.UNKNOWN_POLICIES.ERROR;
+    if (this.interactive && !leaveUnknown) {
+      let names = [];
+      findMissing().forEach((matchStr) => {
+        let name = Engine.getVarName(matchStr);
+        if (!names.includes(name)) names.push(name);
+      });
+      this.vars = await Prompt.askVars(manifest, names, this.vars, this.logger);
+    }
+
+    let missing = findMissing();
+    if (missing.length === 0) return;
+
+    let details = missing.map((matchStr) => {
+      let files = placeholders[matchStr].map((file) => this.template.getRelativePath(file));
+      return `${matchStr} (${files.join(', ')})`;
+    }).join('\n  - ');
+
+    if (!leaveUnknown) {
+      throw new Error(`Unable to find matching var for pattern(s):\n  - ${details}`);
+    }
+
+    let message = `Leaving placeholder(s) without a matching var as they are:\n  - ${details}`;
+    if (this.unknownPolicy === this.UNKNOWN_POLICIES.WARN) {
+      this.logger.warn(message);
+    } else {
+      this.logger.verbose(message);
     }
   }
 }
@@ -0,0 +1,108 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const FileUtil = require('./file-util.js');
+
+/**
+ * Name of the user config file, within the user level directory
+ */
+const FILENAME = 'config.json';
+
+/**
+ * The Config class describes the user level locations and settings used by the framework
+ * factory. Everything lives in `~/.uff` by default, which can be changed with the `UFF_HOME`
+ * environment variable. Settings are read from the optional `config.json` file within it:
+```
+  {
+    "templatePaths": ["~/templates", "/shared/templates"],
+    "plugins": ["uff-plugin-deploy", "~/uff-plugins/banner.js"]
+  }
+```
+ * Additional template paths can be provided with the `UFF_TEMPLATE_PATH` environment
+ * variable, separated the same way as the PATH environment variable
+ */
+class Config {
+  /**
+   * Directory holding all user level files
+   */
+  static get HOME() {
+    return process.env.UFF_HOME || path.join(os.homedir(), '.uff');
+  }
+
+  /**
+   * Directory templates from git and npm sources are cached in
+   */
+  static get TEMPLATE_CACHE_DIR() {
+    return path.join(Config.HOME, 'templates');
+  }
+
+  /**
+   * Directory the generated content of projects is kept in, as the common original of
+   * later updates, see `Lockfile.storeBase`
+   */
+  static get BASE_CACHE_DIR() {
+    return path.join(Config.HOME, 'bases');
+  }
+
+  /**
+   * Full path of the user config file
+   */
+  static get FILE() {
+    return path.join(Config.HOME, FILENAME);
+  }
+
+  /**
+   * Loads the user config file. A missing file is treated as an empty config
+   *
+   * @return {Promise} Resolves with a Config instance, rejects if the file is malformed
+   */
+  static async load() {
+    let data = {};
+    try {
+      data = JSON.parse((await FileUtil.readFile(Config.FILE)).toString());
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw new Error(`Invalid config: Could not parse "${Config.FILE}": ${e.message}`);
+      }
+    }
+    return new Config(data);
+  }
+
+  /**
+   * @param {Object} data Parsed config data
+   */
+  constructor(data) {
+    this.data = data || {};
+  }
+
+  /**
+   * Full paths of all user directories that contain templates
+   */
+  get templatePaths() {
+    let paths = [].concat(this.data.templatePaths || []);
+    if (process.env.UFF_TEMPLATE_PATH) {
+      paths = paths.concat(process.env.UFF_TEMPLATE_PATH.split(path.delimiter));
+    }
+
+    return paths.filter((dir) => dir).map((dir) => {
+      if (dir === '~' || dir.startsWith('~/')) dir = path.join(os.homedir(), dir.slice(1));
+      return path.resolve(Config.HOME, dir);
+    });
+  }
+
+  /**
+   * Plugins adding transforms and actions, see `Plugins`. Local modules are relative to
+   * the user level directory, and packages are searched for there first, so they may be
+   * installed with `npm install --prefix ~/.uff <package>`
+   */
+  get plugins() {
+    let plugins = [].concat(this.data.plugins || []);
+    if (!plugins.every((spec) => typeof spec === 'string' && spec)) {
+      throw new Error(`Invalid config: "plugins" of "${Config.FILE}" must be an array of modules or packages`);
+    }
+    return plugins;
+  }
+}
+
+module.exports = Config;
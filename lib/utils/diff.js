@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * Number of unchanged lines shown around each change in a unified diff
+ */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Largest number of lines a change may add and remove before it is no longer diffed line
+ * by line, which keeps the time taken by very different files in check
+ */
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Pseudo-Static class computes line based differences between two strings
+ */
+class Diff {
+  /**
+   * Splits a string into lines. A trailing newline does not produce an extra empty line
+   *
+   * @param {string} str String to split
+   *
+   * @return {string[]} Array of lines, without their line endings
+   */
+  static splitLines(str) {
+    if (str === '') return [];
+    let lines = str.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Computes the shortest edit script between two arrays of lines, using the linear space
+   * variant of the Myers difference algorithm. Changes that need more than
+   * MAX_EDIT_DISTANCE lines to be added and removed are given as the removal of every
+   * original line followed by the addition of every new line, as finding the shortest
+   * script for them takes too long
+   *
+   * @param {string[]} a Original lines
+   * @param {string[]} b New lines
+   *
+   * @return {Object[]} Array of operations in the form {type, line}, where type is
+   * one of ' ' (unchanged), '-' (removed) or '+' (added)
+   */
+  static diffLines(a, b) {
+    let ops = [];
+    Diff.diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+    // Within each change, removed lines are listed before added lines
+    let start = 0;
+    for (let i = 0; i <= ops.length; i++) {
+      if (i < ops.length && ops[i].type !== ' ') continue;
+      if (i - start > 1) {
+        let change = ops.slice(start, i);
+        let sorted = change.filter((op) => op.type === '-').concat(change.filter((op) => op.type === '+'));
+        sorted.forEach((op, j) => ops[start + j] = op);
+      }
+      start = i + 1;
+    }
+    return ops;
+  }
+
+  /**
+   * Adds the edit script between a range of the original lines and a range of the new
+   * lines to the given operations. The ranges are split at their middle snake, the
+   * longest run of unchanged lines halfway through the shortest edit script, and each half
+   * is diffed in turn
+   *
+   * @param {string[]} a Original lines
+   * @param {number} aStart Index of the first original line of the range
+   * @param {number} aEnd Index after the last original line of the range
+   * @param {string[]} b New lines
+   * @param {number} bStart Index of the first new line of the range
+   * @param {number} bEnd Index after the last new line of the range
+   * @param {Object[]} ops Operations to add to, see `diffLines`
+   */
+  static diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    // Lines shared by the start and the end of both ranges are never part of a change
+    let prefixEnd = aStart;
+    while (prefixEnd < aEnd && bStart < bEnd && a[prefixEnd] === b[bStart]) {
+      ops.push({type: ' ', line: a[prefixEnd++]});
+      bStart++;
+    }
+    aStart = prefixEnd;
+    let suffix = [];
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+      suffix.push({type: ' ', line: a[--aEnd]});
+      bEnd--;
+    }
+
+    let snake = aStart < aEnd && bStart < bEnd ? Diff.middleSnake(a, aStart, aEnd, b, bStart, bEnd) : null;
+    if (snake) {
+      Diff.diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, ops);
+      for (let x = snake.x; x < snake.u; x++) ops.push({type: ' ', line: a[aStart + x]});
+      Diff.diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, ops);
+    } else {
+      // Either range is empty, or the change is too large to diff
+      for (let x = aStart; x < aEnd; x++) ops.push({type: '-', line: a[x]});
+      for (let y = bStart; y < bEnd; y++) ops.push({type: '+', line: b[y]});
+    }
+
+    for (let i = suffix.length - 1; i >= 0; i--) ops.push(suffix[i]);
+  }
+
+  /**
+   * Finds the middle snake of the shortest edit script between two ranges of lines, by
+   * searching forwards from the start and backwards from the end at the same time until
+   * both searches overlap. Only the furthest point reached on each diagonal is kept, so
+   * memory only grows with the length of the ranges
+   *
+   * @param {string[]} a Original lines
+   * @param {number} aStart Index of the first original line of the range
+   * @param {number} aEnd Index after the last original line of the range
+   * @param {string[]} b New lines
+   * @param {number} bStart Index of the first new line of the range
+   * @param {number} bEnd Index after the last new line of the range
+   *
+   * @return {Object|null} The snake in the form {x, y, u, v}, running from (x, y) to
+   * (u, v) relative to the start of the ranges, or null if the edit distance is over
+   * MAX_EDIT_DISTANCE
+   */
+  static middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const limit = Math.min(Math.ceil((n + m) / 2), Math.ceil(MAX_EDIT_DISTANCE / 2));
+    const offset = limit + 1;
+
+    // forward[k + offset] holds the furthest x reached on diagonal k from the start, and
+    // backward[k + offset] the furthest distance from the end on diagonal delta - k
+    let forward = new Int32Array(2 * limit + 3);
+    let backward = new Int32Array(2 * limit + 3);
+
+    for (let d = 0; d <= limit; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && forward[k - 1 + offset] < forward[k + 1 + offset])) {
+          x = forward[k + 1 + offset];
+        } else {
+          x = forward[k - 1 + offset] + 1;
+        }
+        let y = x - k;
+        let startX = x;
+
+        // Follow the diagonal as far as the lines match
+        while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+          x++;
+          y++;
+        }
+        forward[k + offset] = x;
+
+        let reverseK = delta - k;
+        if (odd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[reverseK + offset] >= n) {
+          return {x: startX, y: startX - k, u: x, v: y};
+        }
+      }
+
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && backward[k - 1 + offset] < backward[k + 1 + offset])) {
+          x = backward[k + 1 + offset];
+        } else {
+          x = backward[k - 1 + offset] + 1;
+        }
+        let y = x - k;
+        let startX = x;
+
+        while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[k + offset] = x;
+
+        let forwardK = delta - k;
+        if (!odd && forwardK >= -d && forwardK <= d && x + forward[forwardK + offset] >= n) {
+          return {x: n - x, y: m - y, u: n - startX, v: m - (startX - k)};
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates a unified diff between two strings
+   *
+   * @param {string} oldStr Original content
+   * @param {string} newStr New content
+   * @param {Object} [opts] Options
+   * @param {string} [opts.oldName] Name used for the original content header
+   * @param {string} [opts.newName] Name used for the new content header
+   * @param {number} [opts.context] Number of unchanged lines to show around changes
+   *
+   * @return {string} The unified diff, or an empty string if the contents are equal
+   */
+  static unified(oldStr, newStr, opts = {}) {
+    if (oldStr === newStr) return '';
+
+    let context = opts.context === undefined ? DEFAULT_CONTEXT : opts.context;
+    let oldLines = Diff.splitLines(oldStr);
+    let newLines = Diff.splitLines(newStr);
+    let ops = Diff.diffLines(oldLines, newLines);
+
+    // Mark the last line of each side that is missing a trailing newline
+    let oldNoEol = oldStr !== '' && !oldStr.endsWith('\n');
+    let newNoEol = newStr !== '' && !newStr.endsWith('\n');
+
+    // Track the line numbers each operation starts at
+    let oldLine = 1;
+    let newLine = 1;
+    ops.forEach((op) => {
+      op.oldLine = oldLine;
+      op.newLine = newLine;
+      if (op.type !== '+') oldLine++;
+      if (op.type !== '-') newLine++;
+    });
+
+    // Group the changes into hunks, merging changes that share context
+    let hunks = [];
+    ops.forEach((op, index) => {
+      if (op.type === ' ') return;
+      let start = Math.max(0, index - context);
+      let end = Math.min(ops.length, index + context + 1);
+      let last = hunks[hunks.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+      } else {
+        hunks.push({start, end});
+      }
+    });
+
+    let out = [
+      `--- ${opts.oldName || 'a'}`,
+      `+++ ${opts.newName || 'b'}`
+    ];
+
+    hunks.forEach((hunk) => {
+      let hunkOps = ops.slice(hunk.start, hunk.end);
+      let oldCount = hunkOps.filter((op) => op.type !== '+').length;
+      let newCount = hunkOps.filter((op) => op.type !== '-').length;
+      let oldStart = oldCount ? hunkOps[0].oldLine : hunkOps[0].oldLine - 1;
+      let newStart = newCount ? hunkOps[0].newLine : hunkOps[0].newLine - 1;
+
+      out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      hunkOps.forEach((op) => {
+        out.push(`${op.type}${op.line}`);
+
+        let lastOld = op.type !== '+' && op.oldLine === oldLines.length && oldNoEol;
+        let lastNew = op.type !== '-' && op.newLine === newLines.length && newNoEol;
+        if ((op.type === '-' && lastOld) || (op.type === '+' && lastNew) || (op.type === ' ' && (lastOld || lastNew))) {
+          out.push('\\ No newline at end of file');
+        }
+      });
+    });
+
+    return out.join('\n') + '\n';
+  }
+
+  /**
+   * Maps each line of the original to its position in the new lines
+   *
+   * @param {Object[]} ops Operations from `diffLines`
+   * @param {number} length Number of original lines
+   *
+   * @return {number[]} The index of each original line within the new lines, or -1 if
+   * the line was removed
+   */
+  static matchLines(ops, length) {
+    let matches = new Array(length).fill(-1);
+    let oldIndex = 0;
+    let newIndex = 0;
+    ops.forEach((op) => {
+      if (op.type === ' ') matches[oldIndex] = newIndex;
+      if (op.type !== '+') oldIndex++;
+      if (op.type !== '-') newIndex++;
+    });
+    return matches;
+  }
+
+  /**
+   * Merges the changes made to a common original in two separate versions, using the
+   * diff3 algorithm. Changes that overlap are marked as conflicts, using the same
+   * markers as git:
+```
+  <<<<<<< ours
+  our lines
+  =======
+  their lines
+  >>>>>>> theirs
+```
+   *
+   * @param {string} baseStr Common original content
+   * @param {string} oursStr Our version of the content
+   * @param {string} theirsStr Their version of the content
+   * @param {Object} [opts] Options
+   * @param {string} [opts.oursName] Name shown after the opening conflict marker
+   * @param {string} [opts.theirsName] Name shown after the closing conflict marker
+   *
+   * @return {Object} Object in the form {content, conflicts}, where conflicts is the
+   * number of conflicting changes within content
+   */
+  static merge3(baseStr, oursStr, theirsStr, opts = {}) {
+    let base = Diff.splitLines(baseStr);
+    let ours = Diff.splitLines(oursStr);
+    let theirs = Diff.splitLines(theirsStr);
+    let matchOurs = Diff.matchLines(Diff.diffLines(base, ours), base.length);
+    let matchTheirs = Diff.matchLines(Diff.diffLines(base, theirs), base.length);
+
+    let out = [];
+    let conflicts = 0;
+    let same = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+    let i = 0;
+    let o = 0;
+    let t = 0;
+    while (i < base.length || o < ours.length || t < theirs.length) {
+      // Copy lines that are unchanged in both versions
+      if (i < base.length && matchOurs[i] === o && matchTheirs[i] === t) {
+        out.push(base[i++]);
+        o++;
+        t++;
+        continue;
+      }
+
+      // Find the next original line that both versions kept, which ends this change
+      let next = i;
+      while (next < base.length && (matchOurs[next] === -1 || matchTheirs[next] === -1)) next++;
+      let oursEnd = next < base.length ? matchOurs[next] : ours.length;
+      let theirsEnd = next < base.length ? matchTheirs[next] : theirs.length;
+
+      let baseChunk = base.slice(i, next);
+      let oursChunk = ours.slice(o, oursEnd);
+      let theirsChunk = theirs.slice(t, theirsEnd);
+
+      if (same(oursChunk, baseChunk) || same(oursChunk, theirsChunk)) {
+        out = out.concat(theirsChunk);
+      } else if (same(theirsChunk, baseChunk)) {
+        out = out.concat(oursChunk);
+      } else {
+        conflicts++;
+        out = out.concat(
+            [`<<<<<<< ${opts.oursName || 'ours'}`],
+            oursChunk,
+            ['======='],
+            theirsChunk,
+            [`>>>>>>> ${opts.theirsName || 'theirs'}`]
+        );
+      }
+
+      i = next;
+      o = oursEnd;
+      t = theirsEnd;
+    }
+
+    // Keep a trailing newline if either version has one
+    let content = out.join('\n');
+    if (out.length > 0 && (oursStr.endsWith('\n') || theirsStr.endsWith('\n'))) content += '\n';
+
+    return {content, conflicts};
+  }
+}
+
+module.exports = Diff;
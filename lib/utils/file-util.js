@@ -3,14 +3,36 @@
 const fs = require('fs');
 const path = require('path');
 
+const {StringDecoder} = require('string_decoder');
 const {Transform} = require('stream');
+const {TextDecoder} = require('util');
 
 /**
- * Files extension names that are explicitly not transformed ever
+ * Number of bytes read from the start of a file to decide if it is text or binary
  */
-const TRANSFORM_BLACKLIST = [
-  'git'
-];
+const SNIFF_BYTES = 8000;
+
+/**
+ * Byte order marks of every supported text encoding
+ */
+const BOMS = {
+  utf8: Buffer.from([0xEF, 0xBB, 0xBF]),
+  utf16le: Buffer.from([0xFF, 0xFE]),
+  utf16be: Buffer.from([0xFE, 0xFF])
+};
+
+/**
+ * Swaps the bytes of every pair, converting between UTF-16 big and little endian. A
+ * trailing odd byte is left out
+ *
+ * @param {Buffer} buffer Buffer to swap
+ *
+ * @return {Buffer} A new buffer with the bytes swapped
+ */
+const swapBytes = (buffer) => {
+  let swapped = Buffer.from(buffer.slice(0, buffer.length - buffer.length % 2));
+  return swapped.swap16();
+};
 
 /**
  * Pseudo-Static class asynchronously wraps useful file system functions
@@ -74,12 +96,16 @@ class FileUtil {
    * Retrieves all file paths within a given directory
    *
    * @param {string} basePath Name of the directory to use
+   * @param {function(string, fs.Dirent)} [filter] Optional function called with the path
+   * (relative to the base path) and dirent of every file and directory found. Returning false
+   * leaves the file out, or skips the directory along with everything inside of it
    *
    * @return {Promise} Resolves will an array of directory file paths
    */
-  static async getDirRecursive(basePath) {
+  static async getDirRecursive(basePath, filter) {
     // Get an array of "dirent" objects for the root directory
     let files = await this.readdir(basePath, true);
+    if (filter) files = files.filter((file) => filter(file.name, file));
 
     /**
      * Internal helper function checks if any of the dirent elements in a given
@@ -106,6 +132,7 @@ class FileUtil {
             subFile.name = path.join(file.name, subFile.name);
             return subFile;
           });
+          if (filter) subFiles = subFiles.filter((subFile) => filter(subFile.name, subFile));
 
           // Remove the old directory and add the directory files
           files.splice(i--, 1);
@@ -175,76 +202,595 @@ class FileUtil {
    * and "flush" functions.
    *
    * Notes:
-   * - Only files with extensions in the `text-extensions.js` file will be subjected
-   *   to the transform and flush functions
+   * - Only text files are subjected to the transform and flush functions, see
+   *   `getFileType`. Binary files are copied as they are
+   * - The destination is given the permissions and timestamps of the source
+   * - The transform and flush functions always receive UTF-8 without a byte order mark.
+   *   Files in other encodings are converted to UTF-8 before the transform and back
+   *   afterwards, and any byte order mark is restored
    * - If using both the transform and flush functions, use classic function declarations
    *   (non-arrow functions) for access to a shared `this`.
    *   - Alternatively, these function can be manually bound to a common object for
    *     greater control
+   * - Several transforms are chained by passing an array of {transform, flush} objects
+   *   instead of the functions. Each one receives the output of the one before it
    *
    * Documentation on the use of these transformation functions can be found here:
    * https://nodejs.org/api/stream.html#stream_implementing_a_transform_stream
    *
    * @param {string} source File path of the source file
    * @param {string} dest File path of the destination file
-   * @param {function(Buffer, string, Function)} transform Function to use for transformation
-   * @param {function(Function)} flush Function to use at the very end of transformation
+   * @param {function(Buffer, string, Function)|Object[]} transform Function to use for
+   * transformation, or an array of {transform, flush} objects to chain
+   * @param {function(Function)} [flush] Function to use at the very end of transformation
+   * @param {Object} [type] Type of the source file, see `getFileType`. Detected when not
+   * provided
+   *
+   * @return {Promise} Resolves with what was done with the file, either 'copied' or 'transformed'
    */
-  static async transformCopy(source, dest, transform, flush) {
-    let TEXT_EXTENSIONS;
+  static async transformCopy(source, dest, transform, flush, type) {
+    // Make sure the directory exists
+    await FileUtil.makeDir(path.dirname(dest));
+
+    if (!type) type = await FileUtil.getFileType(source);
+    if (type.binary) {
+      // If the source is not text, just do a regular fs.copy
+      await FileUtil.copyFile(source, dest);
+      await FileUtil.copyAttributes(source, dest);
+      return 'copied';
+    }
+
+    await new Promise((resolve, reject) => {
+      const streams = FileUtil.createTextStreams(type, FileUtil.createTransforms(transform, flush));
+
+      const read = fs.createReadStream(source);
+      const write = fs.createWriteStream(dest);
+
+      streams.reduce((from, to) => from.pipe(to), read).pipe(write);
+
+      // A failure anywhere in the pipeline fails the copy
+      let onError = (err) => {
+        read.destroy();
+        write.destroy();
+        reject(err);
+      };
+      read.on('error', onError);
+      streams.forEach((stream) => stream.on('error', onError));
+      write.on('error', onError);
+
+      write.on('close', resolve);
+    });
+    await FileUtil.copyAttributes(source, dest);
+    return 'transformed';
+  }
+
+  /**
+   * Runs a file through the provided "transform" and "flush" functions, collecting the
+   * result in memory instead of writing it anywhere. See `transformCopy` for details on
+   * the transformation functions
+   *
+   * @param {string} source File path of the source file
+   * @param {function(Buffer, string, Function)|Object[]} transform Function to use for
+   * transformation, or an array of {transform, flush} objects to chain
+   * @param {function(Function)} [flush] Function to use at the very end of transformation
+   * @param {Object} [type] Type of the source file, see `getFileType`. Treated as UTF-8
+   * when not provided
+   *
+   * @return {Promise} Resolves with a buffer containing the transformed file data
+   */
+  static async transformBuffer(source, transform, flush, type) {
+    return new Promise((resolve, reject) => {
+      const streams = FileUtil.createTextStreams(type, FileUtil.createTransforms(transform, flush));
+      const read = fs.createReadStream(source);
+      const last = streams[streams.length - 1];
+      let chunks = [];
+
+      read.on('error', reject);
+      streams.forEach((stream) => stream.on('error', reject));
+      last.on('data', (chunk) => chunks.push(chunk));
+      last.on('end', () => resolve(Buffer.concat(chunks)));
+
+      streams.reduce((from, to) => from.pipe(to), read);
+    });
+  }
+
+  /**
+   * Creates the transform streams of `transformCopy` and `transformBuffer`
+   *
+   * @param {function(Buffer, string, Function)|Object[]} transform Function to use for
+   * transformation, or an array of {transform, flush} objects to chain
+   * @param {function(Function)} [flush] Function to use at the very end of transformation
+   *
+   * @return {stream.Transform[]} Streams in the order they should be piped
+   */
+  static createTransforms(transform, flush) {
+    if (!Array.isArray(transform)) return [new Transform({transform, flush})];
+    return transform.map((link) => new Transform({transform: link.transform, flush: link.flush}));
+  }
+
+  /**
+   * Surrounds transform streams with the streams needed to convert a text file to UTF-8
+   * and back, see `createDecoder` and `createEncoder`
+   *
+   * @param {Object} [type] Type of the text file, see `getFileType`
+   * @param {stream.Transform|stream.Transform[]} transforms Streams transforming UTF-8 text
+   *
+   * @return {stream.Transform[]} Streams in the order they should be piped
+   */
+  static createTextStreams(type, transforms) {
+    transforms = [].concat(transforms);
+    if (!type || (type.encoding === 'utf8' && !type.bom)) return transforms;
+    return [FileUtil.createDecoder(type)].concat(transforms, FileUtil.createEncoder(type));
+  }
+
+  /**
+   * Creates a stream that converts a text file to UTF-8, removing any byte order mark
+   *
+   * @param {Object} type Type of the text file, see `getFileType`
+   *
+   * @return {stream.Transform} The stream
+   */
+  static createDecoder(type) {
+    let decoder = new StringDecoder(type.encoding === 'utf16be' ? 'utf16le' : type.encoding);
+    let carry = Buffer.alloc(0);
+    let highSurrogate = '';
+    let started = false;
+
+    let decode = (str, final) => {
+      str = highSurrogate + str;
+      highSurrogate = '';
+
+      // Both halves of a surrogate pair are needed to convert it to UTF-8
+      let last = str.charCodeAt(str.length - 1);
+      if (!final && last >= 0xD800 && last <= 0xDBFF) {
+        highSurrogate = str.slice(-1);
+        str = str.slice(0, -1);
+      }
+
+      if (!started && str) {
+        started = true;
+        if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1);
+      }
+      return Buffer.from(str);
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        if (type.encoding === 'utf16be') {
+          // Byte pairs may be split between chunks
+          chunk = Buffer.concat([carry, chunk]);
+          carry = chunk.slice(chunk.length - chunk.length % 2);
+          chunk = swapBytes(chunk);
+        }
+        callback(null, decode(decoder.write(chunk), false));
+      },
+      flush(callback) {
+        callback(null, decode(decoder.end(), true));
+      }
+    });
+  }
+
+  /**
+   * Creates a stream that converts UTF-8 back to the encoding of a text file, adding any
+   * byte order mark the file had
+   *
+   * @param {Object} type Type of the text file, see `getFileType`
+   *
+   * @return {stream.Transform} The stream
+   */
+  static createEncoder(type) {
+    let decoder = new StringDecoder('utf8');
+    let started = false;
+
+    let encode = (str) => {
+      let buffer = FileUtil.encode(str, Object.assign({}, type, {bom: type.bom && !started}));
+      started = true;
+      return buffer;
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, encode(decoder.write(chunk)));
+      },
+      flush(callback) {
+        callback(null, encode(decoder.end()));
+      }
+    });
+  }
+
+  /**
+   * Converts the content of a text file to a string, removing any byte order mark
+   *
+   * @param {Buffer} buffer Content of the file
+   * @param {Object} [type] Type of the file, see `getFileType`. Defaults to UTF-8
+   *
+   * @return {string} The text
+   */
+  static decode(buffer, type) {
+    let encoding = type ? type.encoding : 'utf8';
+    let str = encoding === 'utf16be' ? swapBytes(buffer).toString('utf16le') : buffer.toString(encoding);
+    return str.charCodeAt(0) === 0xFEFF ? str.slice(1) : str;
+  }
+
+  /**
+   * Converts a string to the encoding of a text file, adding its byte order mark if it
+   * had one
+   *
+   * @param {string} str Text to convert
+   * @param {Object} [type] Type of the file, see `getFileType`. Defaults to UTF-8
+   *
+   * @return {Buffer} The content
+   */
+  static encode(str, type) {
+    let encoding = type ? type.encoding : 'utf8';
+    let buffer = Buffer.from(str, encoding === 'utf16be' ? 'utf16le' : encoding);
+    if (encoding === 'utf16be') buffer = swapBytes(buffer);
+    return type && type.bom ? Buffer.concat([BOMS[encoding], buffer]) : buffer;
+  }
+
+  /**
+   * Decides if content is text or binary, based on the first block of a file:
+   * - A byte order mark marks UTF-8, UTF-16LE and UTF-16BE text
+   * - UTF-16 text without a byte order mark is recognized by the null byte in every other
+   *   byte of mostly ASCII text
+   * - Any other null byte marks a binary file
+   * - Content that is not valid UTF-8, or that is mostly control characters, is binary
+   *   unless the file has a known text extension, see `isText`. Text files that are not
+   *   valid UTF-8 are read as Latin-1, so every byte is written back as it was
+   *
+   * @param {Buffer} buffer The first block of the file
+   * @param {string} [filePath] Path of the file, used to check its extension
+   *
+   * @return {Object} Type in the form {binary, encoding, bom, reason}, where encoding is one
+   * of 'utf8', 'utf16le', 'utf16be' or 'latin1', and reason explains why the content is binary
+   */
+  static detectType(buffer, filePath) {
+    let bom = Object.keys(BOMS).find((encoding) => buffer.slice(0, BOMS[encoding].length).equals(BOMS[encoding]));
+    if (bom) return {binary: false, encoding: bom, bom: true, reason: null};
+
+    let binary = (reason) => ({binary: true, encoding: 'utf8', bom: false, reason});
+    let nulls = [0, 0];
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] === 0) nulls[i % 2]++;
+    }
+
+    if (nulls[0] + nulls[1] > 0) {
+      let pairs = Math.floor(buffer.length / 2);
+      if (nulls[0] === 0 && nulls[1] >= pairs * 0.5) return {binary: false, encoding: 'utf16le', bom: false, reason: null};
+      if (nulls[1] === 0 && nulls[0] >= pairs * 0.5) return {binary: false, encoding: 'utf16be', bom: false, reason: null};
+      return binary('contains null bytes');
+    }
+
+    let knownText = !!filePath && FileUtil.isText(filePath);
     try {
-      TEXT_EXTENSIONS = require('./text-extensions.json');
+      // A multi-byte character may be cut off at the end of the block
+      new TextDecoder('utf-8', {fatal: true}).decode(buffer, {stream: true});
     } catch (e) {
-      console.warn('No text-extensions.json found, aborting transform');
-      throw e;
+      if (!knownText) return binary('not valid UTF-8');
+      return {binary: false, encoding: 'latin1', bom: false, reason: null};
     }
 
-    return new Promise(async (resolve, reject) => {
-      // Make sure the directory exists
-      await FileUtil.makeDir(path.dirname(dest));
-      if (TRANSFORM_BLACKLIST.includes(FileUtil.getExtname(source))) {
-        // This file is on the blacklist
-        console.group();
-        console.log(`${source} [Skipped Copy]`);
-        console.groupEnd();
-        resolve(null);
-        return;
-      };
+    // Control characters other than whitespace, backspace and escape are rare in text
+    let controls = buffer.filter((byte) => byte < 0x20 && ![0x08, 0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)).length;
+    if (!knownText && controls > buffer.length * 0.1) return binary('mostly control characters');
 
-      if (!TEXT_EXTENSIONS.includes(FileUtil.getExtname(source))) {
-        // If the source is not text, just do a regular fs.copy
-        console.group();
-        console.log(`${source} [Skipped Transform]`);
-        console.groupEnd();
+    return {binary: false, encoding: 'utf8', bom: false, reason: null};
+  }
 
-        fs.copyFile(source, dest, (err, res) => {
-          if (err) return reject(err);
-          resolve(res);
+  /**
+   * Decides if a file is text or binary by reading its first block, see `detectType`.
+   * Symbolic links are never read, and are given a type of binary with `link` set to true
+   *
+   * @param {string} filePath Path of the file
+   *
+   * @return {Promise} Resolves with the type of the file, see `detectType`
+   */
+  static async getFileType(filePath) {
+    // Links are recreated rather than read, see `Generator.getLinkTarget`
+    if ((await FileUtil.lstat(filePath)).isSymbolicLink()) {
+      return {binary: true, encoding: 'utf8', bom: false, reason: 'symbolic link', link: true};
+    }
+
+    let buffer = await new Promise((resolve, reject) => {
+      fs.open(filePath, 'r', (err, fd) => {
+        if (err) return reject(err);
+
+        let block = Buffer.alloc(SNIFF_BYTES);
+        fs.read(fd, block, 0, SNIFF_BYTES, 0, (readErr, bytesRead) => {
+          fs.close(fd, () => {
+            if (readErr) return reject(readErr);
+            resolve(block.slice(0, bytesRead));
+          });
         });
-        return;
-      }
+      });
+    });
+    return FileUtil.detectType(buffer, filePath);
+  }
 
-      // Log the destination
-      console.log(dest);
+  /**
+   * Gives a file the permissions, access time and modification time of another file
+   *
+   * @param {string} source Path of the file to take the attributes from
+   * @param {string} dest Path of the file to apply the attributes to
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async copyAttributes(source, dest) {
+    let stats = await FileUtil.stat(source);
+    await new Promise((resolve, reject) => {
+      fs.chmod(dest, stats.mode & 0o7777, (err) => {
+        if (err) return reject(err);
+        fs.utimes(dest, stats.atime, stats.mtime, (utimesErr) => {
+          if (utimesErr) return reject(utimesErr);
+          resolve();
+        });
+      });
+    });
+  }
 
-      const trans = new Transform({transform, flush});
+  /**
+   * Async wrapper for fs.chmod
+   *
+   * @param {string} filePath Path of the file or directory
+   * @param {number} mode New permissions, EX: 0o755
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async chmod(filePath, mode) {
+    return new Promise((resolve, reject) => {
+      fs.chmod(filePath, mode, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  }
 
-      const read = fs.createReadStream(source);
-      const write = fs.createWriteStream(dest);
+  /**
+   * Async wrapper for fs.readlink
+   *
+   * @param {string} linkPath Path of the symbolic link
+   *
+   * @return {Promise} Resolves with the target of the link, as it was written
+   */
+  static async readlink(linkPath) {
+    return new Promise((resolve, reject) => {
+      fs.readlink(linkPath, (err, target) => {
+        if (err) return reject(err);
+        resolve(target);
+      });
+    });
+  }
 
-      read.pipe(trans);
-      trans.pipe(write);
+  /**
+   * Async wrapper for fs.symlink, creating the parent directory of the link if needed
+   *
+   * @param {string} target Target of the link, generally relative to the link
+   * @param {string} linkPath Path of the link to create
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async symlink(target, linkPath) {
+    await FileUtil.makeDir(path.dirname(linkPath));
+    return new Promise((resolve, reject) => {
+      fs.symlink(target, linkPath, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  }
 
-      write.on('error', (err) => {
-        reject(err);
+  /**
+   * Checks if a path exists without following symbolic links, so links whose target is
+   * missing are found as well
+   *
+   * @param {string} filePath Path to check
+   *
+   * @return {Promise} Resolves with true if anything exists at the path
+   */
+  static async lexists(filePath) {
+    return FileUtil.lstat(filePath).then(() => true, () => false);
+  }
+
+  /**
+   * Async wrapper for fs.copyFile
+   *
+   * @param {string} source Path of the file to copy
+   * @param {string} dest Path to copy the file to
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async copyFile(source, dest) {
+    return new Promise((resolve, reject) => {
+      fs.copyFile(source, dest, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Async wrapper for fs.rename
+   *
+   * @param {string} oldPath Current path of the file
+   * @param {string} newPath New path of the file
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async rename(oldPath, newPath) {
+    return new Promise((resolve, reject) => {
+      fs.rename(oldPath, newPath, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Moves a file, creating the destination directory as needed. Falls back to copying
+   * and deleting when the file can not be renamed across devices
+   *
+   * @param {string} source Path of the file to move
+   * @param {string} dest Path to move the file to
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async move(source, dest) {
+    await FileUtil.makeDir(path.dirname(dest));
+    try {
+      await FileUtil.rename(source, dest);
+    } catch (e) {
+      if (e.code !== 'EXDEV') throw e;
+      if ((await FileUtil.lstat(source)).isSymbolicLink()) {
+        await FileUtil.symlink(await FileUtil.readlink(source), dest);
+      } else {
+        await FileUtil.copyFile(source, dest);
+        await FileUtil.copyAttributes(source, dest);
+      }
+      await FileUtil.unlink(source);
+    }
+  }
+
+  /**
+   * Async wrapper for fs.unlink
+   *
+   * @param {string} filePath Path of the file to delete
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async unlink(filePath) {
+    return new Promise((resolve, reject) => {
+      fs.unlink(filePath, (err) => {
+        if (err) return reject(err);
+        resolve();
       });
+    });
+  }
 
-      write.on('close', () => {
+  /**
+   * Async wrapper for fs.rmdir. Only empty directories can be removed
+   *
+   * @param {string} dirPath Path of the directory to remove
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async rmdir(dirPath) {
+    return new Promise((resolve, reject) => {
+      fs.rmdir(dirPath, (err) => {
+        if (err) return reject(err);
         resolve();
       });
     });
   }
 
+  /**
+   * Deletes a file or directory along with everything inside of it. Paths that do not
+   * exist are ignored
+   *
+   * @param {string} target Path of the file or directory to delete
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async removeDir(target) {
+    let stats;
+    try {
+      stats = await FileUtil.lstat(target);
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return;
+      throw e;
+    }
+
+    if (!stats.isDirectory()) {
+      return FileUtil.unlink(target);
+    }
+
+    let files = await FileUtil.readdir(target);
+    for (let file of files) {
+      await FileUtil.removeDir(path.join(target, file));
+    }
+    await FileUtil.rmdir(target);
+  }
+
+  /**
+   * Async wrapper for fs.mkdtemp
+   *
+   * @param {string} prefix Prefix of the directory path, a random suffix is added
+   *
+   * @return {Promise} Resolves with the path of the created directory
+   */
+  static async mkdtemp(prefix) {
+    return new Promise((resolve, reject) => {
+      fs.mkdtemp(prefix, (err, dirPath) => {
+        if (err) return reject(err);
+        resolve(dirPath);
+      });
+    });
+  }
+
+  /**
+   * Async wrapper for fs.lstat, which does not follow symbolic links
+   *
+   * @param {string} filePath Path of the file to get the stats of
+   *
+   * @return {Promise} Resolves with an fs.Stats object
+   */
+  static async lstat(filePath) {
+    return new Promise((resolve, reject) => {
+      fs.lstat(filePath, (err, stats) => {
+        if (err) return reject(err);
+        resolve(stats);
+      });
+    });
+  }
+
+  /**
+   * Async wrapper for fs.stat
+   *
+   * @param {string} filePath Path of the file to get the stats of
+   *
+   * @return {Promise} Resolves with an fs.Stats object
+   */
+  static async stat(filePath) {
+    return new Promise((resolve, reject) => {
+      fs.stat(filePath, (err, stats) => {
+        if (err) return reject(err);
+        resolve(stats);
+      });
+    });
+  }
+
+  /**
+   * Checks if a file or directory exists
+   *
+   * @param {string} filePath Path to check
+   *
+   * @return {Promise} Resolves with true if the path exists, false otherwise
+   */
+  static async exists(filePath) {
+    return new Promise((resolve) => {
+      fs.access(filePath, (err) => resolve(!err));
+    });
+  }
+
+  /**
+   * Checks if a file has a known text extension, based on the extensions in the
+   * `text-extensions.json` file. Files with a known text extension are given the benefit
+   * of the doubt when their content is detected, see `detectType`
+   *
+   * @param {string} filePath Path of the file to check
+   *
+   * @return {boolean} If the file is a text file
+   */
+  static isText(filePath) {
+    let TEXT_EXTENSIONS;
+    try {
+      TEXT_EXTENSIONS = require('./text-extensions.json');
+    } catch (e) {
+      throw new Error(`Unable to load text-extensions.json, aborting transform: ${e.message}`);
+    }
+
+    return TEXT_EXTENSIONS.includes(FileUtil.getExtname(filePath));
+  }
+
   /**
    * Async wrapper for fs.mkdir that is recursive by default. If the file already
    * exists than that will be counted as success
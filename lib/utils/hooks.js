@@ -0,0 +1,112 @@
+'use strict';
+
+const path = require('path');
+const ProcessUtil = require('./process-util.js');
+
+/**
+ * Prefix of the environment variables that pass vars on to hook commands
+ */
+const ENV_PREFIX = 'UFF_VAR_';
+
+/**
+ * Pseudo-Static class runs the post-generate hooks declared by a template manifest.
+ * Hooks run one at a time in the order they are declared, within the destination
+ * directory, and the first failing hook stops the rest from running.
+ *
+ * Command hooks run through the system shell, with every var available as a
+ * `UFF_VAR_<NAME>` environment variable. Module hooks must export a function, which is
+ * called with a context object in the form {vars, destDir, templateDir}, and may return
+ * a promise
+ */
+class Hooks {
+  /**
+   * Prefix of the environment variables that pass vars on to hook commands
+   */
+  static get ENV_PREFIX() {
+    return ENV_PREFIX;
+  }
+
+  /**
+   * Builds the environment hook commands run with
+   *
+   * @param {Object} vars Resolved vars
+   * @param {string} destDir Full path of the destination directory
+   * @param {string} templateDir Full path of the template directory
+   *
+   * @return {Object} Environment variables
+   */
+  static getEnv(vars, destDir, templateDir) {
+    let env = Object.assign({}, process.env, {
+      UFF_DEST: destDir,
+      UFF_TEMPLATE_DIR: templateDir
+    });
+    Object.keys(vars).forEach((name) => {
+      env[`${ENV_PREFIX}${name.replace(/\W/g, '_').toUpperCase()}`] = String(vars[name]);
+    });
+    return env;
+  }
+
+  /**
+   * Runs a single hook
+   *
+   * @param {Object} hook Normalized hook, see `Manifest.normalizeHooks`
+   * @param {Object} context Object in the form {vars, destDir, templateDir, stdio}, where
+   * stdio is passed on to child_process.spawn for command hooks, defaulting to 'inherit'
+   *
+   * @return {Promise} Resolves once the hook has finished
+   */
+  static async runHook(hook, context) {
+    if (hook.type === 'command') {
+      await ProcessUtil.shell(hook.command, {
+        cwd: context.destDir,
+        env: Hooks.getEnv(context.vars, context.destDir, context.templateDir),
+        stdio: context.stdio || 'inherit'
+      });
+      return;
+    }
+
+    let hookFn = require(path.join(hook.dir, hook.module));
+    if (typeof hookFn !== 'function') {
+      throw new Error(`Hook module "${hook.module}" must export a function`);
+    }
+    await hookFn(Object.assign({}, context, {vars: Object.assign({}, context.vars)}));
+  }
+
+  /**
+   * Runs every hook in order, reporting each step as it starts and finishes
+   *
+   * @param {Object[]} hooks Normalized hooks, see `Manifest.normalizeHooks`
+   * @param {Object} context Object in the form {vars, destDir, templateDir}
+   * @param {Function} [onEvent] Called with an object in the form
+   * {index, total, name, status, duration, error} whenever a hook changes status. Status
+   * is one of 'running', 'done' or 'failed', and duration is in milliseconds
+   *
+   * @return {Promise} Resolves once every hook has finished, rejects with an error naming
+   * the failing step and the steps that were not run
+   */
+  static async run(hooks, context, onEvent = () => {}) {
+    for (let i = 0; i < hooks.length; i++) {
+      let hook = hooks[i];
+      let event = {index: i, total: hooks.length, name: hook.name, status: 'running', duration: 0, error: null};
+      let start = Date.now();
+      onEvent(Object.assign({}, event));
+
+      try {
+        await Hooks.runHook(hook, context);
+      } catch (e) {
+        onEvent(Object.assign({}, event, {status: 'failed', duration: Date.now() - start, error: e}));
+
+        let remaining = hooks.slice(i + 1).map((other) => `\n  - ${other.name}`).join('');
+        throw new Error(
+            `Post-generate hook [${i + 1}/${hooks.length}] ${hook.name} failed: ${e.message}\n` +
+            `The generated files were kept in "${context.destDir}"` +
+            (remaining ? `\nThe following hooks were not run:${remaining}` : '')
+        );
+      }
+
+      onEvent(Object.assign({}, event, {status: 'done', duration: Date.now() - start}));
+    }
+  }
+}
+
+module.exports = Hooks;
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * Converts a single glob into a regular expression matching full relative paths.
+ * Supports `*`, `?`, `**`, character classes (`[abc]`) and alternatives (`{a,b}`)
+ *
+ * @param {string} glob Glob to convert, using '/' as the separator
+ *
+ * @return {RegExp} The equivalent regular expression
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    let char = glob.charAt(i);
+
+    if (char === '*') {
+      if (glob.charAt(i + 1) === '*') {
+        // A double star matches across directories
+        let prevSlash = i === 0 || glob.charAt(i - 1) === '/';
+        let nextSlash = glob.charAt(i + 2) === '/';
+        if (prevSlash && nextSlash) {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      let end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let chars = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (chars.charAt(0) === '!') chars = '^' + chars.slice(1);
+        source += `[${chars}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob.charAt(++i).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * The Ignore class matches relative paths against a list of patterns using the same
+ * rules as a `.gitignore` file:
+ * - Blank lines and lines starting with '#' are ignored
+ * - A leading '!' negates the pattern, re-including anything an earlier pattern matched
+ * - A trailing '/' only matches directories
+ * - Patterns containing a '/' are matched against the full relative path, all other
+ *   patterns are matched against the name of the file or directory at any depth
+ * - Anything inside a matched directory is matched as well
+ * - The last matching pattern wins
+ */
+class Ignore {
+  /**
+   * @param {string|string[]} [patterns] Patterns to start with, see `add`
+   */
+  constructor(patterns) {
+    this.rules = [];
+    if (patterns) this.add(patterns);
+  }
+
+  /**
+   * Converts a single glob into a regular expression matching full relative paths
+   *
+   * @param {string} glob Glob to convert
+   *
+   * @return {RegExp} The equivalent regular expression
+   */
+  static globToRegExp(glob) {
+    return globToRegExp(glob);
+  }
+
+  /**
+   * Adds patterns to this matcher
+   *
+   * @param {string|string[]} patterns Either the contents of an ignore file, or an array
+   * of individual patterns
+   *
+   * @return {Ignore} This instance, for chaining
+   */
+  add(patterns) {
+    if (typeof patterns === 'string') patterns = patterns.split(/\r?\n/);
+
+    patterns.forEach((pattern) => {
+      pattern = pattern.replace(/(^|[^\\])\s+$/, '$1');
+      if (!pattern || pattern.startsWith('#')) return;
+
+      let negate = pattern.startsWith('!');
+      if (negate) pattern = pattern.slice(1);
+      if (pattern.startsWith('\\')) pattern = pattern.slice(1);
+
+      let dirOnly = pattern.endsWith('/');
+      if (dirOnly) pattern = pattern.slice(0, -1);
+
+      // Patterns without an inner slash match at any depth
+      let anchored = pattern.includes('/');
+      if (pattern.startsWith('/')) pattern = pattern.slice(1);
+      if (!anchored) pattern = `**/${pattern}`;
+
+      this.rules.push({regex: globToRegExp(pattern), negate, dirOnly});
+    });
+
+    return this;
+  }
+
+  /**
+   * Checks if a path is matched by the patterns, either directly or because one of its
+   * parent directories is matched
+   *
+   * @param {string} relativePath Path relative to the directory the patterns apply to
+   * @param {boolean} [isDir] If the path is a directory
+   *
+   * @return {boolean} If the path is matched
+   */
+  ignores(relativePath, isDir = false) {
+    let parts = relativePath.split(/[\\/]/).filter((part) => part);
+
+    for (let i = 1; i <= parts.length; i++) {
+      let partial = parts.slice(0, i).join('/');
+      let partialIsDir = i < parts.length || isDir;
+      if (this.test(partial, partialIsDir)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Alias of `ignores`, for matchers that select paths rather than ignore them
+   *
+   * @param {string} relativePath Path relative to the directory the patterns apply to
+   * @param {boolean} [isDir] If the path is a directory
+   *
+   * @return {boolean} If the path is matched
+   */
+  matches(relativePath, isDir = false) {
+    return this.ignores(relativePath, isDir);
+  }
+
+  /**
+   * Checks a single path against the patterns, without checking its parent directories
+   *
+   * @param {string} relativePath Path using '/' as the separator
+   * @param {boolean} isDir If the path is a directory
+   *
+   * @return {boolean} If the last matching pattern is not negated
+   */
+  test(relativePath, isDir) {
+    let result = false;
+    this.rules.forEach((rule) => {
+      if (rule.dirOnly && !isDir) return;
+      if (rule.regex.test(relativePath)) result = !rule.negate;
+    });
+    return result;
+  }
+}
+
+module.exports = Ignore;
@@ -0,0 +1,229 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const Config = require('./config.js');
+const FileUtil = require('./file-util.js');
+const TemplateSource = require('./template-source.js');
+
+/**
+ * Name of the lockfile within a generated project
+ */
+const FILENAME = '.uff-lock.json';
+
+/**
+ * Version of the lockfile format, increased whenever the format changes
+ */
+const LOCKFILE_VERSION = 1;
+
+/**
+ * The Lockfile class describes how a project was generated, so it can later be updated
+ * from a newer version of its template. It is written to the root of every generated
+ * project:
+```
+  {
+    "lockfileVersion": 1,
+    "template": {
+      "source": "git+https://github.com/org/web.git#v2",
+      "resolved": "4f1c2e...",
+      "version": "2.0.0"
+    },
+    "opts": {"engine": null, "pattern": null, "unknown-placeholders": null},
+    "vars": {"NAME": "testing"},
+    "files": {"src/index.js": "9b74c9897bac770ffc029102a200c5de..."}
+  }
+```
+ * `resolved` is the git commit or package version that was fetched, if any. `files` maps
+ * the path of every generated file to the SHA-256 hash of its generated content, before
+ * any changes made by the user. The generated content of text files is kept in the user
+ * level cache under that hash, see `storeBase`
+ */
+class Lockfile {
+  /**
+   * Name of the lockfile within a generated project
+   */
+  static get FILENAME() {
+    return FILENAME;
+  }
+
+  /**
+   * Hashes the content of a file
+   *
+   * @param {Buffer|string} content File content
+   *
+   * @return {string} Hex encoded SHA-256 hash
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Gets where the generated content with the given hash is kept
+   *
+   * @param {string} hash Hash of the content, see `hash`
+   *
+   * @return {string|null} Full path within `Config.BASE_CACHE_DIR`, or null if the hash
+   * is malformed
+   */
+  static getBasePath(hash) {
+    if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) return null;
+    return path.join(Config.BASE_CACHE_DIR, hash.slice(0, 2), hash.slice(2));
+  }
+
+  /**
+   * Keeps generated content in the user level cache, so a later update can merge the
+   * changes made on each side against exactly what was generated. Content is keyed by its
+   * hash, so the same content is only ever kept once
+   *
+   * @param {Buffer} content Generated content
+   *
+   * @return {Promise} Resolves once the content is kept
+   */
+  static async storeBase(content) {
+    let basePath = Lockfile.getBasePath(Lockfile.hash(content));
+    if (await FileUtil.exists(basePath)) return;
+
+    // Written next to its final path first, so a partial file is never found
+    let tempPath = `${basePath}.tmp-${process.pid}`;
+    await FileUtil.makeDir(path.dirname(basePath));
+    await FileUtil.writeFile(tempPath, content);
+    await FileUtil.rename(tempPath, basePath);
+  }
+
+  /**
+   * Finds generated content kept by `storeBase`
+   *
+   * @param {string} hash Hash of the content, generally from `files`
+   *
+   * @return {Promise} Resolves with a Buffer of the content, or null if it is not kept
+   */
+  static async loadBase(hash) {
+    let basePath = Lockfile.getBasePath(hash);
+    if (!basePath) return null;
+
+    let content;
+    try {
+      content = await FileUtil.readFile(basePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    return Lockfile.hash(content) === hash ? content : null;
+  }
+
+  /**
+   * Loads the lockfile of a generated project
+   *
+   * @param {string} projectDir Full path of the generated project
+   *
+   * @return {Promise} Resolves with a Lockfile instance, rejects if there is no lockfile or
+   * it is malformed
+   */
+  static async load(projectDir) {
+    let lockPath = path.join(projectDir, FILENAME);
+
+    let data;
+    try {
+      data = JSON.parse((await FileUtil.readFile(lockPath)).toString());
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        throw new Error(`No ${FILENAME} found in "${projectDir}", only projects generated by "run" can be updated`);
+      }
+      throw new Error(`Invalid lockfile: Could not parse "${lockPath}": ${e.message}`);
+    }
+
+    if (!data || !data.template || typeof data.template.source !== 'string' || !data.files) {
+      throw new Error(`Invalid lockfile: "${lockPath}" is missing the template source or files`);
+    }
+    if (data.lockfileVersion > LOCKFILE_VERSION) {
+      throw new Error(`Invalid lockfile: "${lockPath}" was written by a newer version of uff`);
+    }
+
+    return new Lockfile(data);
+  }
+
+  /**
+   * Creates the lockfile for a generation
+   *
+   * @param {Template} template The template that was generated
+   * @param {Args} args Processed arguments used to generate the template
+   * @param {Object} files Map of relative file paths to the hash of their content
+   *
+   * @return {Lockfile} The new lockfile
+   */
+  static create(template, args, files) {
+    let source = template.source;
+    // Local paths are recorded in full, as the project is updated from its own directory
+    let isLocal = !source || source.type === TemplateSource.TYPES.LOCAL;
+    return new Lockfile({
+      lockfileVersion: LOCKFILE_VERSION,
+      template: {
+        source: isLocal ? template.dir : source.spec,
+        resolved: source ? source.resolved : null,
+        version: template.manifest.version || null
+      },
+      opts: {
+        'engine': args.opts.engine || null,
+        'pattern': args.opts.pattern || null,
+        'unknown-placeholders': args.opts['unknown-placeholders'] || null
+      },
+      vars: args.vars,
+      files
+    });
+  }
+
+  /**
+   * @param {Object} data Parsed lockfile data
+   */
+  constructor(data) {
+    this.data = data;
+  }
+
+  get template() {
+    return this.data.template;
+  }
+
+  get opts() {
+    return this.data.opts || {};
+  }
+
+  get vars() {
+    return this.data.vars || {};
+  }
+
+  get files() {
+    return this.data.files;
+  }
+
+  /**
+   * Gets a template source pointing at the exact template version that was generated.
+   * Git sources are pinned to the resolved commit, and npm packages to the resolved
+   * version. Other sources can not be pinned, and are returned as they are
+   *
+   * @return {string} Template source
+   */
+  getPinnedSource() {
+    let source = TemplateSource.parse(this.template.source);
+    let resolved = this.template.resolved;
+    if (!resolved) return source.spec;
+
+    if (source.type === TemplateSource.TYPES.GIT) {
+      return `${source.spec.replace(/#.*$/, '')}#${resolved}`;
+    }
+    if (source.type === TemplateSource.TYPES.NPM && source.spec.startsWith('npm:')) {
+      return `npm:${source.location.replace(/(.)@[^@/]*$/, '$1')}@${resolved}`;
+    }
+    return source.spec;
+  }
+
+  /**
+   * Serializes the lockfile
+   *
+   * @return {string} JSON content of the lockfile
+   */
+  toString() {
+    return `${JSON.stringify(this.data, null, 2)}\n`;
+  }
+}
+
+module.exports = Lockfile;
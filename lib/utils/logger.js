@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Number of spaces each group indents its messages by, the same as console.group
+ */
+const INDENT = 2;
+
+/**
+ * The Logger class writes the output of the command line actions. Messages are written
+ * in order, with their own group indentation, so concurrent work never interleaves the
+ * output of separate groups. Two reporters are supported:
+ * - text: Messages are written as they are logged, filtered by the level
+ * - json: Nothing is written until `report` is called, which writes a single JSON
+ *   document to stdout. Warnings and errors are included in the document
+ *
+ * Levels are 'quiet' (errors only), 'normal' and 'verbose' (details of every step)
+ */
+class Logger {
+  /**
+   * Pseudo-Enum describes all levels, from least to most output
+   */
+  static get LEVELS() {
+    return {
+      QUIET: 'quiet',
+      NORMAL: 'normal',
+      VERBOSE: 'verbose'
+    };
+  }
+
+  /**
+   * Pseudo-Enum describes all reporters
+   */
+  static get REPORTERS() {
+    return {
+      TEXT: 'text',
+      JSON: 'json'
+    };
+  }
+
+  /**
+   * Creates a logger from command line options: `--quiet` (`-q`), `--verbose` (`-v`),
+   * `--reporter=<text|json>` and `--json`, a shorthand for the JSON reporter. Verbose
+   * wins over quiet
+   *
+   * @param {Object} opts Options, generally from `Args.opts`
+   *
+   * @return {Logger} The logger
+   */
+  static fromOpts(opts) {
+    const LEVELS = Logger.LEVELS;
+
+    let level = LEVELS.NORMAL;
+    if (opts.quiet || opts.q) level = LEVELS.QUIET;
+    if (opts.verbose || opts.v) level = LEVELS.VERBOSE;
+
+    let reporter = opts.json ? Logger.REPORTERS.JSON : opts.reporter || Logger.REPORTERS.TEXT;
+    return new Logger({level, reporter});
+  }
+
+  /**
+   * @param {Object} [opts] Options
+   * @param {string} [opts.level] One of Logger.LEVELS, defaults to normal
+   * @param {string} [opts.reporter] One of Logger.REPORTERS, defaults to text
+   * @param {stream.Writable} [opts.stdout] Stream for regular output, defaults to process.stdout
+   * @param {stream.Writable} [opts.stderr] Stream for warnings and errors, defaults to process.stderr
+   */
+  constructor(opts = {}) {
+    this.level = opts.level || Logger.LEVELS.NORMAL;
+    this.reporter = opts.reporter || Logger.REPORTERS.TEXT;
+    this.stdout = opts.stdout || process.stdout;
+    this.stderr = opts.stderr || process.stderr;
+
+    this.depth = 0;
+    this.messages = [];
+  }
+
+  /**
+   * If the JSON reporter is used
+   */
+  get json() {
+    return this.reporter === Logger.REPORTERS.JSON;
+  }
+
+  /**
+   * Stream questions are asked on. The JSON reporter keeps stdout for its document, so
+   * questions are asked on stderr instead
+   */
+  get promptStream() {
+    return this.json ? this.stderr : this.stdout;
+  }
+
+  /**
+   * If the level is quiet
+   */
+  get quiet() {
+    return this.level === Logger.LEVELS.QUIET;
+  }
+
+  /**
+   * If the level is verbose
+   */
+  get isVerbose() {
+    return this.level === Logger.LEVELS.VERBOSE;
+  }
+
+  /**
+   * Makes sure the level and reporter are valid
+   */
+  validate() {
+    let levels = Object.values(Logger.LEVELS);
+    if (!levels.includes(this.level)) {
+      throw new Error(`Invalid level: "${this.level}", must be one of ${levels.join(', ')}`);
+    }
+    let reporters = Object.values(Logger.REPORTERS);
+    if (!reporters.includes(this.reporter)) {
+      throw new Error(`Invalid reporter: "${this.reporter}", must be one of ${reporters.join(', ')}`);
+    }
+  }
+
+  /**
+   * Writes a message, indenting every line by the current group depth
+   *
+   * @param {stream.Writable} stream Stream to write to
+   * @param {string} message Message to write
+   */
+  write(stream, message) {
+    let indent = ' '.repeat(this.depth * INDENT);
+    stream.write(String(message).split('\n').map((line) => line ? indent + line : line).join('\n') + '\n');
+  }
+
+  /**
+   * Logs an error. Errors are always output
+   *
+   * @param {string} message Message to log
+   */
+  error(message) {
+    if (this.json) {
+      this.messages.push({level: 'error', message: String(message)});
+      return;
+    }
+    this.write(this.stderr, message);
+  }
+
+  /**
+   * Logs a warning, unless quiet
+   *
+   * @param {string} message Message to log
+   */
+  warn(message) {
+    if (this.json) {
+      this.messages.push({level: 'warn', message: String(message)});
+      return;
+    }
+    if (!this.quiet) this.write(this.stderr, message);
+  }
+
+  /**
+   * Writes the main output of an action, such as help text or a JSON document, no matter
+   * the level or reporter
+   *
+   * @param {string} message Output to write
+   */
+  print(message) {
+    this.write(this.stdout, message);
+  }
+
+  /**
+   * Logs a regular message, unless quiet
+   *
+   * @param {string} [message] Message to log, defaults to an empty line
+   */
+  info(message = '') {
+    if (!this.json && !this.quiet) this.write(this.stdout, message);
+  }
+
+  /**
+   * Logs a detailed message, only when verbose
+   *
+   * @param {string} message Message to log
+   */
+  verbose(message) {
+    if (!this.json && this.isVerbose) this.write(this.stdout, message);
+  }
+
+  /**
+   * Indents all following messages by one more level
+   */
+  group() {
+    this.depth++;
+  }
+
+  /**
+   * Removes one level of indentation
+   */
+  groupEnd() {
+    this.depth = Math.max(0, this.depth - 1);
+  }
+
+  /**
+   * Logs a summary of counts and a duration on a single line, unless quiet
+   *
+   * @param {Object} counts Object mapping labels to counts. Zero counts are left out
+   * @param {number} [duration] Duration in milliseconds
+   */
+  summary(counts, duration) {
+    let parts = Object.keys(counts).filter((label) => counts[label] > 0)
+        .map((label) => `${label}: ${counts[label]}`);
+    let line = parts.join(', ') || 'Done';
+    if (duration !== undefined) line += ` in ${(duration / 1000).toFixed(2)}s`;
+    this.info(line);
+  }
+
+  /**
+   * Writes the JSON document of the JSON reporter, including any logged warnings and
+   * errors. Does nothing for the text reporter
+   *
+   * @param {Object} data Data to output
+   */
+  report(data) {
+    if (!this.json) return;
+    let document = Object.assign({}, data, {messages: this.messages});
+    this.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+  }
+}
+
+module.exports = Logger;
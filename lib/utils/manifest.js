@@ -0,0 +1,723 @@
+'use strict';
+
+const path = require('path');
+const FileUtil = require('./file-util.js');
+const Ignore = require('./ignore.js');
+const Plugins = require('./plugins.js');
+
+/**
+ * Name of the manifest file that may be shipped at the root of a template directory
+ */
+const FILENAME = 'uff.json';
+
+/**
+ * All variable types a manifest may declare
+ */
+const TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * String values that are accepted for boolean variables, and what they normalize to
+ */
+const BOOLEAN_VALUES = {
+  'true': 'true',
+  'yes': 'true',
+  'y': 'true',
+  '1': 'true',
+  'false': 'false',
+  'no': 'false',
+  'n': 'false',
+  '0': 'false'
+};
+
+/**
+ * All policies for placeholders without a matching var, see `Args.unknownPolicy`
+ */
+const UNKNOWN_POLICIES = ['error', 'leave', 'warn'];
+
+/**
+ * The Manifest class represents the optional `uff.json` file found at the root of a
+ * template directory. The manifest describes the template and declares the variables
+ * it expects, for example:
+```
+  {
+    "name": "my-template",
+    "description": "A simple template",
+    "version": "1.0.0",
+    "variables": [
+      {"name": "NAME", "description": "Project name", "required": true, "pattern": "^[a-z-]+$"},
+      {"name": "PORT", "type": "number", "default": 8080},
+      {"name": "LICENSE", "values": ["MIT", "ISC"], "default": "MIT"}
+    ],
+    "text": ["bin/*"],
+    "verbatim": ["src/views/", "*.hbs"],
+    "unknownPlaceholders": "warn",
+    "hooks": ["git init", {"name": "Install dependencies", "run": "npm install"}],
+    "fixtures": {"default": {"NAME": "demo"}, "full": "fixtures/full.yaml"},
+    "plugins": ["./plugins/banner.js"],
+    "transforms": [{"name": "banner", "files": ["*.js"], "options": {"text": "Generated"}}]
+  }
+```
+ * A manifest may also layer the template on other templates with `extends` and
+ * `include`, see `Template.load`. Templates without a manifest are treated as having an
+ * empty one
+ */
+class Manifest {
+  /**
+   * Name of the manifest file within a template directory
+   */
+  static get FILENAME() {
+    return FILENAME;
+  }
+
+  /**
+   * Loads the manifest of the given template directory
+   *
+   * @param {string} templateDir Full path of the template directory
+   *
+   * @return {Promise} Resolves with a Manifest instance, rejects if the manifest is malformed
+   */
+  static async load(templateDir) {
+    let manifestPath = path.join(templateDir, FILENAME);
+
+    let raw;
+    try {
+      raw = await FileUtil.readFile(manifestPath);
+    } catch (e) {
+      // No manifest is perfectly valid
+      if (e.code === 'ENOENT') return new Manifest({}, templateDir);
+      throw e;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw.toString());
+    } catch (e) {
+      throw new Error(`Invalid manifest: Could not parse "${manifestPath}": ${e.message}`);
+    }
+
+    return new Manifest(data, templateDir);
+  }
+
+  /**
+   * @param {Object} data Parsed manifest data
+   * @param {string} templateDir Full path of the template directory the manifest belongs to
+   */
+  constructor(data, templateDir) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Invalid manifest: "${path.join(templateDir, FILENAME)}" must contain a JSON object`);
+    }
+
+    this.data = data;
+    this.templateDir = templateDir;
+    this.variables = Manifest.normalizeVariables(data.variables || [], templateDir);
+    this.files = Manifest.normalizeFiles(data.files || [], templateDir);
+    this.hooks = Manifest.normalizeHooks(data.hooks || [], templateDir);
+    this.fileTypes = Manifest.normalizeFileTypes(data, templateDir);
+    this.verbatim = Manifest.normalizeVerbatim(data.verbatim || [], templateDir);
+    this.fixtures = Manifest.normalizeFixtures(data.fixtures || {}, templateDir);
+    this.plugins = Manifest.normalizePlugins(data.plugins || [], templateDir);
+    this.transforms = Manifest.normalizeTransforms(data.transforms || [], templateDir);
+
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    if (data.unknownPlaceholders !== undefined && !UNKNOWN_POLICIES.includes(data.unknownPlaceholders)) {
+      throw new Error(`${prefix}: "unknownPlaceholders" must be one of ${UNKNOWN_POLICIES.join(', ')}`);
+    }
+    if (data.extends !== undefined && (typeof data.extends !== 'string' || !data.extends)) {
+      throw new Error(`${prefix}: "extends" must be a template source`);
+    }
+    if (data.include !== undefined && ![].concat(data.include).every((spec) => typeof spec === 'string' && spec)) {
+      throw new Error(`${prefix}: "include" must be a template source, or an array of template sources`);
+    }
+  }
+
+  /**
+   * Combines the manifests of every layer of a template into one. The last manifest
+   * describes the template. Variable declarations of the same name are merged, with later
+   * manifests overriding the properties they declare. File rules, file types, verbatim
+   * globs, hooks, plugins and transforms of every manifest apply, in order, and the last
+   * declared engine and unknown placeholder policy are used
+   *
+   * @param {Manifest[]} manifests Manifests in the order the layers are applied
+   *
+   * @return {Manifest} The combined manifest
+   */
+  static combine(manifests) {
+    let top = manifests[manifests.length - 1];
+    if (manifests.length === 1) return top;
+
+    let variables = [];
+    manifests.forEach((manifest) => {
+      (manifest.data.variables || []).forEach((variable) => {
+        let index = variables.findIndex((existing) => existing.name === variable.name);
+        if (index === -1) {
+          variables.push(variable);
+        } else {
+          variables[index] = Object.assign({}, variables[index], variable);
+        }
+      });
+    });
+
+    let engine = manifests.map((manifest) => manifest.engine).filter((name) => name).pop();
+    let unknownPlaceholders = manifests.map((manifest) => manifest.unknownPlaceholders)
+        .filter((policy) => policy).pop();
+    let data = Object.assign({}, top.data, {
+      engine, unknownPlaceholders, variables, files: [], hooks: [], text: [], binary: [], verbatim: [],
+      plugins: [], transforms: []
+    });
+    delete data.extends;
+    delete data.include;
+
+    let combined = new Manifest(data, top.templateDir);
+    manifests.forEach((manifest) => {
+      combined.files = combined.files.concat(manifest.files);
+      combined.hooks = combined.hooks.concat(manifest.hooks);
+      combined.fileTypes = combined.fileTypes.concat(manifest.fileTypes);
+      combined.verbatim = combined.verbatim.concat(manifest.verbatim);
+      combined.plugins = combined.plugins.concat(manifest.plugins);
+      combined.transforms = combined.transforms.concat(manifest.transforms);
+    });
+    return combined;
+  }
+
+  /**
+   * Sources of the templates this template is layered on, in the order they are applied:
+   * the template it extends, followed by the templates it includes
+   */
+  get layerSources() {
+    let sources = [];
+    if (this.data.extends) sources.push(this.data.extends);
+    return sources.concat(this.data.include || []);
+  }
+
+  get name() {
+    return this.data.name || path.basename(this.templateDir);
+  }
+
+  get description() {
+    return this.data.description || '';
+  }
+
+  get version() {
+    return this.data.version || '';
+  }
+
+  /**
+   * Name of the transform the template is written for, if it declares one
+   */
+  get engine() {
+    return this.data.engine || null;
+  }
+
+  /**
+   * How placeholders without a matching var are handled, if the template declares it
+   */
+  get unknownPlaceholders() {
+    return this.data.unknownPlaceholders || null;
+  }
+
+  /**
+   * Validates and normalizes the variable declarations of a manifest, including their
+   * defaults
+   *
+   * @param {Object[]} variables Raw variable declarations
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized variable declarations
+   */
+  static normalizeVariables(variables, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    if (!Array.isArray(variables)) {
+      throw new Error(`${prefix}: "variables" must be an array`);
+    }
+
+    return variables.map((variable, index) => {
+      if (!variable || typeof variable.name !== 'string' || !variable.name) {
+        throw new Error(`${prefix}: Variable at index ${index} must have a name`);
+      }
+
+      let type = variable.type || 'string';
+      if (!TYPES.includes(type)) {
+        throw new Error(`${prefix}: Variable "${variable.name}" has unknown type "${type}"`);
+      }
+
+      if (variable.values && !Array.isArray(variable.values)) {
+        throw new Error(`${prefix}: Variable "${variable.name}" must declare "values" as an array`);
+      }
+
+      let pattern = null;
+      if (variable.pattern) {
+        try {
+          pattern = new RegExp(variable.pattern);
+        } catch (e) {
+          throw new Error(`${prefix}: Variable "${variable.name}" has an invalid pattern: ${e.message}`);
+        }
+      }
+
+      let declaration = {
+        name: variable.name,
+        description: variable.description || '',
+        type,
+        default: undefined,
+        required: !!variable.required,
+        values: variable.values ? variable.values.map(String) : null,
+        pattern
+      };
+
+      // Defaults are checked like any other value, so an invalid one fails before generating
+      if (variable.default !== undefined) {
+        try {
+          declaration.default = Manifest.checkValue(declaration, variable.default);
+        } catch (e) {
+          throw new Error(`${prefix}: Invalid default: ${e.message}`);
+        }
+      }
+      return declaration;
+    });
+  }
+
+  /**
+   * Validates and normalizes the file rules of a manifest. Each rule either includes or
+   * excludes the files matching its glob(s), optionally depending on a condition:
+```
+  {"exclude": "docker/", "unless": "DOCKER"}
+  {"include": ["ci/**", ".ci.yml"], "if": "CI=github"}
+```
+   *
+   * @param {Object[]} files Raw file rules
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized rules in the form {type, globs, matcher, if, unless}
+   */
+  static normalizeFiles(files, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    if (!Array.isArray(files)) {
+      throw new Error(`${prefix}: "files" must be an array`);
+    }
+
+    return files.map((rule, index) => {
+      let type = rule && ['include', 'exclude'].find((key) => rule[key]);
+      if (!type) {
+        throw new Error(`${prefix}: File rule at index ${index} must have an "include" or "exclude" glob`);
+      }
+
+      let globs = [].concat(rule[type]);
+      return {
+        type,
+        globs,
+        matcher: new Ignore(globs),
+        if: rule.if || null,
+        unless: rule.unless || null
+      };
+    });
+  }
+
+  /**
+   * Validates and normalizes the `text` and `binary` globs of a manifest, which force the
+   * matching files to be transformed or copied as they are, no matter their content:
+```
+  "text": ["bin/*", "*.tmpl"],
+  "binary": ["fixtures/*.sql"]
+```
+   *
+   * @param {Object} data Parsed manifest data
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized rules in the form {type, globs, matcher}, where type is
+   * either 'text' or 'binary'. Binary rules come last, so they win over text rules
+   */
+  static normalizeFileTypes(data, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+
+    return ['text', 'binary'].filter((type) => data[type] !== undefined).map((type) => {
+      let globs = [].concat(data[type]);
+      if (!globs.every((glob) => typeof glob === 'string' && glob)) {
+        throw new Error(`${prefix}: "${type}" must be a glob, or an array of globs`);
+      }
+      return {type, globs, matcher: new Ignore(globs)};
+    }).filter((rule) => rule.globs.length > 0);
+  }
+
+  /**
+   * Validates and normalizes the `verbatim` globs of a manifest. Matching files are copied
+   * as they are, without replacing any placeholder. Directories match everything within:
+```
+  "verbatim": ["src/views/", "*.hbs"]
+```
+   *
+   * @param {string|string[]} verbatim Raw glob or globs
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized rules in the form {globs, matcher}
+   */
+  static normalizeVerbatim(verbatim, templateDir) {
+    let globs = [].concat(verbatim);
+    if (!globs.every((glob) => typeof glob === 'string' && glob)) {
+      throw new Error(`Invalid manifest: "${path.join(templateDir, FILENAME)}": "verbatim" must be a glob, or an array of globs`);
+    }
+    return globs.length > 0 ? [{globs, matcher: new Ignore(globs)}] : [];
+  }
+
+  /**
+   * Validates and normalizes the fixtures of a manifest: named sets of sample vars the
+   * template is checked and tested with. Each fixture is either an object of vars, or the
+   * path of a vars file within the template directory, see `VarsFile.load`:
+```
+  "fixtures": {
+    "default": {"NAME": "demo"},
+    "full": "fixtures/full.yaml"
+  }
+```
+   *
+   * @param {Object} fixtures Raw fixtures
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized fixtures in the form {name, vars, file}, where either
+   * vars or file is null
+   */
+  static normalizeFixtures(fixtures, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    if (typeof fixtures !== 'object' || Array.isArray(fixtures)) {
+      throw new Error(`${prefix}: "fixtures" must be an object mapping names to vars`);
+    }
+
+    return Object.keys(fixtures).map((name) => {
+      let fixture = fixtures[name];
+      if (typeof fixture === 'string' && fixture) {
+        let filePath = path.normalize(fixture);
+        if (path.isAbsolute(filePath) || filePath.split(path.sep)[0] === '..') {
+          throw new Error(`${prefix}: Fixture file "${fixture}" must be within the template directory`);
+        }
+        return {name, vars: null, file: fixture};
+      }
+      if (fixture && typeof fixture === 'object' && !Array.isArray(fixture)) {
+        return {name, vars: fixture, file: null};
+      }
+      throw new Error(`${prefix}: Fixture "${name}" must be an object of vars, or the path of a vars file`);
+    });
+  }
+
+  /**
+   * Validates and normalizes the plugins of a manifest, which add transforms to the
+   * template, see `Plugins`. Each plugin is either a module within the template
+   * directory, or an installed package:
+```
+  "plugins": ["./plugins/banner.js", "uff-plugin-prettier"]
+```
+   *
+   * @param {string|string[]} plugins Raw plugin or plugins
+   * @param {string} templateDir Template directory, which local modules are relative to
+   *
+   * @return {Object[]} Normalized plugins in the form {spec, dir, local}, where dir is the
+   * template directory
+   */
+  static normalizePlugins(plugins, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    plugins = [].concat(plugins);
+    if (!plugins.every((spec) => typeof spec === 'string' && spec)) {
+      throw new Error(`${prefix}: "plugins" must be a module or package, or an array of them`);
+    }
+
+    return plugins.map((spec) => {
+      let local = Plugins.isLocal(spec);
+      if (local) {
+        // Paths in the home directory are outside of the template, see `Plugins.resolve`
+        let home = spec === '~' || spec.startsWith('~/');
+        let modulePath = path.normalize(spec);
+        if (home || path.isAbsolute(modulePath) || modulePath.split(path.sep)[0] === '..') {
+          throw new Error(`${prefix}: Plugin "${spec}" must be within the template directory`);
+        }
+      }
+      return {spec, dir: templateDir, local};
+    });
+  }
+
+  /**
+   * Validates and normalizes the transforms a manifest applies after rendering, see
+   * `Generator.createTransforms`. Each transform applies to the text files matching its
+   * globs, or to every text file without any, and is given its options:
+```
+  "transforms": [
+    {"name": "banner", "files": ["*.js", "styles/"], "options": {"text": "Generated"}}
+  ]
+```
+   *
+   * @param {Object[]} transforms Raw transforms
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized transforms in the form {name, globs, matcher, options}
+   */
+  static normalizeTransforms(transforms, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    if (!Array.isArray(transforms)) {
+      throw new Error(`${prefix}: "transforms" must be an array`);
+    }
+
+    return transforms.map((transform, index) => {
+      if (!transform || typeof transform.name !== 'string' || !transform.name) {
+        throw new Error(`${prefix}: Transform at index ${index} must have a "name"`);
+      }
+      let globs = [].concat(transform.files || '*');
+      if (!globs.every((glob) => typeof glob === 'string' && glob)) {
+        throw new Error(`${prefix}: "files" of transform "${transform.name}" must be a glob, or an array of globs`);
+      }
+      let options = transform.options || {};
+      if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`${prefix}: "options" of transform "${transform.name}" must be an object`);
+      }
+      return {name: transform.name, globs, matcher: new Ignore(globs), options};
+    });
+  }
+
+  /**
+   * Validates and normalizes the post-generate hooks of a manifest. Each hook is either a
+   * shell command, or a JavaScript module within the template directory:
+```
+  "git init"
+  {"name": "Install dependencies", "run": "npm install"}
+  {"name": "Write config", "module": "hooks/write-config.js"}
+```
+   *
+   * @param {Array} hooks Raw hooks
+   * @param {string} templateDir Template directory, used for error messages
+   *
+   * @return {Object[]} Normalized hooks in the form {name, type, command, module, dir}, where
+   * type is either 'command' or 'module', and dir is the template directory
+   */
+  static normalizeHooks(hooks, templateDir) {
+    let prefix = `Invalid manifest: "${path.join(templateDir, FILENAME)}"`;
+    if (!Array.isArray(hooks)) {
+      throw new Error(`${prefix}: "hooks" must be an array`);
+    }
+
+    return hooks.map((hook, index) => {
+      if (typeof hook === 'string') hook = {run: hook};
+
+      if (hook && typeof hook.run === 'string' && hook.run) {
+        return {name: hook.name || hook.run, type: 'command', command: hook.run, module: null, dir: templateDir};
+      }
+      if (hook && typeof hook.module === 'string' && hook.module) {
+        let modulePath = path.normalize(hook.module);
+        if (path.isAbsolute(modulePath) || modulePath.split(path.sep)[0] === '..') {
+          throw new Error(`${prefix}: Hook module "${hook.module}" must be within the template directory`);
+        }
+        return {name: hook.name || hook.module, type: 'module', command: null, module: hook.module, dir: templateDir};
+      }
+
+      throw new Error(`${prefix}: Hook at index ${index} must be a command string, or have a "run" or "module" property`);
+    });
+  }
+
+  /**
+   * Checks if a var value is considered true. Missing vars, empty strings and any
+   * value that is a false boolean value ('false', 'no', 'n', '0') are false
+   *
+   * @param {*} value Value to check
+   *
+   * @return {boolean} If the value is true
+   */
+  static isTruthy(value) {
+    if (value === undefined || value === null) return false;
+    value = String(value);
+    return value !== '' && BOOLEAN_VALUES[value.toLowerCase()] !== 'false';
+  }
+
+  /**
+   * Tests a condition against the vars. A condition is either a var name, which must be
+   * truthy, or a comparison in the form 'VAR=value' or 'VAR!=value'
+   *
+   * @param {string} condition Condition to test
+   * @param {Object} vars Vars to test against
+   *
+   * @return {boolean} If the condition holds
+   */
+  static testCondition(condition, vars) {
+    // Only the vars themselves, never members of Object.prototype such as "constructor"
+    let get = (name) => Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : undefined;
+
+    let match = condition.match(/^\s*([^!=\s]+)\s*(!?=)\s*(.*?)\s*$/);
+    if (!match) return Manifest.isTruthy(get(condition.trim()));
+
+    let value = get(match[1]) === undefined ? '' : String(get(match[1]));
+    return match[2] === '=' ? value === match[3] : value !== match[3];
+  }
+
+  /**
+   * Checks if a file should be generated, based on the file rules and the vars. The last
+   * rule matching the file decides: an exclude rule excludes the file when its condition
+   * holds, an include rule includes it when its condition holds and excludes it otherwise
+   *
+   * @param {string} relativePath Path of the file relative to the template directory
+   * @param {Object} vars Vars to test the rule conditions against
+   * @param {boolean} [isDir] If the path is a directory
+   *
+   * @return {Object|null} The rule that excludes the file, or null if it is included
+   */
+  findExcludingRule(relativePath, vars, isDir = false) {
+    let excludedBy = null;
+
+    this.files.forEach((rule) => {
+      if (!rule.matcher.matches(relativePath, isDir)) return;
+
+      let holds = (!rule.if || Manifest.testCondition(rule.if, vars)) &&
+        (!rule.unless || !Manifest.testCondition(rule.unless, vars));
+
+      if (rule.type === 'exclude') {
+        if (holds) excludedBy = rule;
+      } else {
+        excludedBy = holds ? null : rule;
+      }
+    });
+
+    return excludedBy;
+  }
+
+  /**
+   * Checks if a file is forced to be treated as text or binary. The last rule matching
+   * the file decides
+   *
+   * @param {string} relativePath Path of the file relative to the template directory
+   *
+   * @return {string|null} Either 'text' or 'binary', or null if the content decides
+   */
+  getFileType(relativePath) {
+    let type = null;
+    this.fileTypes.forEach((rule) => {
+      if (rule.matcher.matches(relativePath)) type = rule.type;
+    });
+    return type;
+  }
+
+  /**
+   * Checks if a file is copied as it is, without replacing any placeholder
+   *
+   * @param {string} relativePath Path of the file relative to the template directory
+   *
+   * @return {boolean} If the file matches a `verbatim` glob
+   */
+  isVerbatim(relativePath) {
+    return this.verbatim.some((rule) => rule.matcher.matches(relativePath));
+  }
+
+  /**
+   * Gets the transforms applied to a file after rendering
+   *
+   * @param {string} relativePath Path of the file, relative to the template
+   *
+   * @return {Object[]} Transforms from `normalizeTransforms`, in the order they apply
+   */
+  getTransforms(relativePath) {
+    return this.transforms.filter((rule) => rule.matcher.matches(relativePath));
+  }
+
+  /**
+   * Validates the provided variables against the declarations of this manifest. Defaults
+   * are applied to any missing variables, and boolean values are normalized to
+   * 'true' or 'false'. Variables that are not declared are passed through untouched
+   *
+   * @param {Object} vars Variables to validate, generally from `Args.vars`
+   *
+   * @return {Object} A new object containing the validated variables
+   */
+  validate(vars) {
+    let result = Object.assign({}, vars);
+    let errors = [];
+
+    this.variables.forEach((variable) => {
+      let value = result[variable.name];
+
+      if (value === undefined || value === null || value === '') {
+        if (variable.default !== undefined) {
+          result[variable.name] = variable.default;
+        } else if (variable.required) {
+          errors.push(`Missing required variable "${variable.name}"`);
+        }
+        return;
+      }
+
+      try {
+        result[variable.name] = Manifest.checkValue(variable, value);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid variables for template "${this.name}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Finds the declaration of a variable
+   *
+   * @param {string} name Name of the variable
+   *
+   * @return {Object|undefined} The normalized variable declaration, if one exists
+   */
+  getVariable(name) {
+    return this.variables.find((variable) => variable.name === name);
+  }
+
+  /**
+   * Checks a single value against a variable declaration
+   *
+   * @param {Object} variable Normalized variable declaration
+   * @param {*} value Value to check
+   *
+   * @return {string} The normalized value. An error is thrown if the value is invalid
+   */
+  static checkValue(variable, value) {
+    value = String(value);
+
+    if (variable.type === 'number' && (value.trim() === '' || !isFinite(Number(value)))) {
+      throw new Error(`Variable "${variable.name}" must be a number, got "${value}"`);
+    }
+
+    if (variable.type === 'boolean') {
+      let normalized = Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, value.toLowerCase()) ?
+        BOOLEAN_VALUES[value.toLowerCase()] : null;
+      if (!normalized) {
+        throw new Error(`Variable "${variable.name}" must be a boolean, got "${value}"`);
+      }
+      value = normalized;
+    }
+
+    if (variable.values && !variable.values.includes(value)) {
+      throw new Error(`Variable "${variable.name}" must be one of ${variable.values.join(', ')}, got "${value}"`);
+    }
+
+    if (variable.pattern && !variable.pattern.test(value)) {
+      throw new Error(`Variable "${variable.name}" must match ${variable.pattern}, got "${value}"`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Generates help text describing all of the declared variables
+   *
+   * @return {string} Formatted help text
+   */
+  getVariablesHelp() {
+    if (this.variables.length === 0) {
+      return `Template "${this.name}" does not declare any variables\n`;
+    }
+
+    let lines = [`Variables for template "${this.name}":`];
+    this.variables.forEach((variable) => {
+      let details = [variable.type];
+      if (variable.required) details.push('required');
+      lines.push(`  ${variable.name} {${details.join(', ')}}`);
+
+      if (variable.description) lines.push(`      ${variable.description}`);
+      if (variable.values) lines.push(`      Allowed: ${variable.values.join(', ')}`);
+      if (variable.pattern) lines.push(`      Pattern: ${variable.pattern}`);
+      if (variable.default !== undefined) lines.push(`      Default: ${variable.default}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = Manifest;
@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * Column the descriptions of options start at within help text
+ */
+const DESCRIPTION_COLUMN = 22;
+
+/**
+ * Values accepted for boolean options given an explicit value, EX: --dry-run=false
+ */
+const BOOLEAN_VALUES = new Map([
+  ['true', true],
+  ['yes', true],
+  ['1', true],
+  ['false', false],
+  ['no', false],
+  ['0', false]
+]);
+
+/**
+ * Pseudo-Static class describes the options each action accepts, and turns raw option
+ * values into typed ones. Actions export their option definitions as `options`, where
+ * each definition is an object in the form:
+ * - name: Name of the long option, which is also its key in `Args.opts`. EX: 'dry-run'
+ * - alias: Optional single character short option. EX: 'q' for `-q`
+ * - type: One of Options.TYPES, defaults to boolean
+ * - description: Help text. Lines after the first are indented below it
+ * - default: Optional value used when the option is not given. Boolean options that
+ *   default to true are shown as `--no-<name>` in the help text
+ * - defaultHelp: Optional description of the default, when it is not a plain value
+ * - repeatable: If the option may be given more than once, collecting every value into
+ *   an array. Other options may only be given once
+ */
+class Options {
+  /**
+   * Pseudo-Enum describes all option types
+   */
+  static get TYPES() {
+    return {
+      /**
+       * A flag, set to true when given and false when negated with `--no-<name>`
+       */
+      BOOLEAN: 'boolean',
+      /**
+       * Any text
+       */
+      STRING: 'string',
+      /**
+       * A finite number
+       */
+      NUMBER: 'number'
+    };
+  }
+
+  /**
+   * Options accepted by every action, which may also be given before the action
+   */
+  static get GLOBAL() {
+    return [{
+      name: 'help',
+      alias: 'h',
+      description: 'Show the help text of the action'
+    }, {
+      name: 'quiet',
+      alias: 'q',
+      description: 'Only output errors'
+    }, {
+      name: 'verbose',
+      alias: 'v',
+      description: 'Output every step in detail'
+    }, {
+      name: 'reporter',
+      type: Options.TYPES.STRING,
+      description: [
+        'How to output the results',
+        '  text: Human readable messages',
+        '  json: A single JSON document once finished, with any warnings and',
+        '    errors. Hook output is written to stderr'
+      ].join('\n'),
+      defaultHelp: 'text'
+    }, {
+      name: 'json',
+      description: 'Same as --reporter=json'
+    }];
+  }
+
+  /**
+   * Finds the definition of an option by its name or alias
+   *
+   * @param {Object[]} definitions Option definitions to search
+   * @param {string} name Name or alias, without any leading dashes
+   *
+   * @return {Object|undefined} The definition, if any
+   */
+  static find(definitions, name) {
+    return definitions.find((definition) => definition.name === name || definition.alias === name);
+  }
+
+  /**
+   * Converts the raw value of an option to the type of the option
+   *
+   * @param {Object} definition Definition of the option
+   * @param {string|boolean|undefined} value Raw value. Undefined when none was given
+   * @param {string} flag The option as it was given, used in errors. EX: '--dest'
+   *
+   * @return {string|boolean|number} The typed value. An error is thrown if the value is
+   * missing or invalid
+   */
+  static coerce(definition, value, flag) {
+    const TYPES = Options.TYPES;
+    let type = definition.type || TYPES.BOOLEAN;
+
+    if (type === TYPES.BOOLEAN) {
+      if (typeof value === 'boolean' || value === undefined) return value !== false;
+      let normalized = value.toLowerCase();
+      if (!BOOLEAN_VALUES.has(normalized)) {
+        throw new Error(`Invalid value for ${flag}: "${value}", must be one of ${[...BOOLEAN_VALUES.keys()].join(', ')}`);
+      }
+      return BOOLEAN_VALUES.get(normalized);
+    }
+
+    if (value === undefined || typeof value === 'boolean') {
+      throw new Error(`Missing value for ${flag}, EX: --${definition.name}=<${type}>`);
+    }
+    if (type === TYPES.NUMBER) {
+      let number = Number(value);
+      if (value.trim() === '' || !isFinite(number)) {
+        throw new Error(`Invalid value for ${flag}: "${value}", must be a number`);
+      }
+      return number;
+    }
+    return value;
+  }
+
+  /**
+   * Sets the value of an option. Values of repeatable options are collected, and any
+   * other option given twice with different values is an error
+   *
+   * @param {Object} opts Options to set the value in, EX: `Args.opts`
+   * @param {Object} definition Definition of the option
+   * @param {string|boolean|undefined} value Raw value, see `coerce`
+   * @param {string} flag The option as it was given, used in errors
+   */
+  static set(opts, definition, value, flag) {
+    value = Options.coerce(definition, value, flag);
+    let current = opts[definition.name];
+
+    if (definition.repeatable) {
+      opts[definition.name] = (current === undefined ? [] : [].concat(current)).concat(value);
+      return;
+    }
+    if (current !== undefined && current !== value) {
+      throw new Error(`Option --${definition.name} may only be given once`);
+    }
+    opts[definition.name] = value;
+  }
+
+  /**
+   * Applies the defaults of every option that was not given, and makes sure repeatable
+   * options are arrays. Used for options from both the command line and the programmatic
+   * API
+   *
+   * @param {Object} opts Options to normalize, which are changed in place
+   * @param {Object[]} definitions Option definitions of the action
+   *
+   * @return {Object} The options
+   */
+  static normalize(opts, definitions) {
+    definitions.forEach((definition) => {
+      let value = opts[definition.name];
+      if (value === undefined || value === null) {
+        if (definition.default !== undefined) opts[definition.name] = definition.default;
+        return;
+      }
+      if (definition.repeatable && !Array.isArray(value)) opts[definition.name] = [value];
+    });
+    return opts;
+  }
+
+  /**
+   * Generates the options section of the help text of an action, followed by the global
+   * options
+   *
+   * @param {Object[]} definitions Option definitions of the action
+   *
+   * @return {string} The help text
+   */
+  static getHelp(definitions) {
+    let format = (definition) => {
+      let negated = definition.default === true;
+      let flag = `--${negated ? 'no-' : ''}${definition.name}`;
+      if (definition.alias) flag += `, -${definition.alias}`;
+      if (definition.type && definition.type !== Options.TYPES.BOOLEAN) flag += ` {${definition.type}}`;
+
+      let description = definition.description.split('\n');
+      if (definition.repeatable) description.push('  May be given more than once');
+      if (definition.defaultHelp !== undefined) {
+        description.push(`  Default: ${definition.defaultHelp}`);
+      } else if (definition.default !== undefined && typeof definition.default !== 'boolean') {
+        description.push(`  Default: ${definition.default}`);
+      }
+
+      let indent = ' '.repeat(DESCRIPTION_COLUMN);
+      let lines = description.map((line) => `${indent}${line}`);
+      flag = `  ${flag}`;
+      if (flag.length < DESCRIPTION_COLUMN - 1) {
+        lines[0] = `${flag.padEnd(DESCRIPTION_COLUMN)}${description[0]}`;
+      } else {
+        lines.unshift(flag);
+      }
+      return lines.join('\n');
+    };
+
+    let sections = [];
+    if (definitions.length > 0) sections.push(`Options:\n${definitions.map(format).join('\n')}`);
+    sections.push(`Global Options:\n${Options.GLOBAL.map(format).join('\n')}`);
+    return `${sections.join('\n\n')}\n`;
+  }
+}
+
+module.exports = Options;
@@ -0,0 +1,151 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Names of transforms and actions added by plugins
+ */
+const NAME_REGEX = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Pseudo-Static class loads plugins, which add transforms and actions to the framework
+ * factory. A plugin is a local module or an installed package, exporting an object in
+ * the form:
+```
+  module.exports = {
+    transforms: {
+      'banner': class Banner {
+        constructor(args, options) {...}
+        transform(chunk, encoding, callback) {...}
+        flush(callback) {...}
+      }
+    },
+    actions: {
+      'deploy': {description: 'Deploy a generated project', help: '...', options: [], exec: async (args) => {...}}
+    }
+  };
+```
+ * Transforms are classes whose constructor takes the processed arguments and the
+ * `options` of the manifest rule applying them, and that implement the `transform` and
+ * `flush` stream functions, see `FileUtil.transformCopy`. Every chunk is UTF-8 text, as
+ * output by the transforms before it. Transforms that also implement the static
+ * functions of an engine may be selected with `--engine`, see `Transforms`
+ *
+ * Actions are modules as described by `Actions`, with an optional one line
+ * `description`, and `template: true` to have the second argument resolved as a template
+ * before the action runs
+ *
+ * Plugins of the user config add both, see `Config.plugins`. Plugins of a template only
+ * add transforms to that template, see `Template.loadPlugins`
+ */
+class Plugins {
+  /**
+   * Checks if a plugin is a local module rather than an installed package
+   *
+   * @param {string} spec Plugin as declared, EX: './plugins/banner.js' or 'uff-plugin-banner'
+   *
+   * @return {boolean} If the plugin is a local module
+   */
+  static isLocal(spec) {
+    return spec.startsWith('.') || spec === '~' || spec.startsWith('~/') || path.isAbsolute(spec);
+  }
+
+  /**
+   * Finds the module of a plugin. Local modules are relative to the base directory, and
+   * packages are searched for from the base directory, followed by the framework factory
+   * itself
+   *
+   * @param {string} spec Plugin as declared
+   * @param {string} baseDir Full path of the directory the plugin is declared in
+   *
+   * @return {string} Full path of the module. An error is thrown if it can not be found
+   */
+  static resolve(spec, baseDir) {
+    if (spec === '~' || spec.startsWith('~/')) spec = path.join(os.homedir(), spec.slice(1));
+    let request = Plugins.isLocal(spec) ? path.resolve(baseDir, spec) : spec;
+
+    try {
+      return require.resolve(request, {paths: [baseDir]});
+    } catch (e) {
+      if (Plugins.isLocal(spec)) throw new Error(`Unable to find plugin "${spec}" in "${baseDir}"`);
+    }
+    try {
+      return require.resolve(request);
+    } catch (e) {
+      throw new Error(`Unable to find plugin "${spec}", install the package first`);
+    }
+  }
+
+  /**
+   * Loads and validates a plugin
+   *
+   * @param {string} spec Plugin as declared
+   * @param {string} baseDir Full path of the directory the plugin is declared in
+   *
+   * @return {Object} The plugin in the form {spec, file, transforms, actions}, where
+   * transforms and actions map names to classes and modules. An error is thrown if the
+   * plugin can not be loaded or is invalid
+   */
+  static load(spec, baseDir) {
+    let file = Plugins.resolve(spec, baseDir);
+    let plugin;
+    try {
+      plugin = require(file);
+    } catch (e) {
+      throw new Error(`Unable to load plugin "${spec}": ${e.message}`);
+    }
+
+    let prefix = `Invalid plugin "${spec}"`;
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`${prefix}: Must export an object with "transforms" or "actions"`);
+    }
+
+    let transforms = plugin.transforms || {};
+    let actions = plugin.actions || {};
+    [['transforms', transforms], ['actions', actions]].forEach(([key, entries]) => {
+      if (typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error(`${prefix}: "${key}" must be an object mapping names to ${key}`);
+      }
+      let invalid = Object.keys(entries).find((name) => !NAME_REGEX.test(name));
+      if (invalid !== undefined) {
+        throw new Error(`${prefix}: "${invalid}" must only contain lower case letters, digits and dashes`);
+      }
+    });
+
+    Object.keys(transforms).forEach((name) => {
+      let Transform = transforms[name];
+      let prototype = typeof Transform === 'function' ? Transform.prototype : null;
+      if (!prototype || typeof prototype.transform !== 'function' || typeof prototype.flush !== 'function') {
+        throw new Error(`${prefix}: Transform "${name}" must be a class with "transform" and "flush" functions`);
+      }
+    });
+    Object.keys(actions).forEach((name) => {
+      let action = actions[name];
+      if (!action || typeof action.exec !== 'function') {
+        throw new Error(`${prefix}: Action "${name}" must have an "exec" function`);
+      }
+      if (action.options !== undefined && !Array.isArray(action.options)) {
+        throw new Error(`${prefix}: The "options" of action "${name}" must be an array, see the README`);
+      }
+    });
+
+    return {spec, file, transforms, actions};
+  }
+
+  /**
+   * Registers every transform and action of a plugin, so any template and the command
+   * line can use them
+   *
+   * @param {Object} plugin Plugin from `load`
+   */
+  static register(plugin) {
+    // Required here, as the transforms depend on the manifest, which checks plugins with `isLocal`
+    const Actions = require('../actions/index.js');
+    const Transforms = require('../transforms/index.js');
+    Object.keys(plugin.transforms).forEach((name) => Transforms.register(name, plugin.transforms[name], plugin.spec));
+    Object.keys(plugin.actions).forEach((name) => Actions.register(name, plugin.actions[name], plugin.spec));
+  }
+}
+
+module.exports = Plugins;
@@ -0,0 +1,53 @@
+'use strict';
+
+const childProcess = require('child_process');
+
+/**
+ * Pseudo-Static class asynchronously wraps useful child process functions
+ */
+class ProcessUtil {
+  /**
+   * Async wrapper for child_process.execFile
+   *
+   * @param {string} file Executable to run
+   * @param {string[]} args Arguments to pass to the executable
+   * @param {Object} [opts] Options passed on to child_process.execFile
+   *
+   * @return {Promise} Resolves with {stdout, stderr}, rejects with an error that includes
+   * the output of the process if it fails
+   */
+  static async execFile(file, args, opts = {}) {
+    return new Promise((resolve, reject) => {
+      childProcess.execFile(file, args, opts, (err, stdout, stderr) => {
+        if (err) {
+          let output = String(stderr || stdout || '').trim();
+          err.message = `Command failed: ${file} ${args.join(' ')}${output ? `\n${output}` : ''}`;
+          return reject(err);
+        }
+        resolve({stdout: String(stdout), stderr: String(stderr)});
+      });
+    });
+  }
+
+  /**
+   * Runs a shell command, streaming its output to the output of this process
+   *
+   * @param {string} command Command to run, interpreted by the system shell
+   * @param {Object} [opts] Options passed on to child_process.spawn
+   *
+   * @return {Promise} Resolves once the command exits successfully, rejects if it can not
+   * be started or exits with a non-zero code
+   */
+  static async shell(command, opts = {}) {
+    return new Promise((resolve, reject) => {
+      let child = childProcess.spawn(command, Object.assign({shell: true, stdio: 'inherit'}, opts));
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        if (code === 0) return resolve();
+        reject(new Error(signal ? `Command was killed with ${signal}` : `Command exited with code ${code}`));
+      });
+    });
+  }
+}
+
+module.exports = ProcessUtil;
@@ -0,0 +1,138 @@
+'use strict';
+
+const readline = require('readline');
+const Manifest = require('./manifest.js');
+
+/**
+ * Pseudo-Static class wraps the readline module for asking questions on the TTY
+ */
+class Prompt {
+  /**
+   * If questions can be asked, which requires both stdin and stdout to be a TTY
+   */
+  static get available() {
+    return !!(process.stdin.isTTY && process.stdout.isTTY);
+  }
+
+  /**
+   * Opens a readline interface for the duration of the given function, which is
+   * provided an `ask` function for asking questions. A single interface is used so
+   * that no buffered input is lost between questions
+   *
+   * @param {function(Function)} fn Async function that asks the questions
+   * @param {stream.Writable} [output] Stream questions are written to, defaults to stdout
+   *
+   * @return {Promise} Resolves with the result of the given function
+   */
+  static async session(fn, output = process.stdout) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output
+    });
+
+    // Lines are queued as they arrive, as piped input may deliver several at once
+    let lines = [];
+    let waiting = null;
+    let closed = false;
+
+    rl.on('line', (line) => {
+      if (!waiting) return lines.push(line);
+      let {resolve} = waiting;
+      waiting = null;
+      resolve(line.trim());
+    });
+
+    rl.on('close', () => {
+      closed = true;
+      if (!waiting) return;
+      let {reject} = waiting;
+      waiting = null;
+      reject(new Error('Input closed before all questions were answered'));
+    });
+
+    /**
+     * Asks a single question and waits for the answer
+     *
+     * @param {string} question Question to display
+     *
+     * @return {Promise} Resolves with the trimmed answer
+     */
+    let ask = (question) => {
+      rl.setPrompt(question);
+      rl.prompt();
+
+      if (lines.length > 0) return Promise.resolve(lines.shift().trim());
+      if (closed) return Promise.reject(new Error('Input closed before all questions were answered'));
+      return new Promise((resolve, reject) => {
+        waiting = {resolve, reject};
+      });
+    };
+
+    try {
+      return await fn(ask);
+    } finally {
+      rl.close();
+    }
+  }
+
+  /**
+   * Asks for the value of every variable in the given list that has not already been
+   * provided. Declared variables are described using their manifest declaration, and
+   * answers are re-requested until they pass validation
+   *
+   * @param {Manifest} manifest Manifest of the template being generated
+   * @param {string[]} names Names of all variables that need a value
+   * @param {Object} vars Variables that have already been provided
+   * @param {Logger} logger Logger of the action, which decides where questions are written
+   *
+   * @return {Promise} Resolves with a new object containing the provided and answered vars
+   */
+  static async askVars(manifest, names, vars, logger) {
+    let output = logger.promptStream;
+    let result = Object.assign({}, vars);
+
+    // Nothing to ask
+    if (names.every((name) => result[name] !== undefined)) return result;
+
+    await Prompt.session(async (ask) => {
+      for (let name of names) {
+        if (result[name] !== undefined) continue;
+
+        let variable = manifest.getVariable(name);
+        let question = name;
+        if (variable) {
+          if (variable.description) question += ` (${variable.description})`;
+          if (variable.values) question += ` {${variable.values.join('|')}}`;
+          if (variable.default !== undefined) question += ` [${variable.default}]`;
+        }
+
+        while (result[name] === undefined) {
+          let answer = await ask(`${question}: `);
+
+          if (!variable) {
+            // Undeclared variables only need some value
+            if (answer) result[name] = answer;
+            continue;
+          }
+
+          if (!answer) {
+            // Leave the default to the manifest validation, unless a value is required
+            if (variable.default !== undefined || !variable.required) break;
+            output.write(`  A value for ${name} is required\n`);
+            continue;
+          }
+
+          try {
+            result[name] = Manifest.checkValue(variable, answer);
+          } catch (e) {
+            output.write(`  ${e.message}\n`);
+          }
+        }
+      }
+    }, output);
+
+    return result;
+  }
+}
+
+module.exports = Prompt;
@@ -0,0 +1,150 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const FileUtil = require('./file-util.js');
+
+/**
+ * The Staging class manages a temporary directory that files are generated into before
+ * being moved to their final destination. Moving the files is done as a single commit:
+ * if any move fails, every file moved so far is removed, any replaced file is restored
+ * and any directory created along the way is deleted again
+ */
+class Staging {
+  /**
+   * Creates a new, empty staging directory inside the OS temp directory
+   *
+   * @param {Logger} logger Logger that anything which can not be rolled back is reported to
+   *
+   * @return {Promise} Resolves with a Staging instance
+   */
+  static async create(logger) {
+    let dir = await FileUtil.mkdtemp(path.join(os.tmpdir(), 'uff-'));
+    return new Staging(dir, logger);
+  }
+
+  /**
+   * @param {string} dir Full path of the staging directory
+   * @param {Logger} logger Logger that anything which can not be rolled back is reported to
+   */
+  constructor(dir, logger) {
+    this.dir = dir;
+    this.logger = logger;
+    this.filesDir = path.join(dir, 'files');
+    this.backupsDir = path.join(dir, 'backups');
+    this.rollbackDir = path.join(dir, 'rollback');
+  }
+
+  /**
+   * Gets the path a file should be staged at
+   *
+   * @param {string} relative Path of the file, relative to the final destination directory
+   *
+   * @return {string} Full path within the staging directory
+   */
+  getPath(relative) {
+    return path.join(this.filesDir, relative);
+  }
+
+  /**
+   * Gets the path the backup of an existing destination file should be staged at
+   *
+   * @param {string} relative Path of the file, relative to the final destination directory
+   *
+   * @return {string} Full path within the staging directory
+   */
+  getBackupPath(relative) {
+    return path.join(this.backupsDir, relative);
+  }
+
+  /**
+   * Moves staged files to their final destinations. Existing destination files are
+   * set aside until every file has been moved, so they can be restored on failure
+   *
+   * @param {Object[]} files Array of {staged, dest} objects, with full paths of the staged
+   * file and its final destination
+   *
+   * @return {Promise} Resolves once every file is moved, rejects after rolling back on error
+   */
+  async commit(files) {
+    let moved = [];
+    let createdDirs = [];
+
+    try {
+      for (let i = 0; i < files.length; i++) {
+        let {staged, dest} = files[i];
+        let record = {dest, saved: null};
+
+        // Set aside whatever is already at the destination, including broken links
+        if (await FileUtil.lexists(dest)) {
+          record.saved = path.join(this.rollbackDir, String(i));
+          await FileUtil.move(dest, record.saved);
+        } else {
+          createdDirs = createdDirs.concat(await Staging.findMissingDirs(path.dirname(dest)));
+        }
+        moved.push(record);
+
+        await FileUtil.move(staged, dest);
+      }
+    } catch (e) {
+      await this.rollback(moved, createdDirs);
+      throw e;
+    }
+  }
+
+  /**
+   * Deletes the staging directory and everything in it
+   *
+   * @return {Promise} Resolves on success
+   */
+  async cleanup() {
+    await FileUtil.removeDir(this.dir);
+  }
+
+  /**
+   * Finds every directory in the given path that does not exist yet
+   *
+   * @param {string} dirPath Full path of a directory
+   *
+   * @return {Promise} Resolves with the missing directories, deepest first
+   */
+  static async findMissingDirs(dirPath) {
+    let missing = [];
+    while (!await FileUtil.exists(dirPath)) {
+      missing.push(dirPath);
+      dirPath = path.dirname(dirPath);
+    }
+    return missing;
+  }
+
+  /**
+   * Undoes a partial commit
+   *
+   * @param {Object[]} moved Array of {dest, saved} records, in the order they were moved
+   * @param {string[]} createdDirs Directories that were created during the commit
+   *
+   * @return {Promise} Resolves once everything possible has been restored
+   */
+  async rollback(moved, createdDirs) {
+    for (let record of moved.reverse()) {
+      try {
+        await FileUtil.removeDir(record.dest);
+        if (record.saved) await FileUtil.move(record.saved, record.dest);
+      } catch (e) {
+        this.logger.error(`Unable to restore "${record.dest}": ${e.message}`);
+      }
+    }
+
+    // Remove created directories deepest first, leaving any that are somehow not empty
+    createdDirs.sort((a, b) => b.length - a.length);
+    for (let dir of createdDirs) {
+      try {
+        await FileUtil.rmdir(dir);
+      } catch (e) {
+        // The directory is already gone or still in use
+      }
+    }
+  }
+}
+
+module.exports = Staging;
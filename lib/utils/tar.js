@@ -0,0 +1,172 @@
+'use strict';
+
+const path = require('path');
+const zlib = require('zlib');
+const FileUtil = require('./file-util.js');
+
+/**
+ * Size of every tar block, headers included
+ */
+const BLOCK_SIZE = 512;
+
+/**
+ * Reads a null terminated string from a header field
+ *
+ * @param {Buffer} header Header block
+ * @param {number} offset Start of the field
+ * @param {number} length Length of the field
+ *
+ * @return {string} The field value
+ */
+const readString = (header, offset, length) => {
+  let value = header.toString('utf8', offset, offset + length);
+  let end = value.indexOf('\0');
+  return end === -1 ? value : value.slice(0, end);
+};
+
+/**
+ * Reads an octal number from a header field
+ *
+ * @param {Buffer} header Header block
+ * @param {number} offset Start of the field
+ * @param {number} length Length of the field
+ *
+ * @return {number} The field value
+ */
+const readOctal = (header, offset, length) => {
+  let value = readString(header, offset, length).trim();
+  return value ? parseInt(value, 8) : 0;
+};
+
+/**
+ * Parses the records of a pax extended header
+ *
+ * @param {Buffer} data Contents of the pax header entry
+ *
+ * @return {Object} The records, keyed by name
+ */
+const readPax = (data) => {
+  let records = {};
+  let str = data.toString('utf8');
+  let index = 0;
+  while (index < str.length) {
+    let space = str.indexOf(' ', index);
+    if (space === -1) break;
+    let length = parseInt(str.slice(index, space), 10);
+    if (!length) break;
+    let record = str.slice(space + 1, index + length - 1);
+    let equals = record.indexOf('=');
+    if (equals !== -1) records[record.slice(0, equals)] = record.slice(equals + 1);
+    index += length;
+  }
+  return records;
+};
+
+/**
+ * Pseudo-Static class extracts tar archives, such as npm package tarballs. Only regular
+ * files and directories are extracted
+ */
+class Tar {
+  /**
+   * Lists the entries of a tar archive
+   *
+   * @param {Buffer} data Contents of the archive, gzipped or not
+   *
+   * @return {Object[]} Array of {name, type, mode, data} entries, where type is either
+   * 'file' or 'directory'
+   */
+  static parse(data) {
+    // Gzipped archives start with the gzip magic number
+    if (data[0] === 0x1f && data[1] === 0x8b) data = zlib.gunzipSync(data);
+
+    let entries = [];
+    let longName = null;
+    let pax = {};
+    let offset = 0;
+
+    while (offset + BLOCK_SIZE <= data.length) {
+      let header = data.slice(offset, offset + BLOCK_SIZE);
+      offset += BLOCK_SIZE;
+
+      // The archive ends with empty blocks
+      if (header.every((byte) => byte === 0)) break;
+
+      let name = readString(header, 0, 100);
+      let prefix = readString(header, 345, 155);
+      if (prefix && readString(header, 257, 5) === 'ustar') name = `${prefix}/${name}`;
+
+      let mode = readOctal(header, 100, 8);
+      let size = readOctal(header, 124, 12);
+      let type = String.fromCharCode(header[156]);
+      let body = data.slice(offset, offset + size);
+      offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+      // Extended headers describe the entry that follows them
+      if (type === 'L') {
+        longName = readString(body, 0, body.length);
+        continue;
+      }
+      if (type === 'x') {
+        pax = readPax(body);
+        continue;
+      }
+      if (type === 'g') continue;
+
+      if (pax.path) name = pax.path;
+      if (longName) name = longName;
+      longName = null;
+      pax = {};
+
+      if (type === '0' || type === '\0' || type === '7') {
+        entries.push({name, type: 'file', mode, data: body});
+      } else if (type === '5') {
+        entries.push({name, type: 'directory', mode, data: null});
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Extracts a tar archive into a directory. The permissions of every entry are kept, so
+   * executable files stay executable
+   *
+   * @param {Buffer} data Contents of the archive, gzipped or not
+   * @param {string} destDir Full path of the directory to extract into
+   * @param {Object} [opts] Options
+   * @param {number} [opts.strip] Number of leading path segments to remove from every entry
+   *
+   * @return {Promise} Resolves once every entry is extracted, rejects if an entry would be
+   * written outside of the destination directory
+   */
+  static async extract(data, destDir, opts = {}) {
+    let strip = opts.strip || 0;
+    let dirs = [];
+
+    for (let entry of Tar.parse(data)) {
+      let parts = entry.name.split('/').filter((part) => part && part !== '.').slice(strip);
+      if (parts.length === 0) continue;
+
+      let target = path.join(destDir, ...parts);
+      if (path.isAbsolute(entry.name) || parts.includes('..') || !target.startsWith(destDir + path.sep)) {
+        throw new Error(`Refusing to extract "${entry.name}" outside of the destination`);
+      }
+
+      if (entry.type === 'directory') {
+        await FileUtil.makeDir(target);
+        dirs.push({target, mode: entry.mode});
+      } else {
+        await FileUtil.makeFile(target, entry.data);
+        if (entry.mode) await FileUtil.chmod(target, entry.mode & 0o777);
+      }
+    }
+
+    // Directories may not be writable, so their permissions are set once they are filled,
+    // deepest first
+    for (let dir of dirs.filter((dir) => dir.mode).reverse()) {
+      await FileUtil.chmod(dir.target, dir.mode & 0o777);
+    }
+  }
+}
+
+module.exports = Tar;
@@ -0,0 +1,251 @@
+'use strict';
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const Config = require('./config.js');
+const FileUtil = require('./file-util.js');
+const ProcessUtil = require('./process-util.js');
+const Tar = require('./tar.js');
+
+/**
+ * The TemplateSource class describes where a template comes from, and resolves it into a
+ * local directory. A template can be given as:
+ * - The name of a template directory, within the bundled templates or any user template
+ *   path. EX: `trifoia-static-web`
+ * - A local directory path. EX: `./my-template`, `/templates/web`, `~/templates/web`
+ * - A git URL with an optional ref. EX: `git+file:///repos/web.git#v2`,
+ *   `git+https://github.com/org/web.git`, `git@github.com:org/web.git#main`
+ * - An npm package or tarball. EX: `npm:web-template@1.2.0`, `./web-template-1.2.0.tgz`
+ *
+ * Git and npm templates are fetched into the user level cache (`~/.uff/templates`), and are
+ * reused from there until they are refreshed
+ */
+class TemplateSource {
+  /**
+   * Pseudo-Enum describes all types of template sources
+   */
+  static get TYPES() {
+    return {
+      BUNDLED: 'bundled',
+      LOCAL: 'local',
+      GIT: 'git',
+      NPM: 'npm'
+    };
+  }
+
+  /**
+   * Works out the type of a template source
+   *
+   * @param {string} spec Template source as provided by the user
+   *
+   * @return {TemplateSource} The parsed source
+   */
+  static parse(spec) {
+    const TYPES = TemplateSource.TYPES;
+
+    let hashIndex = spec.indexOf('#');
+    let location = hashIndex === -1 ? spec : spec.slice(0, hashIndex);
+    let ref = hashIndex === -1 ? null : spec.slice(hashIndex + 1) || null;
+
+    if (location.startsWith('git+')) {
+      return new TemplateSource(TYPES.GIT, spec, location.slice(4), ref);
+    }
+    if (/^(git@|ssh:\/\/|git:\/\/)/.test(location) || /^[a-z]+:\/\/.+\.git\/?$/.test(location)) {
+      return new TemplateSource(TYPES.GIT, spec, location, ref);
+    }
+    if (spec.startsWith('npm:')) {
+      return new TemplateSource(TYPES.NPM, spec, spec.slice(4), null);
+    }
+    if (/\.(tgz|tar\.gz)$/.test(spec)) {
+      let isUrl = /^https?:\/\//.test(spec);
+      return new TemplateSource(TYPES.NPM, spec, isUrl ? spec : TemplateSource.expandPath(spec), null);
+    }
+    if (/^(\.|~|file:)/.test(spec) || path.isAbsolute(spec)) {
+      return new TemplateSource(TYPES.LOCAL, spec, TemplateSource.expandPath(spec.replace(/^file:(\/\/)?/, '')), null);
+    }
+
+    return new TemplateSource(TYPES.BUNDLED, spec, spec, null);
+  }
+
+  /**
+   * Resolves a path relative to the current directory, expanding a leading '~'
+   *
+   * @param {string} filePath Path to expand
+   *
+   * @return {string} Full path
+   */
+  static expandPath(filePath) {
+    if (filePath === '~' || filePath.startsWith('~/')) {
+      filePath = path.join(os.homedir(), filePath.slice(1));
+    }
+    return path.resolve(filePath);
+  }
+
+  /**
+   * @param {string} type One of TemplateSource.TYPES
+   * @param {string} spec Template source as provided by the user
+   * @param {string} location Path, URL or package spec the template is fetched from
+   * @param {string|null} ref Git ref to check out, if any
+   */
+  constructor(type, spec, location, ref) {
+    this.type = type;
+    this.spec = spec;
+    this.location = location;
+    this.ref = ref;
+
+    // Set once resolved. The directory containing the template, and what was actually
+    // fetched (a git commit or package version)
+    this.dir = null;
+    this.resolved = null;
+  }
+
+  /**
+   * Path of the directory this source is cached in
+   */
+  get cacheDir() {
+    let hash = crypto.createHash('sha1').update(this.spec).digest('hex').slice(0, 8);
+    let name = path.basename(this.location.replace(/[/\\]+$/, ''))
+        .replace(/\.(git|tgz|tar\.gz)$/, '')
+        .replace(/[^\w.-]+/g, '-');
+    return path.join(Config.TEMPLATE_CACHE_DIR, `${this.type}-${name}-${hash}`);
+  }
+
+  /**
+   * Resolves this source into a local directory, fetching it when needed
+   *
+   * @param {Object} opts Options
+   * @param {string[]} opts.templateDirs Directories containing named templates, in the order
+   * they are searched
+   * @param {boolean} [opts.refresh] Fetch git and npm templates even if they are cached
+   *
+   * @return {Promise} Resolves with the full path of the template directory, rejects if
+   * the template can not be found or fetched
+   */
+  async resolve(opts) {
+    const TYPES = TemplateSource.TYPES;
+
+    switch (this.type) {
+      case TYPES.BUNDLED: {
+        for (let templateDir of opts.templateDirs) {
+          let validTemplates = await FileUtil.readdir(templateDir).catch(() => []);
+          if (validTemplates.includes(this.location)) {
+            this.dir = path.join(templateDir, this.location);
+            break;
+          }
+        }
+        if (!this.dir) {
+          throw new Error(`Invalid template: Could not find template directory for "${this.spec}"`);
+        }
+        break;
+      }
+
+      case TYPES.LOCAL: {
+        let stats = await FileUtil.stat(this.location).catch(() => null);
+        if (!stats || !stats.isDirectory()) {
+          throw new Error(`Invalid template: "${this.location}" is not a directory`);
+        }
+        this.dir = this.location;
+        break;
+      }
+
+      case TYPES.GIT:
+        await this.fetchGit(opts.refresh);
+        break;
+
+      case TYPES.NPM:
+        await this.fetchNpm(opts.refresh);
+        break;
+    }
+
+    return this.dir;
+  }
+
+  /**
+   * Clones a git template into the cache, and checks out the requested ref
+   *
+   * @param {boolean} refresh Clone again even if the template is cached
+   *
+   * @return {Promise} Resolves on success
+   */
+  async fetchGit(refresh) {
+    let cacheDir = this.cacheDir;
+
+    // Sources may come from the manifest of another template, and must never be read as options
+    if (this.ref && this.ref.startsWith('-')) {
+      throw new Error(`Unable to fetch template "${this.spec}": Invalid ref "${this.ref}"`);
+    }
+
+    if (refresh || !await FileUtil.exists(cacheDir)) {
+      // Clone next to the cache directory, so a failure never leaves a broken cache behind
+      let tempDir = `${cacheDir}.tmp-${process.pid}`;
+      await FileUtil.removeDir(tempDir);
+      await FileUtil.makeDir(path.dirname(cacheDir));
+
+      try {
+        await ProcessUtil.execFile('git', ['clone', '--quiet', '--', this.location, tempDir]);
+        if (this.ref) {
+          await ProcessUtil.execFile('git', ['checkout', '--quiet', this.ref, '--'], {cwd: tempDir});
+        }
+      } catch (e) {
+        await FileUtil.removeDir(tempDir);
+        throw new Error(`Unable to fetch template "${this.spec}": ${e.message}`);
+      }
+
+      await FileUtil.removeDir(cacheDir);
+      await FileUtil.rename(tempDir, cacheDir);
+    }
+
+    this.dir = cacheDir;
+    this.resolved = (await ProcessUtil.execFile('git', ['rev-parse', 'HEAD'], {cwd: cacheDir})).stdout.trim();
+  }
+
+  /**
+   * Extracts an npm package into the cache. Local tarballs are extracted directly, and
+   * anything else is downloaded with `npm pack` first
+   *
+   * @param {boolean} refresh Download again even if the template is cached
+   *
+   * @return {Promise} Resolves on success
+   */
+  async fetchNpm(refresh) {
+    let cacheDir = this.cacheDir;
+    let isLocal = path.isAbsolute(this.location);
+
+    // Local tarballs are cheap to extract, and may have changed since they were cached
+    if (isLocal || refresh || !await FileUtil.exists(cacheDir)) {
+      let tempDir = `${cacheDir}.tmp-${process.pid}`;
+      await FileUtil.removeDir(tempDir);
+      await FileUtil.makeDir(tempDir);
+
+      try {
+        let tarball = this.location;
+        if (!isLocal) {
+          let {stdout} = await ProcessUtil.execFile('npm', ['pack', '--silent', '--', this.location], {cwd: tempDir});
+          let lines = stdout.trim().split('\n');
+          tarball = path.join(tempDir, lines[lines.length - 1].trim());
+        }
+
+        // Packages keep their files in a single top level directory
+        let packageDir = path.join(tempDir, 'package');
+        await Tar.extract(await FileUtil.readFile(tarball), packageDir, {strip: 1});
+
+        await FileUtil.removeDir(cacheDir);
+        await FileUtil.rename(packageDir, cacheDir);
+      } catch (e) {
+        throw new Error(`Unable to fetch template "${this.spec}": ${e.message}`);
+      } finally {
+        await FileUtil.removeDir(tempDir);
+      }
+    }
+
+    this.dir = cacheDir;
+    try {
+      this.resolved = JSON.parse((await FileUtil.readFile(path.join(cacheDir, 'package.json'))).toString()).version;
+    } catch (e) {
+      this.resolved = null;
+    }
+  }
+}
+
+module.exports = TemplateSource;
@@ -0,0 +1,400 @@
+'use strict';
+
+const path = require('path');
+const FileUtil = require('./file-util.js');
+const Ignore = require('./ignore.js');
+const Manifest = require('./manifest.js');
+const Plugins = require('./plugins.js');
+const TemplateSource = require('./template-source.js');
+const VarsFile = require('./vars-file.js');
+const Transforms = require('../transforms/index.js');
+
+/**
+ * Name of the file that lists template files that are never generated, using the same
+ * syntax as a `.gitignore` file
+ */
+const IGNORE_FILENAME = '.uffignore';
+
+/**
+ * Name of the directory within a template that holds the snapshots of `uff test`
+ */
+const SNAPSHOT_DIRNAME = '__snapshots__';
+
+/**
+ * Patterns that are always ignored, on top of those in the ignore file
+ */
+const DEFAULT_IGNORE = [
+  '.git',
+  '*.git',
+  `/${Manifest.FILENAME}`,
+  `/${IGNORE_FILENAME}`,
+  `/${SNAPSHOT_DIRNAME}`
+];
+
+/**
+ * The Template class represents a single template directory along with its manifest
+ */
+class Template {
+  /**
+   * Name of the ignore file within a template directory
+   */
+  static get IGNORE_FILENAME() {
+    return IGNORE_FILENAME;
+  }
+
+  /**
+   * Name of the directory within a template that holds its snapshots by default
+   */
+  static get SNAPSHOT_DIRNAME() {
+    return SNAPSHOT_DIRNAME;
+  }
+
+  /**
+   * Resolves a template source into a local directory and loads the template. See
+   * TemplateSource for all supported sources
+   *
+   * @param {string} spec Template source as provided by the user
+   * @param {Object} opts Options passed on to `TemplateSource.resolve`
+   *
+   * @return {Promise} Resolves with a Template instance
+   */
+  static async resolve(spec, opts) {
+    let source = TemplateSource.parse(spec);
+    let dir = await source.resolve(opts);
+    return Template.load(dir, source, opts);
+  }
+
+  /**
+   * Loads the template found in the given directory, along with any template it extends
+   * or includes. Layers are resolved with the same options as the template itself, and
+   * local paths are relative to the directory of the template that declares them
+   *
+   * @param {string} dir Full path of the template directory
+   * @param {TemplateSource} [source] Where the template came from
+   * @param {Object} [opts] Options passed on to `TemplateSource.resolve` for each layer
+   * @param {string[]} [chain] Directories of the templates that lead to this one, used to
+   * detect templates that extend themselves
+   *
+   * @return {Promise} Resolves with a Template instance
+   */
+  static async load(dir, source = null, opts = {}, chain = []) {
+    let manifest = await Manifest.load(dir);
+
+    if (chain.includes(dir)) {
+      let names = chain.concat(dir).map((chainDir) => `"${chainDir}"`);
+      throw new Error(`Invalid template: Templates extend or include each other: ${names.join(' -> ')}`);
+    }
+
+    // The base template comes first, followed by the includes in order
+    let layers = [];
+    for (let spec of manifest.layerSources) {
+      if (/^\.\.?([\\/]|$)/.test(spec)) spec = path.resolve(dir, spec);
+
+      let layerSource = TemplateSource.parse(spec);
+      let layerDir;
+      try {
+        layerDir = await layerSource.resolve(opts);
+      } catch (e) {
+        throw new Error(`Unable to load "${spec}", used by "${manifest.name}": ${e.message}`);
+      }
+
+      let layer = await Template.load(layerDir, layerSource, opts, chain.concat(dir));
+      layer.layers.forEach((nested) => {
+        if (!layers.some((existing) => existing.dir === nested.dir)) layers.push(nested);
+      });
+    }
+    layers.push({dir, manifest});
+
+    return new Template(dir, Manifest.combine(layers.map((layer) => layer.manifest)), source, layers);
+  }
+
+  /**
+   * @param {string} dir Full path of the template directory
+   * @param {Manifest} manifest Manifest of the template, combined with that of its layers
+   * @param {TemplateSource} [source] Where the template came from
+   * @param {Object[]} [layers] Every template directory the files are taken from, as
+   * {dir, manifest} objects in the order they are applied. Defaults to just this template
+   */
+  constructor(dir, manifest, source = null, layers = null) {
+    this.dir = dir;
+    this.manifest = manifest;
+    this.source = source;
+    this.layers = layers || [{dir, manifest}];
+
+    // Maps the full path of each listed file to its path within the template
+    this.relativePaths = {};
+
+    // Transforms added by the plugins of the template, see `loadPlugins`
+    this.transforms = {};
+  }
+
+  get name() {
+    return this.manifest.name;
+  }
+
+  /**
+   * Gets the description and version of the template from its manifest, falling back to
+   * the `package.json` of the template directory when the manifest does not provide them
+   *
+   * @return {Promise} Resolves with an object in the form {name, description, version}
+   */
+  async getMetadata() {
+    let pkg = {};
+    try {
+      pkg = JSON.parse((await FileUtil.readFile(path.join(this.dir, 'package.json'))).toString());
+    } catch (e) {
+      // Not every template is a package
+    }
+
+    return {
+      name: this.name,
+      description: this.manifest.description || pkg.description || '',
+      version: this.manifest.version || pkg.version || ''
+    };
+  }
+
+  /**
+   * Loads the ignore patterns of a single template layer
+   *
+   * @param {Object} layer Layer in the form {dir, manifest}
+   *
+   * @return {Promise} Resolves with an Ignore instance
+   */
+  static async getIgnore(layer) {
+    // Hook modules, fixture files and plugins are part of the template, not of the generated project
+    let hookModules = layer.manifest.hooks.filter((hook) => hook.type === 'module' && hook.dir === layer.dir)
+        .map((hook) => `/${hook.module.split(path.sep).join('/')}`);
+    let fixtureFiles = layer.manifest.fixtures.filter((fixture) => fixture.file)
+        .map((fixture) => `/${path.normalize(fixture.file).split(path.sep).join('/')}`);
+    let plugins = layer.manifest.plugins.filter((plugin) => plugin.local && plugin.dir === layer.dir)
+        .map((plugin) => `/${path.normalize(plugin.spec).split(path.sep).join('/')}`);
+
+    let ignore = new Ignore(DEFAULT_IGNORE.concat(hookModules, fixtureFiles, plugins));
+    try {
+      ignore.add((await FileUtil.readFile(path.join(layer.dir, IGNORE_FILENAME))).toString());
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    return ignore;
+  }
+
+  /**
+   * Loads the plugins declared by the manifest of every layer, making their transforms
+   * available to this template only. Actions of the plugins are not added, as those are
+   * chosen before any template is known. Every transform the manifest applies must exist
+   * afterwards
+   *
+   * @return {Promise} Resolves once loaded, rejects if a plugin can not be loaded, adds a
+   * transform that already exists, or a transform of the manifest does not exist
+   */
+  async loadPlugins() {
+    for (let declared of this.manifest.plugins) {
+      let plugin = Plugins.load(declared.spec, declared.dir);
+      Object.keys(plugin.transforms).forEach((name) => {
+        let Transform = plugin.transforms[name];
+        if (this.transforms[name] === Transform) return;
+        if (this.transforms[name] || Transforms.has(name)) {
+          throw new Error(`Invalid plugin "${declared.spec}": Transform "${name}" already exists`);
+        }
+        this.transforms[name] = Transform;
+      });
+    }
+
+    this.manifest.transforms.forEach((rule) => this.getTransform(rule.name));
+  }
+
+  /**
+   * Gets a transform the template may apply, either added by its plugins or registered
+   * for every template, see `Transforms`
+   *
+   * @param {string} name Name of the transform
+   *
+   * @return {Function} The transform class. An error is thrown if there is no such transform
+   */
+  getTransform(name) {
+    if (this.transforms[name]) return this.transforms[name];
+    if (Transforms.has(name)) return Transforms.get(name);
+    throw new Error(`Unknown transform "${name}" in ${Manifest.FILENAME}, it must be added by a plugin`);
+  }
+
+  /**
+   * Gets the engine the template is rendered with, which may be added by its plugins, see
+   * `getTransform`
+   *
+   * @param {string} name Name of the engine, generally `Args.engine`
+   *
+   * @return {Function} The engine class. An error is thrown if there is no such transform,
+   * or it can not render templates
+   */
+  getEngine(name) {
+    if (!this.transforms[name] && !Transforms.has(name)) {
+      let names = Transforms.names().concat(Object.keys(this.transforms));
+      throw new Error(`Invalid engine: "${name}", must be one of ${names.join(', ')}`);
+    }
+
+    let Engine = this.getTransform(name);
+    if (!Transforms.isEngine(Engine)) {
+      throw new Error(`Invalid engine: "${name}" is a transform that can not render templates`);
+    }
+    return Engine;
+  }
+
+  /**
+   * Loads the fixtures declared by the template manifest, see `Manifest.normalizeFixtures`.
+   * Templates without fixtures have a single fixture named 'defaults' without any vars, so
+   * the variable defaults are used
+   *
+   * @param {string|string[]} [names] Only load the fixtures of these names
+   *
+   * @return {Promise} Resolves with an array of {name, vars} objects, rejects if a named
+   * fixture does not exist or a fixture file can not be loaded
+   */
+  async loadFixtures(names) {
+    let declared = this.manifest.fixtures;
+    if (declared.length === 0) declared = [{name: 'defaults', vars: {}, file: null}];
+    if (names && names.length > 0) {
+      names = [].concat(names);
+      let unknown = names.find((name) => !declared.some((fixture) => fixture.name === name));
+      if (unknown !== undefined) throw new Error(`Unknown fixture: "${unknown}"`);
+      declared = declared.filter((fixture) => names.includes(fixture.name));
+    }
+
+    let fixtures = [];
+    for (let fixture of declared) {
+      if (fixture.file) {
+        fixtures.push({name: fixture.name, vars: await VarsFile.load(path.join(this.dir, fixture.file))});
+      } else {
+        fixtures.push({name: fixture.name, vars: VarsFile.normalize(fixture.vars)});
+      }
+    }
+    return fixtures;
+  }
+
+  /**
+   * Gets the path of a listed file within the template, no matter which layer it comes from
+   *
+   * @param {string} filePath Full path of a file returned by `listFiles`
+   *
+   * @return {string} The relative path
+   */
+  getRelativePath(filePath) {
+    if (this.relativePaths[filePath] !== undefined) return this.relativePaths[filePath];
+
+    // Fall back to the deepest layer containing the file
+    let dirs = this.layers.map((layer) => layer.dir)
+        .filter((dir) => filePath.startsWith(dir + path.sep))
+        .sort((a, b) => b.length - a.length);
+    return FileUtil.removeBasepath(dirs[0] || this.dir, filePath);
+  }
+
+  /**
+   * Lists the files of the template, split into those that will be generated and those
+   * that will not. The files of every layer are merged, with files of later layers
+   * replacing files at the same path in earlier ones. Files matched by the ignore file of
+   * their layer are never generated, and the combined file rules of the manifests decide
+   * on the rest based on the vars
+   *
+   * @param {Object} [vars] Vars used to test the file rule conditions
+   *
+   * @return {Promise} Resolves with an object in the form {included, excluded, emptyDirs},
+   * where included is an array of full file paths, excluded is an array of
+   * {path, source, reason} objects with paths relative to the template, and emptyDirs is
+   * an array of full paths of the directories that contain nothing at all
+   */
+  async listFiles(vars = {}) {
+    let files = {};
+    let excluded = [];
+    let dirs = {};
+    let layerDirs = this.layers.map((layer) => layer.dir);
+
+    for (let layer of this.layers) {
+      let ignore = await Template.getIgnore(layer);
+      let layerName = layer.manifest.name;
+      let layerDirsFound = [];
+      let parents = new Set();
+
+      let layerFiles = await FileUtil.getDirRecursive(layer.dir, (relative, dirent) => {
+        parents.add(path.dirname(relative));
+
+        // Layers kept within another template directory are not part of its files
+        if (layerDirs.includes(path.join(layer.dir, relative))) return false;
+        if (!ignore.ignores(relative, dirent.isDirectory())) {
+          if (dirent.isDirectory()) layerDirsFound.push(relative);
+          return true;
+        }
+
+        excluded.push({path: relative, source: path.join(layer.dir, relative), reason: 'ignored'});
+        return false;
+      });
+
+      // Directories without any entries are generated as well
+      layerDirsFound.filter((relative) => !parents.has(relative)).forEach((relative) => {
+        dirs[relative] = path.join(layer.dir, relative);
+      });
+
+      layerFiles.forEach((filePath) => {
+        let relative = FileUtil.removeBasepath(layer.dir, filePath);
+        if (Object.prototype.hasOwnProperty.call(files, relative)) {
+          excluded.push({path: relative, source: files[relative], reason: `replaced by template "${layerName}"`});
+        }
+        files[relative] = filePath;
+      });
+    }
+
+    let included = Object.keys(files).filter((relative) => {
+      this.relativePaths[files[relative]] = relative;
+
+      let rule = this.manifest.findExcludingRule(relative, vars);
+      if (!rule) return true;
+
+      let condition = rule.if ? `if ${rule.if}` : rule.unless ? `unless ${rule.unless}` : 'always';
+      excluded.push({path: relative, source: files[relative], reason: `${rule.type} ${rule.globs.join(', ')} (${condition})`});
+      return false;
+    }).map((relative) => files[relative]);
+
+    let emptyDirs = Object.keys(dirs).filter((relative) => {
+      this.relativePaths[dirs[relative]] = relative;
+      return !this.manifest.findExcludingRule(relative, vars, true);
+    }).map((relative) => dirs[relative]);
+
+    return {included, excluded, emptyDirs};
+  }
+
+  /**
+   * Decides if a listed file is transformed as text or copied as it is. The `text` and
+   * `binary` globs of the manifest win over the content of the file. Text files matching a
+   * `verbatim` glob are copied as they are as well, but are still merged as text
+   *
+   * @param {string} filePath Full path of a file listed by `listFiles`
+   *
+   * @return {Promise} Resolves with the type of the file, see `FileUtil.detectType`, along
+   * with `verbatim`, true if the placeholders of the file are left as they are
+   */
+  async getFileType(filePath) {
+    let type = await FileUtil.getFileType(filePath);
+    if (type.link) return type;
+
+    let relativePath = this.getRelativePath(filePath);
+    let forced = this.manifest.getFileType(relativePath);
+
+    if (forced === 'binary') type = Object.assign({}, type, {binary: true, reason: 'binary in the template manifest'});
+    if (forced === 'text') type = Object.assign({}, type, {binary: false, reason: null});
+    if (!type.binary && this.manifest.isVerbatim(relativePath)) {
+      type = Object.assign({}, type, {verbatim: true, reason: 'verbatim in the template manifest'});
+    }
+    return type;
+  }
+
+  /**
+   * Retrieves the full paths of all files that will be generated
+   *
+   * @param {Object} [vars] Vars used to test the file rule conditions
+   *
+   * @return {Promise} Resolves with an array of file paths
+   */
+  async getFiles(vars = {}) {
+    return (await this.listFiles(vars)).included;
+  }
+}
+
+module.exports = Template;
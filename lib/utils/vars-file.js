@@ -0,0 +1,261 @@
+'use strict';
+
+const path = require('path');
+const FileUtil = require('./file-util.js');
+
+/**
+ * Name of the file the answers used to generate a project are recorded in, within the
+ * generated project. It is a valid JSON vars file, so it can be passed to `--vars-file`
+ */
+const ANSWERS_FILENAME = '.uff-answers.json';
+
+/**
+ * Prefix of the environment variables that provide vars
+ */
+const ENV_PREFIX = 'UFF_VAR_';
+
+/**
+ * Removes matching quotes around a value, processing escapes within double quotes
+ *
+ * @param {string} value Raw value
+ *
+ * @return {string} The unquoted value
+ */
+const unquote = (value) => {
+  if (/^"(.*)"$/.test(value)) {
+    return value.slice(1, -1).replace(/\\(.)/g, (match, char) => {
+      return {n: '\n', r: '\r', t: '\t'}[char] || char;
+    });
+  }
+  if (/^'(.*)'$/.test(value)) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  return value;
+};
+
+/**
+ * Splits the items of a YAML flow list on the commas that are not within quotes
+ *
+ * @param {string} inner Contents of the list, without the brackets
+ * @param {number} lineNumber Line of the list, for errors
+ *
+ * @return {string[]} The raw items, still quoted
+ */
+const splitFlowList = (inner, lineNumber) => {
+  let items = [];
+  let item = '';
+  let quote = null;
+  for (let i = 0; i < inner.length; i++) {
+    let char = inner[i];
+    if (quote === '"' && char === '\\') {
+      item += char + inner.charAt(++i);
+      continue;
+    }
+    if (quote && char === quote) {
+      // A doubled single quote is an escaped single quote
+      if (quote === '\'' && inner[i + 1] === '\'') {
+        item += char + inner[++i];
+        continue;
+      }
+      quote = null;
+    } else if (!quote && /["']/.test(char) && !item.trim()) {
+      quote = char;
+    } else if (!quote && char === ',') {
+      items.push(item);
+      item = '';
+      continue;
+    }
+    item += char;
+  }
+  if (quote) throw new Error(`Unterminated quote in list, on line ${lineNumber}`);
+  return items.concat(item);
+};
+
+/**
+ * Pseudo-Static class loads vars from files and the environment. Every value is converted
+ * into a string, the same as a var given on the command line. Lists and objects are
+ * converted into JSON, which the template engine can loop over
+ */
+class VarsFile {
+  /**
+   * Name of the answers file within a generated project
+   */
+  static get ANSWERS_FILENAME() {
+    return ANSWERS_FILENAME;
+  }
+
+  /**
+   * Prefix of the environment variables that provide vars
+   */
+  static get ENV_PREFIX() {
+    return ENV_PREFIX;
+  }
+
+  /**
+   * Loads vars from a file. The format is picked by the file extension: `.json`,
+   * `.yaml`/`.yml` or `.env`
+   *
+   * @param {string} filePath Full path of the file
+   *
+   * @return {Promise} Resolves with an object of vars, rejects if the file can not be read
+   * or parsed
+   */
+  static async load(filePath) {
+    let content;
+    try {
+      content = (await FileUtil.readFile(filePath)).toString().replace(/^\uFEFF/, '');
+    } catch (e) {
+      throw new Error(`Invalid vars file: Could not read "${filePath}": ${e.message}`);
+    }
+
+    let ext = path.extname(filePath).toLowerCase();
+    let isEnv = ext === '.env' || path.basename(filePath).startsWith('.env');
+
+    let data;
+    try {
+      if (ext === '.json') {
+        data = JSON.parse(content);
+      } else if (ext === '.yaml' || ext === '.yml') {
+        data = VarsFile.parseYaml(content);
+      } else if (isEnv) {
+        data = VarsFile.parseEnv(content);
+      } else {
+        throw new Error('Unknown format, the file must end in .json, .yaml, .yml or .env');
+      }
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The file must contain an object of vars');
+      }
+    } catch (e) {
+      throw new Error(`Invalid vars file: Could not parse "${filePath}": ${e.message}`);
+    }
+
+    return VarsFile.normalize(data);
+  }
+
+  /**
+   * Collects vars from environment variables starting with `UFF_VAR_`. EX: the
+   * environment variable `UFF_VAR_NAME` provides the var `NAME`
+   *
+   * @param {Object} env Environment variables, generally `process.env`
+   *
+   * @return {Object} Object of vars
+   */
+  static fromEnv(env) {
+    let vars = {};
+    Object.keys(env).forEach((key) => {
+      if (key.startsWith(ENV_PREFIX) && key.length > ENV_PREFIX.length) {
+        vars[key.slice(ENV_PREFIX.length)] = env[key];
+      }
+    });
+    return vars;
+  }
+
+  /**
+   * Converts every value into a string
+   *
+   * @param {Object} data Parsed vars
+   *
+   * @return {Object} Object of string vars. Null values are left out
+   */
+  static normalize(data) {
+    let vars = {};
+    Object.keys(data).forEach((key) => {
+      let value = data[key];
+      if (value === null || value === undefined) return;
+      vars[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    return vars;
+  }
+
+  /**
+   * Parses the contents of a `.env` file. Supports comments, an optional `export`
+   * prefix, and single or double quoted values
+   *
+   * @param {string} content File contents
+   *
+   * @return {Object} Parsed vars
+   */
+  static parseEnv(content) {
+    let vars = {};
+    content.split(/\r?\n/).forEach((line, index) => {
+      line = line.trim();
+      if (!line || line.startsWith('#')) return;
+
+      let match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+      if (!match) throw new Error(`Invalid line ${index + 1}: "${line}"`);
+
+      let value = match[2];
+      if (!/^["']/.test(value)) value = value.replace(/\s+#.*$/, '');
+      vars[match[1]] = unquote(value.trim());
+    });
+    return vars;
+  }
+
+  /**
+   * Parses a YAML file of vars. Only the subset of YAML needed for vars is supported: a
+   * single mapping of keys to scalars, flow lists (`[a, b]`) or block lists (`- a`)
+   *
+   * @param {string} content File contents
+   *
+   * @return {Object} Parsed vars
+   */
+  static parseYaml(content) {
+    let vars = {};
+    let listKey = null;
+    let emptyKeys = [];
+
+    let scalar = (value, lineNumber) => {
+      value = value.trim();
+      if (!/^["']/.test(value)) value = value.replace(/\s+#.*$/, '');
+      if (value === '' || value === '~' || value === 'null') return null;
+      if (/^[|>]/.test(value)) {
+        throw new Error(`Block scalars are not supported, on line ${lineNumber}`);
+      }
+      if (/^\[.*\]$/.test(value)) {
+        let inner = value.slice(1, -1).trim();
+        return inner ? splitFlowList(inner, lineNumber).map((item) => scalar(item, lineNumber)) : [];
+      }
+      return unquote(value);
+    };
+
+    content.split(/\r?\n/).forEach((line, index) => {
+      let lineNumber = index + 1;
+      if (!line.trim() || /^\s*#/.test(line) || /^(---|\.\.\.)\s*$/.test(line)) return;
+
+      let item = line.match(/^\s+-\s+(.*)$|^-\s+(.*)$/);
+      if (item && listKey) {
+        emptyKeys = emptyKeys.filter((key) => key !== listKey);
+        vars[listKey].push(scalar(item[1] === undefined ? item[2] : item[1], lineNumber));
+        return;
+      }
+
+      let match = line.match(/^(["']?)([\w.-]+)\1\s*:(?:\s+(.*))?$/);
+      if (!match) {
+        let nested = /^\s/.test(line);
+        throw new Error(nested ?
+          `Nested values are not supported, on line ${lineNumber}` :
+          `Invalid line ${lineNumber}: "${line.trim()}"`);
+      }
+
+      let value = match[3] === undefined ? '' : match[3];
+      if (value.trim() === '' || value.trim().startsWith('#')) {
+        // Either an empty value, or the start of a block list
+        vars[match[2]] = [];
+        listKey = match[2];
+        emptyKeys.push(listKey);
+        return;
+      }
+
+      listKey = null;
+      vars[match[2]] = scalar(value, lineNumber);
+    });
+
+    // Keys without any list items were empty values
+    emptyKeys.forEach((key) => vars[key] = null);
+
+    return vars;
+  }
+}
+
+module.exports = VarsFile;
@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const Logger = require('../lib/utils/logger.js');
+const {generate} = require('../lib/index.js');
+const {makeTempDir, writeFiles, readFiles} = require('./helpers.js');
+
+describe('generate', () => {
+  let home;
+  let work;
+  let templateDir;
+  let previousHome;
+
+  before(async () => {
+    // The user level directory of whoever runs the tests is never used
+    previousHome = process.env.UFF_HOME;
+    home = await makeTempDir();
+    process.env.UFF_HOME = home;
+
+    work = await makeTempDir();
+    templateDir = path.join(work, 'template');
+    await writeFiles(templateDir, {
+      'uff.json': JSON.stringify({
+        name: 'api',
+        variables: [{name: 'NAME', required: true}, {name: 'PORT', type: 'number', default: 80}],
+        hooks: [{name: 'Record', module: 'hooks/record.js'}]
+      }),
+      'hooks/record.js': 'module.exports = () => {};\n',
+      'config.json': '{"name": "{{NAME}}", "port": {{PORT}}, "tags": {{TAGS}}}\n'
+    });
+  });
+
+  after(async () => {
+    if (previousHome === undefined) {
+      delete process.env.UFF_HOME;
+    } else {
+      process.env.UFF_HOME = previousHome;
+    }
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Options shared by every test, with a logger that keeps everything to itself
+   *
+   * @param {Object} options Options to add
+   *
+   * @return {Object} Options for `generate`
+   */
+  const withDefaults = (options) => {
+    return Object.assign({template: templateDir, logger: new Logger({reporter: Logger.REPORTERS.JSON})}, options);
+  };
+
+  it('generates a template, converting vars into strings', async () => {
+    let dest = path.join(work, 'generated');
+    let events = [];
+    let result = await generate(withDefaults({
+      vars: {NAME: 'demo', TAGS: ['a', 'b'], UNSET: null},
+      dest,
+      answers: false,
+      on: {
+        file: (file) => events.push(`file ${file.path} ${file.outcome}`),
+        hook: (event) => events.push(`hook ${event.name} ${event.status}`),
+        done: () => events.push('done')
+      }
+    }));
+
+    let files = await readFiles(dest);
+    assert.deepStrictEqual(Object.keys(files), ['.uff-lock.json', 'config.json']);
+    assert.strictEqual(files['config.json'], '{"name": "demo", "port": 80, "tags": ["a","b"]}\n');
+    assert.deepStrictEqual(result.vars, {NAME: 'demo', TAGS: '["a","b"]', PORT: '80'});
+    assert.strictEqual(result.dryRun, false);
+    assert.strictEqual(result.template, 'api');
+    assert.strictEqual(result.dest, dest);
+    assert.deepStrictEqual(result.written.sort(), [path.join(dest, '.uff-lock.json'), path.join(dest, 'config.json')]);
+    assert.deepStrictEqual(result.transformed, ['config.json']);
+    assert.strictEqual(result.summary.created, 2);
+    assert.deepStrictEqual(result.hooks, [{name: 'Record', status: 'done'}]);
+    // Ignored files are reported as skipped
+    assert.deepStrictEqual(events.filter((event) => !event.endsWith(' skipped')), [
+      'file config.json created',
+      'file .uff-lock.json created',
+      'hook Record running',
+      'hook Record done',
+      'done'
+    ]);
+  });
+
+  it('writes nothing on dry runs', async () => {
+    let dest = path.join(work, 'dry-run');
+    let result = await generate(withDefaults({vars: {NAME: 'demo', TAGS: '[]'}, dest, dryRun: true}));
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.summary.created, 3);
+    assert.deepStrictEqual(result.hooks, [{name: 'Record', status: 'pending'}]);
+    assert.strictEqual(await FileUtil.exists(dest), false);
+  });
+
+  it('never prompts unless interactive', async () => {
+    await assert.rejects(generate(withDefaults({vars: {TAGS: '[]'}, dest: path.join(work, 'missing')})), {
+      message: 'Invalid variables for template "api":\n  - Missing required variable "NAME"'
+    });
+  });
+
+  it('reports unknown placeholders through the logger', async () => {
+    let logger = new Logger({reporter: Logger.REPORTERS.JSON});
+    let dest = path.join(work, 'unknown');
+    await generate(withDefaults({vars: {NAME: 'demo'}, dest, unknownPlaceholders: 'warn', skipHooks: true, logger}));
+
+    assert.deepStrictEqual(logger.messages.map((message) => message.level), ['warn']);
+    assert.match(logger.messages[0].message, /^Leaving placeholder\(s\) without a matching var as they are:\n/);
+    assert.ok(logger.messages[0].message.includes('{{TAGS}} (config.json)'), logger.messages[0].message);
+    assert.strictEqual((await readFiles(dest))['config.json'], '{"name": "demo", "port": 80, "tags": {{TAGS}}}\n');
+  });
+
+  it('fails without a template, or with invalid options', async () => {
+    await assert.rejects(generate({}), {message: 'Invalid options: Must provide a template'});
+    await assert.rejects(generate(withDefaults({vars: {NAME: 'demo', TAGS: '[]'}, onConflict: 'explode'})),
+        {message: 'Invalid conflict policy: "explode", must be one of skip, overwrite, prompt, backup, fail'});
+  });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const assert = require('assert');
+const {describe, it, before, after} = require('node:test');
+const Args = require('../lib/utils/args.js');
+const FileUtil = require('../lib/utils/file-util.js');
+const Options = require('../lib/utils/options.js');
+const {makeTempDir, uff} = require('./helpers.js');
+
+/**
+ * Parses command line arguments
+ *
+ * @param {...string} tokens Arguments, without the process and script
+ *
+ * @return {Args} The parsed arguments, which are not validated
+ */
+const parse = (...tokens) => new Args(['node', 'uff'].concat(tokens));
+
+describe('options', () => {
+  describe('parsing', () => {
+    it('sorts arguments into the action, options and vars', () => {
+      let tokens = ['run', 'git@github.com:me/tmpl.git', 'NAME=demo', 'DB:postgres', '--dest', 'out',
+        '--engine=template', '--pattern:<%\\w+%>', 'extra'];
+      let args = parse(...tokens);
+      assert.deepStrictEqual(args.args, ['run', 'git@github.com:me/tmpl.git', 'extra']);
+      assert.deepStrictEqual(args.vars, {NAME: 'demo', DB: 'postgres'});
+      assert.deepStrictEqual(args.opts, {dest: 'out', engine: 'template', pattern: '<%\\w+%>'});
+      assert.deepStrictEqual(args.errors, []);
+    });
+
+    it('parses the options of an action given before it', () => {
+      let args = parse('-q', '--dest=out', 'run', 'tmpl');
+      assert.deepStrictEqual(args.opts, {quiet: true, dest: 'out'});
+      assert.deepStrictEqual(args.errors, []);
+    });
+
+    it('negates boolean options, and accepts explicit boolean values', () => {
+      let args = parse('run', 'tmpl', '--no-interactive', '--dry-run=no', '--refresh=YES', '-qv');
+      assert.deepStrictEqual(args.opts, {'interactive': false, 'dry-run': false, 'refresh': true, 'quiet': true,
+        'verbose': true});
+    });
+
+    it('collects repeatable options, and allows others only once', () => {
+      let args = parse('run', 'tmpl', '--vars-file=a.json', '--vars-file', 'b.env', '--dest=out', '--dest=out');
+      assert.deepStrictEqual(args.opts, {'vars-file': ['a.json', 'b.env'], 'dest': 'out'});
+      assert.deepStrictEqual(args.errors, []);
+
+      assert.deepStrictEqual(parse('run', 'tmpl', '--dest=a', '--dest=b').errors, [
+        'Option --dest may only be given once'
+      ]);
+    });
+
+    it('treats everything after -- as arguments', () => {
+      let args = parse('run', '--', '-tmpl', '--dest=out');
+      assert.deepStrictEqual(args.args, ['run', '-tmpl', '--dest=out']);
+      assert.deepStrictEqual(args.opts, {});
+    });
+
+    it('records invalid options for validation', () => {
+      let tokens = ['run', 'tmpl', '--bogus', '-x', '--no-dest', '--no-refresh=1', '--dry-run=maybe',
+        '--refresh=constructor', '--dest'];
+      assert.deepStrictEqual(parse(...tokens).errors, [
+        'Unknown option --bogus for "run", see "uff run --help"',
+        'Unknown option -x for "run", see "uff run --help"',
+        'Unknown option --no-dest for "run", see "uff run --help"',
+        'Invalid option --no-refresh=1: --no-refresh does not take a value',
+        'Invalid value for --dry-run: "maybe", must be one of true, yes, 1, false, no, 0',
+        'Invalid value for --refresh: "constructor", must be one of true, yes, 1, false, no, 0',
+        'Missing value for --dest, EX: --dest=<string>'
+      ]);
+      assert.deepStrictEqual(parse('--bogus').errors, ['Unknown option --bogus, options of an action must follow it']);
+    });
+
+    it('parses short options with values', () => {
+      let definitions = [{name: 'dest', alias: 'd', type: Options.TYPES.STRING}, {name: 'quiet', alias: 'q'}];
+      let values = [['-qdout'], ['-d=out'], ['-d', 'out']].map((tokens) => {
+        let args = parse();
+        let rest = tokens.slice(1);
+        args.parseOption(tokens[0], definitions, () => rest.shift());
+        return args.opts.dest;
+      });
+      assert.deepStrictEqual(values, ['out', 'out', 'out']);
+    });
+  });
+
+  describe('Options', () => {
+    it('coerces numbers', () => {
+      let definition = {name: 'port', type: Options.TYPES.NUMBER};
+      assert.strictEqual(Options.coerce(definition, '8080', '--port'), 8080);
+      assert.throws(() => Options.coerce(definition, ' ', '--port'), {
+        message: 'Invalid value for --port: " ", must be a number'
+      });
+    });
+
+    it('applies defaults, and wraps single values of repeatable options', () => {
+      let definitions = [{name: 'dest', default: '.'}, {name: 'vars-file', repeatable: true}, {name: 'dry-run'}];
+      assert.deepStrictEqual(Options.normalize({'vars-file': 'a.json', 'dry-run': null}, definitions), {
+        'dest': '.',
+        'vars-file': ['a.json'],
+        'dry-run': null
+      });
+    });
+
+    it('describes the options of an action', () => {
+      let help = Options.getHelp([
+        {name: 'interactive', description: 'Never prompt', default: true},
+        {name: 'vars-file', type: Options.TYPES.STRING, description: 'File to load\n  variables from', repeatable: true},
+        {name: 'on-conflict', type: Options.TYPES.STRING, description: 'What to do', default: 'overwrite'}
+      ]);
+      assert.ok(help.startsWith([
+        'Options:',
+        '  --no-interactive    Never prompt',
+        '  --vars-file {string}',
+        '                      File to load',
+        '                        variables from',
+        '                        May be given more than once',
+        '  --on-conflict {string}',
+        '                      What to do',
+        '                        Default: overwrite',
+        '',
+        'Global Options:',
+        '  --help, -h          Show the help text of the action'
+      ].join('\n')), help);
+    });
+  });
+
+  describe('command line', () => {
+    let home;
+
+    before(async () => {
+      home = await makeTempDir();
+    });
+
+    after(async () => {
+      await FileUtil.removeDir(home);
+    });
+
+    it('reports every invalid option at once', async () => {
+      let result = await uff(['run', 'tmpl', '--bogus', '--dest'], {home});
+      assert.strictEqual(result.code, 1);
+      assert.ok(result.stderr.includes([
+        'INVALID ARGUMENTS:',
+        '  Unknown option --bogus for "run", see "uff run --help"',
+        '  Missing value for --dest, EX: --dest=<string>'
+      ].join('\n')), result.stderr);
+    });
+
+    it('shows the options of an action', async () => {
+      let result = await uff(['run', '--help'], {home});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /^ {2}--vars-file \{string\}$/m);
+      assert.match(result.stdout, /^ {2}--no-interactive {4}/m);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('file attributes, links and empty directories', () => {
+  let home;
+  let work;
+  let templateDir;
+
+  // Timestamps of the template files, in seconds as not every file system is more precise
+  const mtime = new Date('2020-01-02T03:04:05Z');
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+    templateDir = path.join(work, 'template');
+    await writeFiles(templateDir, {
+      'bin/start.sh': '#!/bin/sh\necho {{NAME}}\n',
+      'bin/tool': Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x00, 0x01]),
+      'config/{{NAME}}.json': '{"name": "{{NAME}}"}\n',
+      'private.txt': 'secret\n'
+    });
+    await FileUtil.chmod(path.join(templateDir, 'bin', 'start.sh'), 0o755);
+    await FileUtil.chmod(path.join(templateDir, 'bin', 'tool'), 0o755);
+    await FileUtil.chmod(path.join(templateDir, 'private.txt'), 0o600);
+    await fs.promises.utimes(path.join(templateDir, 'bin', 'start.sh'), mtime, mtime);
+
+    await FileUtil.symlink('bin/start.sh', path.join(templateDir, 'start'));
+    await FileUtil.symlink('config', path.join(templateDir, 'settings'));
+    await FileUtil.makeDir(path.join(templateDir, 'logs', '{{NAME}}'));
+    await FileUtil.makeDir(path.join(templateDir, 'tmp'));
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Generates a template, using the JSON reporter
+   *
+   * @param {string} template Full path of the template
+   * @param {string} dest Relative path of the destination
+   *
+   * @return {Promise} Resolves with {code, report, dest}
+   */
+  const run = async (template, dest) => {
+    dest = path.join(work, dest);
+    let argv = ['run', template, 'NAME=demo', `--dest=${dest}`, '--no-interactive', '--no-answers', '--no-lockfile',
+      '--json'];
+    let result = await uff(argv, {home});
+    return {code: result.code, report: JSON.parse(result.stdout), dest};
+  };
+
+  it('keeps the permissions and timestamps of the template files', async () => {
+    let result = await run(templateDir, 'modes');
+    assert.strictEqual(result.code, 0, result.report.error);
+
+    let stat = (relative) => FileUtil.stat(path.join(result.dest, ...relative.split('/')));
+    assert.strictEqual((await stat('bin/start.sh')).mode & 0o777, 0o755);
+    assert.strictEqual((await stat('bin/tool')).mode & 0o777, 0o755);
+    assert.strictEqual((await stat('private.txt')).mode & 0o777, 0o600);
+    assert.strictEqual((await stat('bin/start.sh')).mtime.getTime(), mtime.getTime());
+  });
+
+  it('recreates links rather than following them, and creates empty directories', async () => {
+    let result = await run(templateDir, 'links');
+    assert.strictEqual(result.code, 0, result.report.error);
+
+    let readlink = (relative) => FileUtil.readlink(path.join(result.dest, ...relative.split('/')));
+    assert.strictEqual(await readlink('start'), 'bin/start.sh');
+    assert.strictEqual(await readlink('settings'), 'config');
+
+    assert.strictEqual((await FileUtil.lstat(path.join(result.dest, 'logs', 'demo'))).isDirectory(), true);
+    assert.deepStrictEqual(await FileUtil.readdir(path.join(result.dest, 'tmp')), []);
+    assert.deepStrictEqual(Object.keys(await readFiles(result.dest)).sort(), ['bin/start.sh', 'bin/tool',
+      'config/demo.json', 'private.txt']);
+
+    let actions = {};
+    result.report.files.forEach((file) => actions[file.path] = file.action);
+    assert.strictEqual(actions.start, 'link');
+    assert.strictEqual(actions[path.join('logs', 'demo')], 'dir');
+  });
+
+  it('generates nothing when a link points outside of the destination', async () => {
+    let outside = path.join(work, 'outside');
+    await writeFiles(outside, {'README.md': '# {{NAME}}\n'});
+    await FileUtil.symlink('../../secrets', path.join(outside, 'secrets'));
+
+    let result = await run(outside, 'outside-out');
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, 'Symbolic link "secrets" points outside of the destination: "../../secrets"');
+    assert.strictEqual(await FileUtil.exists(result.dest), false);
+  });
+});
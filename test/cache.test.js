@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('cache', () => {
+  let home;
+
+  before(async () => {
+    home = await makeTempDir();
+    await writeFiles(home, {
+      'config.json': '{}',
+      'templates/git/abc/uff.json': '{"name": "cached"}',
+      'bases/ab/cdef': 'kept\n',
+      'bases/12/3456': 'also kept\n'
+    });
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+  });
+
+  /**
+   * Runs the action, using the JSON reporter
+   *
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, caches}, where caches are keyed by name
+   */
+  const cache = async (extra = []) => {
+    let result = await uff(['cache'].concat(extra, '--json'), {home});
+    let report = JSON.parse(result.stdout);
+    let caches = {};
+    (report.caches || []).forEach((entry) => caches[entry.name] = entry);
+    return {code: result.code, report, caches};
+  };
+
+  it('shows the files and space of each cache', async () => {
+    let result = await cache();
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.caches, {
+      templates: {name: 'templates', dir: path.join(home, 'templates'), files: 1, bytes: 18},
+      bases: {name: 'bases', dir: path.join(home, 'bases'), files: 2, bytes: 15}
+    });
+  });
+
+  it('fails for unknown caches', async () => {
+    let result = await cache(['clean', 'everything']);
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, 'Invalid cache: "everything", must be one of templates, bases');
+  });
+
+  it('only cleans the requested caches', async () => {
+    let result = await cache(['clean', 'bases']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.strictEqual(result.report.cleaned, true);
+    assert.deepStrictEqual(Object.keys(result.caches), ['bases']);
+
+    assert.deepStrictEqual(await readFiles(home), {
+      'config.json': '{}',
+      'templates/git/abc/uff.json': '{"name": "cached"}'
+    });
+    assert.strictEqual(await FileUtil.exists(path.join(home, 'bases')), true);
+  });
+
+  it('cleans every cache by default', async () => {
+    let result = await cache(['clean']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(await readFiles(home), {'config.json': '{}'});
+  });
+});
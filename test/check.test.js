@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, uff} = require('./helpers.js');
+
+describe('check', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a template and checks it, using the JSON reporter
+   *
+   * @param {string} name Name of the template, used for its directory
+   * @param {Object} manifest Contents of the manifest
+   * @param {Object} files Other files of the template, see `writeFiles`
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report}
+   */
+  const check = async (name, manifest, files, extra = []) => {
+    let templateDir = path.join(work, name);
+    await writeFiles(templateDir, Object.assign({'uff.json': JSON.stringify(manifest, null, 2)}, files));
+    let result = await uff(['check', templateDir, '--json'].concat(extra), {home});
+    return {code: result.code, report: JSON.parse(result.stdout)};
+  };
+
+  /**
+   * Lists problems without their messages, so they are easy to compare
+   *
+   * @param {Object[]} problems Problems of a check report
+   *
+   * @return {string[]} Lines in the form "level code file:line"
+   */
+  const summarize = (problems) => problems.map((problem) => {
+    return `${problem.level} ${problem.code} ${problem.file}:${problem.line}`;
+  });
+
+  it('passes templates without problems', async () => {
+    let result = await check('clean', {name: 'clean', variables: [{name: 'NAME'}]}, {'{{NAME}}.txt': 'x\n'});
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.strictEqual(result.report.status, 'ok');
+    assert.deepStrictEqual(result.report.problems, []);
+    assert.deepStrictEqual(result.report.fixtures, []);
+  });
+
+  it('reports parse errors, undeclared placeholders and unused variables', async () => {
+    let manifest = {name: 'problems', engine: 'template', variables: [{name: 'NAME'}, {name: 'UNUSED'}]};
+    let result = await check('problems', manifest, {
+      'broken.txt': '{{NAME}}\n{{#if NAME}}\n',
+      'undeclared.txt': '{{NAME}} {{OTHER}}\n{{OTHER}}\n',
+      '{{DIR}}/file.txt': 'x\n'
+    });
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, 'Found 1 error(s)');
+    assert.deepStrictEqual(summarize(result.report.problems), [
+      'warning undeclared-placeholder {{DIR}}/file.txt:null',
+      'error parse broken.txt:2',
+      'warning undeclared-placeholder undeclared.txt:1',
+      'warning unused-variable uff.json:9'
+    ]);
+  });
+
+  it('reports placeholders in binary files', async () => {
+    let result = await check('binary', {name: 'binary'}, {
+      'data.bin': Buffer.concat([Buffer.from([0, 1, 2]), Buffer.from('{{NAME}}')])
+    });
+    assert.strictEqual(result.code, 1);
+    assert.deepStrictEqual(summarize(result.report.problems), ['error binary-placeholder data.bin:1']);
+  });
+
+  it('only fails on warnings with --strict', async () => {
+    let files = {'file.txt': '{{NAME}}\n'};
+    let result = await check('strict', {name: 'strict'}, files);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.strictEqual(result.report.problems.length, 1);
+
+    result = await check('strict', {name: 'strict'}, files, ['--strict']);
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, 'Found 1 problem(s)');
+  });
+
+  it('does not report undeclared placeholders when they are left', async () => {
+    let result = await check('leave', {name: 'leave'}, {'file.txt': '{{NAME}}\n'}, ['--unknown-placeholders=leave']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.report.problems, []);
+  });
+
+  it('generates the template with each fixture with --generate', async () => {
+    let manifest = {
+      name: 'fixtures',
+      variables: [{name: 'NAME', required: true}],
+      fixtures: {good: {NAME: 'demo'}, bad: {}}
+    };
+    let files = {'file.txt': '{{NAME}}\n'};
+
+    let result = await check('fixtures', manifest, files, ['--generate']);
+    assert.strictEqual(result.code, 1);
+    assert.deepStrictEqual(result.report.fixtures, [{name: 'good', files: 1, ok: true}, {name: 'bad', files: 0, ok: false}]);
+    assert.deepStrictEqual(summarize(result.report.problems), ['error generate null:null']);
+    assert.match(result.report.problems[0].message, /^Fixture "bad": /);
+
+    result = await check('fixtures', manifest, files, ['--generate', '--fixture=good']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.report.fixtures, [{name: 'good', files: 1, ok: true}]);
+
+    result = await check('fixtures', manifest, files, ['--generate', '--fixture=missing']);
+    assert.strictEqual(result.report.error, 'Unknown fixture: "missing"');
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const Diff = require('../lib/utils/diff.js');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('dry run', () => {
+  let home;
+  let work;
+  let templateDir;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+    templateDir = path.join(work, 'template');
+    await writeFiles(templateDir, {
+      'uff.json': JSON.stringify({
+        name: 'dry-run',
+        files: [{exclude: 'docker/', unless: 'DOCKER'}],
+        hooks: [{name: 'Create marker', run: 'node -e "require(\'fs\').writeFileSync(\'hooked\', \'\')"'}]
+      }),
+      'config.txt': 'name: {{NAME}}\nport: 80\n',
+      'same.txt': 'same\n',
+      'docker/Dockerfile': 'FROM node\n'
+    });
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Previews generating the template into a directory of the work directory
+   *
+   * @param {string} dest Relative path of the destination
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, stdout, stderr}
+   */
+  const preview = (dest, extra = []) => {
+    let argv = ['run', templateDir, 'NAME=demo', `--dest=${path.join(work, dest)}`, '--no-interactive', '--dry-run'];
+    return uff(argv.concat(extra), {home});
+  };
+
+  it('reports what would be created without writing anything or running hooks', async () => {
+    let result = await preview('new', ['--json']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(await FileUtil.exists(path.join(work, 'new')), false);
+
+    let report = JSON.parse(result.stdout);
+    assert.strictEqual(report.dryRun, true);
+    let statuses = {};
+    report.files.forEach((file) => statuses[file.path] = [file.status, file.reason]);
+    assert.deepStrictEqual(statuses, {
+      '.uff-answers.json': ['create', null],
+      '.uff-lock.json': ['create', null],
+      'config.txt': ['create', null],
+      [path.join('docker', 'Dockerfile')]: ['skip', 'exclude docker/ (unless DOCKER)'],
+      'same.txt': ['create', null],
+      'uff.json': ['skip', 'ignored']
+    });
+    assert.deepStrictEqual(report.hooks, [{name: 'Create marker', status: 'pending'}]);
+  });
+
+  it('shows a diff of every file that would be overwritten', async () => {
+    let dest = path.join(work, 'existing');
+    await writeFiles(dest, {'config.txt': 'name: old\nport: 80\n', 'same.txt': 'same\n'});
+
+    let result = await preview('existing', ['--on-conflict=overwrite', '--skip-hooks']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(await readFiles(dest), {'config.txt': 'name: old\nport: 80\n', 'same.txt': 'same\n'});
+
+    assert.match(result.stdout, /overwrite +config\.txt\n/);
+    assert.match(result.stdout, /unchanged +same\.txt\n/);
+    assert.match(result.stdout, /Post-generate hooks that would be skipped:\n +\[1\/1\] Create marker\n/);
+    assert.ok(result.stdout.includes([
+      '--- a/config.txt',
+      '+++ b/config.txt',
+      '@@ -1,2 +1,2 @@',
+      '-name: old',
+      '+name: demo',
+      ' port: 80'
+    ].join('\n')), result.stdout);
+  });
+
+  describe('Diff.unified', () => {
+    it('groups changes into hunks with context', () => {
+      let oldStr = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+      let newStr = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk';
+      assert.strictEqual(Diff.unified(oldStr, newStr, {context: 1}), [
+        '--- a',
+        '+++ b',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        '@@ -10,1 +10,2 @@',
+        ' j',
+        '+k',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n'));
+    });
+
+    it('is empty for equal contents', () => {
+      assert.strictEqual(Diff.unified('same\n', 'same\n'), '');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const Ignore = require('../lib/utils/ignore.js');
+const Manifest = require('../lib/utils/manifest.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('file rules', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  describe('Ignore', () => {
+    it('matches names at any depth, and paths with a slash from the root', () => {
+      let ignore = new Ignore('*.log\n/build\ndocs/*.md\n');
+      assert.strictEqual(ignore.ignores('debug.log'), true);
+      assert.strictEqual(ignore.ignores('src/deep/debug.log'), true);
+      assert.strictEqual(ignore.ignores('build/out.js'), true);
+      assert.strictEqual(ignore.ignores('src/build/out.js'), false);
+      assert.strictEqual(ignore.ignores('docs/README.md'), true);
+      assert.strictEqual(ignore.ignores('docs/api/README.md'), false);
+    });
+
+    it('supports comments, negation, directory only patterns and glob syntax', () => {
+      let ignore = new Ignore([
+        '# Comment',
+        '*.env',
+        '!example.env',
+        'cache/',
+        '**/tmp/**',
+        'file.{js,ts}',
+        'log[0-9].txt',
+        '\\#hash'
+      ]);
+      assert.strictEqual(ignore.ignores('# Comment'), false);
+      assert.strictEqual(ignore.ignores('local.env'), true);
+      assert.strictEqual(ignore.ignores('example.env'), false);
+      assert.strictEqual(ignore.ignores('cache', true), true);
+      assert.strictEqual(ignore.ignores('cache'), false);
+      assert.strictEqual(ignore.ignores('src/cache/data.json'), true);
+      assert.strictEqual(ignore.ignores('a/tmp/b/c.txt'), true);
+      assert.strictEqual(ignore.ignores('file.ts'), true);
+      assert.strictEqual(ignore.ignores('file.css'), false);
+      assert.strictEqual(ignore.ignores('log1.txt'), true);
+      assert.strictEqual(ignore.ignores('logs.txt'), false);
+      assert.strictEqual(ignore.ignores('#hash'), true);
+    });
+  });
+
+  describe('conditions', () => {
+    it('tests vars for truthiness or against values', () => {
+      let vars = {DOCKER: 'yes', CI: 'false', DB: 'postgres'};
+      assert.strictEqual(Manifest.testCondition('DOCKER', vars), true);
+      assert.strictEqual(Manifest.testCondition('CI', vars), false);
+      assert.strictEqual(Manifest.testCondition('MISSING', vars), false);
+      assert.strictEqual(Manifest.testCondition('DB=postgres', vars), true);
+      assert.strictEqual(Manifest.testCondition('DB != postgres', vars), false);
+      assert.strictEqual(Manifest.testCondition('MISSING=', vars), true);
+      assert.strictEqual(Manifest.testCondition('constructor', {}), false);
+      assert.strictEqual(Manifest.testCondition('toString!=', {}), false);
+    });
+
+    it('are decided by the last matching rule', () => {
+      let manifest = new Manifest({
+        files: [
+          {exclude: 'docker/', unless: 'DOCKER'},
+          {include: 'docker/compose.yml', if: 'DB=postgres'}
+        ]
+      }, work);
+      let excluded = (relative, vars) => {
+        let rule = manifest.findExcludingRule(relative, vars);
+        return rule ? `${rule.type} ${rule.globs.join(', ')}` : null;
+      };
+
+      assert.strictEqual(excluded('docker/Dockerfile', {}), 'exclude docker/');
+      assert.strictEqual(excluded('docker/Dockerfile', {DOCKER: 'y'}), null);
+      assert.strictEqual(excluded('docker/compose.yml', {DOCKER: 'y', DB: 'mysql'}), 'include docker/compose.yml');
+      assert.strictEqual(excluded('docker/compose.yml', {DB: 'postgres'}), null);
+      assert.strictEqual(excluded('src/index.js', {}), null);
+    });
+
+    it('fails on rules without a glob', () => {
+      assert.throws(() => new Manifest({files: [{if: 'DOCKER'}]}, work),
+          /: File rule at index 0 must have an "include" or "exclude" glob$/);
+    });
+  });
+
+  describe('generating', () => {
+    it('leaves out ignored files and files excluded by the rules', async () => {
+      let templateDir = path.join(work, 'template');
+      await writeFiles(templateDir, {
+        'uff.json': JSON.stringify({
+          name: 'rules',
+          variables: [{name: 'DOCKER', type: 'boolean', default: 'no'}],
+          files: [{exclude: 'docker/', unless: 'DOCKER'}]
+        }),
+        '.uffignore': 'notes/\n*.bak\n',
+        'README.md': '# Rules\n',
+        'README.md.bak': 'old\n',
+        'notes/todo.txt': 'todo\n',
+        'docker/Dockerfile': 'FROM node\n'
+      });
+
+      let dest = path.join(work, 'without-docker');
+      let result = await uff(['run', templateDir, `--dest=${dest}`, '--no-interactive', '--no-answers', '--no-lockfile'], {home});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.deepStrictEqual(await readFiles(dest), {'README.md': '# Rules\n'});
+
+      dest = path.join(work, 'with-docker');
+      result = await uff(['run', templateDir, 'DOCKER=yes', `--dest=${dest}`, '--no-interactive', '--no-answers',
+        '--no-lockfile'], {home});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.deepStrictEqual(await readFiles(dest), {'README.md': '# Rules\n', 'docker/Dockerfile': 'FROM node\n'});
+    });
+  });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, uff} = require('./helpers.js');
+
+/**
+ * Encodes text as UTF-16BE
+ *
+ * @param {string} str Text to encode
+ *
+ * @return {Buffer} The content
+ */
+const utf16be = (str) => FileUtil.encode(str, {encoding: 'utf16be', bom: false});
+
+describe('file types', () => {
+  describe('detectType', () => {
+    it('detects the encoding of text by its byte order mark', () => {
+      let types = ['utf8', 'utf16le', 'utf16be'].map((encoding) => {
+        return FileUtil.detectType(FileUtil.encode('# é {{NAME}}\n', {encoding, bom: true}));
+      });
+      assert.deepStrictEqual(types.map((type) => [type.binary, type.encoding, type.bom]), [
+        [false, 'utf8', true],
+        [false, 'utf16le', true],
+        [false, 'utf16be', true]
+      ]);
+    });
+
+    it('detects UTF-16 without a byte order mark by its null bytes', () => {
+      assert.strictEqual(FileUtil.detectType(Buffer.from('# {{NAME}}\n', 'utf16le')).encoding, 'utf16le');
+      assert.strictEqual(FileUtil.detectType(utf16be('# {{NAME}}\n')).encoding, 'utf16be');
+    });
+
+    it('detects binary content, unless the extension is known to be text', () => {
+      let reason = (buffer, filePath) => FileUtil.detectType(buffer, filePath).reason;
+      assert.strictEqual(reason(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00, 0x00, 0x00, 0x0D, 0x49, 0x00])),
+          'contains null bytes');
+      assert.strictEqual(reason(Buffer.from([0x01, 0x02, 0x03, 0x41])), 'mostly control characters');
+      assert.strictEqual(reason(Buffer.from('caf\xE9!', 'latin1')), 'not valid UTF-8');
+
+      let latin1 = FileUtil.detectType(Buffer.from('caf\xE9!', 'latin1'), 'notes.txt');
+      assert.deepStrictEqual(latin1, {binary: false, encoding: 'latin1', bom: false, reason: null});
+    });
+
+    it('allows a multi-byte character to be cut off at the end of the block', () => {
+      let buffer = Buffer.from('café');
+      assert.strictEqual(FileUtil.detectType(buffer.subarray(0, buffer.length - 1)).binary, false);
+    });
+
+    it('decodes and encodes text the same way, removing the byte order mark', () => {
+      for (let encoding of ['utf8', 'utf16le', 'utf16be', 'latin1']) {
+        let type = {encoding, bom: encoding !== 'latin1'};
+        let buffer = FileUtil.encode('café\n', type);
+        assert.strictEqual(FileUtil.decode(buffer, type), 'café\n', encoding);
+        assert.ok(FileUtil.encode(FileUtil.decode(buffer, type), type).equals(buffer), encoding);
+      }
+    });
+  });
+
+  describe('generating', () => {
+    let home;
+    let work;
+    let dest;
+    let result;
+
+    const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00, 0x00, 0x7B, 0x7B, 0x4E, 0x41, 0x4D, 0x45, 0x7D, 0x7D]);
+
+    before(async () => {
+      home = await makeTempDir();
+      work = await makeTempDir();
+      dest = path.join(work, 'out');
+      await writeFiles(path.join(work, 'template'), {
+        'uff.json': JSON.stringify({name: 'types', text: ['data/*.dat'], binary: ['fixtures/*.txt']}),
+        'bom-utf8.txt': FileUtil.encode('{{NAME}} é\n', {encoding: 'utf8', bom: true}),
+        'bom-utf16le.txt': FileUtil.encode('{{NAME}} é 😀\n', {encoding: 'utf16le', bom: true}),
+        'utf16be.txt': utf16be('{{NAME}} é\n'),
+        'latin1.txt': Buffer.from('{{NAME}} caf\xE9\n', 'latin1'),
+        'image.png': png,
+        'data/forced.dat': Buffer.from('\x01\x02\x03{{NAME}}'),
+        'fixtures/forced.txt': '{{NAME}}\n'
+      });
+
+      let argv = ['run', path.join(work, 'template'), 'NAME=démo', `--dest=${dest}`, '--no-interactive', '--no-answers',
+        '--no-lockfile', '-q'];
+      result = await uff(argv, {home});
+    });
+
+    after(async () => {
+      await FileUtil.removeDir(home);
+      await FileUtil.removeDir(work);
+    });
+
+    /**
+     * Reads a generated file
+     *
+     * @param {string} relative Path of the file, relative to the destination
+     *
+     * @return {Promise} Resolves with the content
+     */
+    const read = (relative) => FileUtil.readFile(path.join(dest, ...relative.split('/')));
+
+    it('keeps the encoding and byte order mark of text files', async () => {
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok((await read('bom-utf8.txt')).equals(FileUtil.encode('démo é\n', {encoding: 'utf8', bom: true})));
+      assert.ok((await read('bom-utf16le.txt')).equals(FileUtil.encode('démo é 😀\n', {encoding: 'utf16le', bom: true})));
+      assert.ok((await read('utf16be.txt')).equals(utf16be('démo é\n')));
+      assert.ok((await read('latin1.txt')).equals(Buffer.from('d\xE9mo caf\xE9\n', 'latin1')));
+    });
+
+    it('copies binary files as they are, unless the manifest says otherwise', async () => {
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok((await read('image.png')).equals(png));
+      assert.strictEqual((await read('data/forced.dat')).toString(), '\x01\x02\x03démo');
+      assert.strictEqual((await read('fixtures/forced.txt')).toString(), '{{NAME}}\n');
+    });
+  });
+});
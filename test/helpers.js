@@ -0,0 +1,97 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const FileUtil = require('../lib/utils/file-util.js');
+const ProcessUtil = require('../lib/utils/process-util.js');
+
+/**
+ * Full path of the command line script
+ */
+const BIN = path.join(__dirname, '..', 'bin', 'uff.js');
+
+/**
+ * Creates an empty temporary directory
+ *
+ * @return {Promise} Resolves with the full path of the directory
+ */
+const makeTempDir = async () => FileUtil.mkdtemp(path.join(os.tmpdir(), 'uff-spec-'));
+
+/**
+ * Writes files within a directory, creating any missing directories
+ *
+ * @param {string} dir Full path of the directory
+ * @param {Object} files Map of relative paths, using '/' as the separator, to contents
+ *
+ * @return {Promise} Resolves once every file is written
+ */
+const writeFiles = async (dir, files) => {
+  for (let relative of Object.keys(files)) {
+    let filePath = path.join(dir, ...relative.split('/'));
+    await FileUtil.makeDir(path.dirname(filePath));
+    await FileUtil.writeFile(filePath, files[relative]);
+  }
+};
+
+/**
+ * Reads every file within a directory as UTF-8 text
+ *
+ * @param {string} dir Full path of the directory
+ *
+ * @return {Promise} Resolves with an object mapping relative paths, using '/' as the
+ * separator, to contents
+ */
+const readFiles = async (dir) => {
+  let files = {};
+  await FileUtil.getDirRecursive(dir, (relative, dirent) => {
+    if (dirent.isFile()) files[relative.split(path.sep).join('/')] = null;
+    return true;
+  });
+  for (let relative of Object.keys(files).sort()) {
+    files[relative] = (await FileUtil.readFile(path.join(dir, ...relative.split('/')))).toString();
+  }
+  return files;
+};
+
+/**
+ * Runs the command line with its own user level directory, so the config and caches of
+ * the user running the tests are never used. Prompting is never possible, as stdin is not
+ * a terminal
+ *
+ * @param {string[]} argv Arguments, EX: ['run', './template', '--dest=out']
+ * @param {Object} opts Options
+ * @param {string} opts.home Full path of the user level directory, see `Config.HOME`
+ * @param {string} [opts.cwd] Directory to run in
+ * @param {Object} [opts.env] Environment variables to add, EX: {UFF_VAR_NAME: 'demo'}
+ *
+ * @return {Promise} Resolves with {code, stdout, stderr}, whatever the exit code
+ */
+const uff = (argv, opts) => {
+  return new Promise((resolve) => {
+    let env = Object.assign({}, process.env, {UFF_HOME: opts.home});
+    Object.keys(env).filter((name) => /^UFF_(VAR_|TEMPLATE_PATH)/.test(name)).forEach((name) => delete env[name]);
+    Object.assign(env, opts.env);
+
+    let options = {cwd: opts.cwd, env};
+    let child = childProcess.execFile(process.execPath, [BIN].concat(argv), options, (err, stdout, stderr) => {
+      resolve({code: err ? err.code : 0, stdout: String(stdout), stderr: String(stderr)});
+    });
+    child.stdin.end();
+  });
+};
+
+/**
+ * Runs git with a fixed identity, so commits work without any git config
+ *
+ * @param {string} cwd Directory to run in
+ * @param {...string} args Arguments, EX: 'commit', '-m', 'Initial'
+ *
+ * @return {Promise} Resolves with the trimmed stdout
+ */
+const git = async (cwd, ...args) => {
+  let identity = ['-c', 'user.name=uff', '-c', 'user.email=uff@example.com', '-c', 'commit.gpgsign=false'];
+  return (await ProcessUtil.execFile('git', identity.concat(args), {cwd})).stdout.trim();
+};
+
+module.exports = {makeTempDir, writeFiles, readFiles, uff, git};
@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+/**
+ * Builds a hook command running a Node.js script, so hooks do not depend on the shell
+ *
+ * @param {string} script Script to run
+ *
+ * @return {string} The command
+ */
+const node = (script) => `"${process.execPath}" -e ${JSON.stringify(script)}`;
+
+describe('hooks', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a template with the given hooks and generates it, using the JSON reporter
+   *
+   * @param {string} name Name of the test, used for the directories
+   * @param {Array} hooks Hooks of the manifest
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, files}
+   */
+  const run = async (name, hooks, extra = []) => {
+    let templateDir = path.join(work, `${name}-template`);
+    let dest = path.join(work, `${name}-out`);
+    await writeFiles(templateDir, {
+      'uff.json': JSON.stringify({name, hooks}),
+      'hooks/record.js': [
+        'const fs = require(\'fs\');',
+        'const path = require(\'path\');',
+        'module.exports = async ({vars, destDir, templateDir}) => {',
+        '  fs.writeFileSync(path.join(destDir, \'module.txt\'), `${vars.NAME} ${path.basename(templateDir)}\\n`);',
+        '};',
+        ''
+      ].join('\n'),
+      'README.md': '# {{NAME}}\n'
+    });
+
+    let argv = ['run', templateDir, 'NAME=demo', `--dest=${dest}`, '--no-interactive', '--no-answers', '--no-lockfile',
+      '--json'];
+    let result = await uff(argv.concat(extra), {home});
+    let files = await FileUtil.exists(dest) ? await readFiles(dest) : {};
+    return {code: result.code, report: JSON.parse(result.stdout), files};
+  };
+
+  it('runs command and module hooks in order within the destination', async () => {
+    let result = await run('order', [
+      node('require("fs").writeFileSync("command.txt", process.env.UFF_VAR_NAME + " " + process.cwd() + "\\n")'),
+      {name: 'Record', module: 'hooks/record.js'}
+    ]);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.report.hooks.map((hook) => hook.status), ['done', 'done']);
+    assert.strictEqual(result.files['command.txt'], `demo ${path.join(work, 'order-out')}\n`);
+    assert.strictEqual(result.files['module.txt'], 'demo order-template\n');
+    // Hook modules are part of the template, not of the generated project
+    assert.strictEqual(result.files['hooks/record.js'], undefined);
+  });
+
+  it('stops at the first failing hook, keeping the generated files', async () => {
+    let result = await run('failing', [
+      {name: 'Fail', run: node('process.exit(3)')},
+      {name: 'Record', module: 'hooks/record.js'}
+    ]);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.report.error, /^Post-generate hook \[1\/2\] Fail failed: /);
+    assert.ok(result.report.error.endsWith([
+      `The generated files were kept in "${path.join(work, 'failing-out')}"`,
+      'The following hooks were not run:',
+      '  - Record'
+    ].join('\n')), result.report.error);
+    assert.deepStrictEqual(result.files, {'README.md': '# demo\n'});
+  });
+
+  it('fails on modules that do not export a function', async () => {
+    await writeFiles(path.join(work, 'not-function-template'), {'hooks/object.js': 'module.exports = {};\n'});
+    let result = await run('not-function', [{module: 'hooks/object.js'}]);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.report.error,
+        /^Post-generate hook \[1\/1\] hooks\/object\.js failed: Hook module "hooks\/object\.js" must export a/);
+  });
+
+  it('runs no hooks with --skip-hooks', async () => {
+    let result = await run('skipped', [{name: 'Record', module: 'hooks/record.js'}], ['--skip-hooks']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.report.hooks, [{name: 'Record', status: 'skipped'}]);
+    assert.deepStrictEqual(result.files, {'README.md': '# demo\n'});
+  });
+
+  it('fails on hook modules outside of the template', async () => {
+    let result = await run('outside', [{module: '../record.js'}]);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.report.error, /: Hook module "\.\.\/record\.js" must be within the template directory$/);
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('extends and include', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+    await writeFiles(path.join(work, 'base'), {
+      'uff.json': JSON.stringify({
+        name: 'base',
+        variables: [{name: 'NAME', required: true}, {name: 'LICENSE', default: 'MIT'}],
+        files: [{exclude: 'CHANGELOG.md', unless: 'CHANGELOG'}]
+      }),
+      'README.md': '# {{NAME}} (base)\n',
+      'LICENSE': '{{LICENSE}}\n',
+      'CHANGELOG.md': '# Changes\n',
+      'constructor': 'base\n'
+    });
+    await writeFiles(path.join(work, 'ci'), {
+      'uff.json': JSON.stringify({name: 'ci', hooks: [{name: 'CI', module: 'hooks/ci.js'}]}),
+      'hooks/ci.js': 'module.exports = () => {};\n',
+      '.ci.yml': 'name: {{NAME}}\n'
+    });
+    await writeFiles(path.join(work, 'app'), {
+      'uff.json': JSON.stringify({
+        name: 'app',
+        extends: '../base',
+        include: ['../ci'],
+        variables: [{name: 'LICENSE', default: 'ISC'}, {name: 'PORT', type: 'number', default: 80}]
+      }),
+      'README.md': '# {{NAME}} on {{PORT}}\n'
+    });
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Generates a template of the work directory, using the JSON reporter
+   *
+   * @param {string} name Name of the template directory
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, files}
+   */
+  const run = async (name, extra = []) => {
+    let dest = path.join(work, `${name}-out-${Date.now()}`);
+    let argv = ['run', path.join(work, name), 'NAME=demo', `--dest=${dest}`, '--no-interactive', '--no-answers',
+      '--no-lockfile', '--json'];
+    let result = await uff(argv.concat(extra), {home});
+    let files = await FileUtil.exists(dest) ? await readFiles(dest) : {};
+    return {code: result.code, report: JSON.parse(result.stdout), files};
+  };
+
+  it('layers the files, variables, rules and hooks of every template', async () => {
+    let result = await run('app');
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {
+      '.ci.yml': 'name: demo\n',
+      'LICENSE': 'ISC\n',
+      'README.md': '# demo on 80\n',
+      'constructor': 'base\n'
+    });
+    assert.deepStrictEqual(result.report.hooks, [{name: 'CI', status: 'done'}]);
+
+    let skipped = {};
+    result.report.files.filter((file) => file.action === 'skip' && file.reason !== 'ignored').forEach((file) => {
+      skipped[file.path] = file.reason;
+    });
+    assert.deepStrictEqual(skipped, {
+      'README.md': 'replaced by template "app"',
+      'CHANGELOG.md': 'exclude CHANGELOG.md (unless CHANGELOG)'
+    });
+  });
+
+  it('validates the variables declared by every template', async () => {
+    let result = await run('app', ['PORT=many']);
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, 'Invalid variables for template "app":\n  - Variable "PORT" must be a number, got "many"');
+  });
+
+  it('fails on templates that extend each other', async () => {
+    await writeFiles(work, {
+      'loop-a/uff.json': JSON.stringify({name: 'loop-a', extends: '../loop-b'}),
+      'loop-b/uff.json': JSON.stringify({name: 'loop-b', include: '../loop-a'})
+    });
+
+    let result = await run('loop-a');
+    assert.strictEqual(result.code, 1);
+    let dirs = ['loop-a', 'loop-b', 'loop-a'].map((name) => `"${path.join(work, name)}"`);
+    assert.strictEqual(result.report.error, `Invalid template: Templates extend or include each other: ${dirs.join(' -> ')}`);
+  });
+
+  it('fails on layers that can not be loaded', async () => {
+    await writeFiles(work, {'missing-layer/uff.json': JSON.stringify({name: 'missing-layer', extends: '../missing'})});
+
+    let result = await run('missing-layer');
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.report.error.startsWith(`Unable to load "${path.join(work, 'missing')}", used by "missing-layer": `),
+        result.report.error);
+  });
+});
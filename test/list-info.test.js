@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, uff} = require('./helpers.js');
+
+describe('list and info', () => {
+  let home;
+  let work;
+  let env;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+    await writeFiles(path.join(work, 'first'), {
+      'web/uff.json': JSON.stringify({name: 'web', description: 'First web', version: '1.0.0'}),
+      'broken/uff.json': '{'
+    });
+    await writeFiles(path.join(work, 'second'), {
+      'web/uff.json': JSON.stringify({name: 'web', description: 'Second web'}),
+      'api/uff.json': JSON.stringify({
+        name: 'api',
+        description: 'An API',
+        variables: [{name: 'DB', values: ['postgres', 'mysql'], default: 'postgres'}, {name: 'DOCKER', type: 'boolean'}],
+        files: [{exclude: 'docker/', unless: 'DOCKER'}],
+        hooks: ['git init', {name: 'Install', run: 'npm install'}]
+      }),
+      'api/src/index.js': '// {{DB}}\n',
+      'api/docker/Dockerfile': 'FROM node\n',
+      'api/README.md': '# API\n'
+    });
+    env = {UFF_TEMPLATE_PATH: [path.join(work, 'first'), path.join(work, 'second')].join(path.delimiter)};
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  describe('list', () => {
+    it('lists the templates of every template path, marking shadowed ones', async () => {
+      let result = await uff(['list', '--json'], {home, env});
+      assert.strictEqual(result.code, 0, result.stderr);
+
+      let templates = JSON.parse(result.stdout).filter((template) => template.dir.startsWith(work));
+      assert.deepStrictEqual(templates.map((template) => {
+        return [template.name, template.description, template.version, template.shadowed, !!template.error];
+      }), [
+        ['broken', '', '', false, true],
+        ['web', 'First web', '1.0.0', false, false],
+        ['api', 'An API', '', false, false],
+        ['web', 'Second web', '', true, false]
+      ]);
+    });
+
+    it('groups the templates by template path', async () => {
+      let result = await uff(['list'], {home, env});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok(result.stdout.includes([
+        `Templates in "${path.join(work, 'second')}":`,
+        '  api',
+        '    An API',
+        '  web (shadowed by an earlier template of the same name)',
+        '    Second web'
+      ].join('\n')), result.stdout);
+      assert.match(result.stdout, /\n {2}broken\n {4}Unable to read template: Invalid manifest: /);
+    });
+  });
+
+  describe('info', () => {
+    it('describes the variables, files and hooks of a template', async () => {
+      let result = await uff(['info', 'api', '--json'], {home, env});
+      assert.strictEqual(result.code, 0, result.stderr);
+
+      let info = JSON.parse(result.stdout);
+      assert.strictEqual(info.name, 'api');
+      assert.strictEqual(info.dir, path.join(work, 'second', 'api'));
+      assert.strictEqual(info.engine, 'regex');
+      assert.deepStrictEqual(info.variables.map((variable) => [variable.name, variable.type, variable.default]), [
+        ['DB', 'string', 'postgres'],
+        ['DOCKER', 'boolean', undefined]
+      ]);
+      assert.deepStrictEqual(info.files, [
+        {path: path.join('docker', 'Dockerfile'), note: 'not generated by default: exclude docker/ (unless DOCKER)'},
+        {path: 'README.md', note: ''},
+        {path: path.join('src', 'index.js'), note: ''}
+      ]);
+      assert.deepStrictEqual(info.hooks.map((hook) => hook.name), ['git init', 'Install']);
+    });
+
+    it('prints the files as a tree, directories first', async () => {
+      let result = await uff(['info', 'api'], {home, env});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok(result.stdout.includes([
+        'Files:',
+        '  docker/',
+        '    Dockerfile  (not generated by default: exclude docker/ (unless DOCKER))',
+        '  src/',
+        '    index.js',
+        '  README.md',
+        '',
+        'Post-generate hooks:',
+        '  1. $ git init',
+        '  2. Install: $ npm install'
+      ].join('\n')), result.stdout);
+    });
+
+    it('uses the first template of the same name', async () => {
+      let result = await uff(['info', 'web', '--json'], {home, env});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(JSON.parse(result.stdout).description, 'First web');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const RegexMatch = require('../lib/transforms/regex-match.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('literal placeholders', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a template and generates it, using the JSON reporter
+   *
+   * @param {string} name Name of the test, used for the directories
+   * @param {Object} files Files of the template, see `writeFiles`
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, files}
+   */
+  const run = async (name, files, extra = []) => {
+    let templateDir = path.join(work, `${name}-template`);
+    let dest = path.join(work, `${name}-out`);
+    await writeFiles(templateDir, files);
+
+    let argv = ['run', templateDir, 'NAME=demo', `--dest=${dest}`, '--no-interactive', '--no-answers', '--no-lockfile',
+      '--json'];
+    let result = await uff(argv.concat(extra), {home});
+    let generated = await FileUtil.exists(dest) ? await readFiles(dest) : {};
+    return {code: result.code, report: JSON.parse(result.stdout), files: generated};
+  };
+
+  it('generates escaped placeholders without their backslash, with either engine', async () => {
+    let content = '{{NAME}} \\{{NAME}} \\{{MISSING}}\n';
+    let regex = await run('escaped-regex', {'README.md': content});
+    assert.strictEqual(regex.code, 0, regex.report.error);
+    assert.strictEqual(regex.files['README.md'], 'demo {{NAME}} {{MISSING}}\n');
+
+    let template = await run('escaped-template', {'README.md': content}, ['--engine=template']);
+    assert.strictEqual(template.code, 0, template.report.error);
+    assert.strictEqual(template.files['README.md'], 'demo {{NAME}} {{MISSING}}\n');
+  });
+
+  it('never reports escaped placeholders as missing', () => {
+    let args = {opts: {}};
+    assert.deepStrictEqual(RegexMatch.findPlaceholders('\\{{A}}\n{{B}} \\{{C}}{{D}}', args), [
+      {placeholder: '{{B}}', line: 2, block: false},
+      {placeholder: '{{D}}', line: 2, block: false}
+    ]);
+  });
+
+  it('copies verbatim files as they are', async () => {
+    let result = await run('verbatim', {
+      'uff.json': JSON.stringify({name: 'verbatim', verbatim: ['views/', '*.hbs']}),
+      'views/index.vue': '<p>{{ message }}</p>\n',
+      'partials/header.hbs': '{{> nav}}\n',
+      'README.md': '# {{NAME}}\n'
+    });
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {
+      'views/index.vue': '<p>{{ message }}</p>\n',
+      'partials/header.hbs': '{{> nav}}\n',
+      'README.md': '# demo\n'
+    });
+
+    let actions = {};
+    result.report.files.forEach((file) => actions[file.path] = `${file.action} ${file.reason || ''}`.trim());
+    assert.strictEqual(actions[path.join('views', 'index.vue')], 'copy verbatim in the template manifest');
+  });
+
+  describe('unknown placeholders', () => {
+    const files = {'README.md': '# {{NAME}} {{MISSING}}\n'};
+
+    it('fail before anything is written by default', async () => {
+      let result = await run('unknown-error', files);
+      assert.strictEqual(result.code, 1);
+      assert.strictEqual(result.report.error, 'Unable to find matching var for pattern(s):\n  - {{MISSING}} (README.md)');
+      assert.deepStrictEqual(result.files, {});
+    });
+
+    it('are generated as they are when left, and listed first when warned about', async () => {
+      let left = await run('unknown-leave', files, ['--unknown-placeholders=leave']);
+      assert.strictEqual(left.code, 0, left.report.error);
+      assert.strictEqual(left.files['README.md'], '# demo {{MISSING}}\n');
+      assert.deepStrictEqual(left.report.messages, []);
+
+      let warned = await run('unknown-warn', files, ['--unknown-placeholders=warn']);
+      assert.strictEqual(warned.code, 0, warned.report.error);
+      assert.deepStrictEqual(warned.report.messages, [{
+        level: 'warn',
+        message: 'Leaving placeholder(s) without a matching var as they are:\n  - {{MISSING}} (README.md)'
+      }]);
+    });
+
+    it('use the policy of the manifest, unless given', async () => {
+      let manifest = {'uff.json': JSON.stringify({name: 'manifest', unknownPlaceholders: 'leave'})};
+      let result = await run('unknown-manifest', Object.assign({}, manifest, files));
+      assert.strictEqual(result.code, 0, result.report.error);
+      assert.strictEqual(result.files['README.md'], '# demo {{MISSING}}\n');
+
+      let overridden = await run('unknown-manifest', {}, ['--unknown-placeholders=error']);
+      assert.strictEqual(overridden.code, 1);
+    });
+
+    it('keep tags that are not template syntax with the template engine', async () => {
+      let result = await run('unknown-syntax', {'page.hbs': '{{> header}}\n{{NAME}}\n'},
+          ['--engine=template', '--unknown-placeholders=leave']);
+      assert.strictEqual(result.code, 0, result.report.error);
+      assert.strictEqual(result.files['page.hbs'], '{{> header}}\ndemo\n');
+    });
+
+    it('fail on invalid policies', async () => {
+      let result = await run('unknown-invalid', files, ['--unknown-placeholders=ignore']);
+      assert.strictEqual(result.code, 1);
+      assert.strictEqual(result.report.error,
+          'Invalid unknown placeholder policy: "ignore", must be one of error, leave, warn');
+    });
+  });
+});
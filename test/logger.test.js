@@ -0,0 +1,147 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const Logger = require('../lib/utils/logger.js');
+const {makeTempDir, writeFiles, uff} = require('./helpers.js');
+
+/**
+ * Creates a stream that keeps everything written to it
+ *
+ * @return {Object} Object with a `write` function, and the written `output`
+ */
+const capture = () => {
+  let stream = {output: ''};
+  stream.write = (chunk) => stream.output += chunk;
+  return stream;
+};
+
+/**
+ * Creates a logger writing to captured streams
+ *
+ * @param {Object} opts Options, see `Logger`
+ *
+ * @return {Logger} The logger, with captured stdout and stderr
+ */
+const createLogger = (opts) => new Logger(Object.assign({stdout: capture(), stderr: capture()}, opts));
+
+/**
+ * Logs one of each message with the given logger
+ *
+ * @param {Logger} logger Logger to log with
+ */
+const logEverything = (logger) => {
+  logger.info('info');
+  logger.group();
+  logger.verbose('verbose\nsecond line');
+  logger.warn('warn');
+  logger.groupEnd();
+  logger.groupEnd();
+  logger.error('error');
+  logger.print('print');
+  logger.summary({Created: 2, Skipped: 0}, 1500);
+};
+
+describe('Logger', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+    await writeFiles(path.join(work, 'template'), {'README.md': '# {{NAME}}\n'});
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  it('writes messages by level, indented by group', () => {
+    let normal = createLogger();
+    logEverything(normal);
+    assert.strictEqual(normal.stdout.output, 'info\nprint\nCreated: 2 in 1.50s\n');
+    assert.strictEqual(normal.stderr.output, '  warn\nerror\n');
+
+    let verbose = createLogger({level: Logger.LEVELS.VERBOSE});
+    logEverything(verbose);
+    assert.strictEqual(verbose.stdout.output, 'info\n  verbose\n  second line\nprint\nCreated: 2 in 1.50s\n');
+
+    let quiet = createLogger({level: Logger.LEVELS.QUIET});
+    logEverything(quiet);
+    assert.strictEqual(quiet.stdout.output, 'print\n');
+    assert.strictEqual(quiet.stderr.output, 'error\n');
+  });
+
+  it('keeps warnings and errors for the report of the JSON reporter', () => {
+    let logger = createLogger({reporter: Logger.REPORTERS.JSON});
+    logEverything(logger);
+    assert.strictEqual(logger.stdout.output, 'print\n');
+    assert.strictEqual(logger.stderr.output, '');
+    assert.strictEqual(logger.promptStream, logger.stderr);
+
+    logger.report({status: 'ok'});
+    assert.deepStrictEqual(JSON.parse(logger.stdout.output.slice('print\n'.length)), {
+      status: 'ok',
+      messages: [{level: 'warn', message: 'warn'}, {level: 'error', message: 'error'}]
+    });
+  });
+
+  it('is created from command line options, verbose winning over quiet', () => {
+    let logger = Logger.fromOpts({q: true, v: true, json: true});
+    assert.strictEqual(logger.level, Logger.LEVELS.VERBOSE);
+    assert.strictEqual(logger.json, true);
+    assert.strictEqual(Logger.fromOpts({quiet: true}).quiet, true);
+    assert.strictEqual(Logger.fromOpts({reporter: 'json'}).json, true);
+
+    assert.throws(() => Logger.fromOpts({reporter: 'xml'}).validate(), {
+      message: 'Invalid reporter: "xml", must be one of text, json'
+    });
+  });
+
+  describe('command line', () => {
+    /**
+     * Generates the template of the work directory
+     *
+     * @param {string} dest Relative path of the destination
+     * @param {string[]} extra Any other arguments
+     *
+     * @return {Promise} Resolves with {code, stdout, stderr}
+     */
+    const run = (dest, extra) => {
+      let argv = ['run', path.join(work, 'template'), 'NAME=demo', `--dest=${path.join(work, dest)}`, '--no-interactive'];
+      return uff(argv.concat(extra), {home});
+    };
+
+    it('outputs nothing but errors when quiet', async () => {
+      let result = await run('quiet', ['-q']);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(result.stdout, '');
+      assert.strictEqual(result.stderr, '');
+    });
+
+    it('outputs every step when verbose', async () => {
+      let result = await run('verbose', ['--verbose']);
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.match(result.stdout, /^Generating "template" from /m);
+      assert.match(result.stdout, /^ {2}created +transform README\.md$/m);
+    });
+
+    it('outputs a single JSON document with the JSON reporter', async () => {
+      let result = await run('json', ['--reporter=json']);
+      assert.strictEqual(result.code, 0, result.stderr);
+      let report = JSON.parse(result.stdout);
+      assert.strictEqual(report.status, 'ok');
+      assert.strictEqual(report.summary.created, 3);
+      assert.deepStrictEqual(report.messages, []);
+    });
+
+    it('fails on unknown reporters', async () => {
+      let result = await run('xml', ['--reporter=xml']);
+      assert.strictEqual(result.code, 1);
+      assert.match(result.stderr, /Invalid reporter: "xml", must be one of text, json/);
+    });
+  });
+});
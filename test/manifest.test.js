@@ -0,0 +1,153 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const Manifest = require('../lib/utils/manifest.js');
+const {makeTempDir, writeFiles, uff} = require('./helpers.js');
+
+describe('Manifest', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  describe('load', () => {
+    it('treats templates without a manifest as having an empty one', async () => {
+      let templateDir = path.join(work, 'no-manifest');
+      await writeFiles(templateDir, {'README.md': '# {{NAME}}\n'});
+
+      let manifest = await Manifest.load(templateDir);
+      assert.strictEqual(manifest.name, 'no-manifest');
+      assert.deepStrictEqual(manifest.variables, []);
+      assert.deepStrictEqual(manifest.validate({NAME: 'demo'}), {NAME: 'demo'});
+    });
+
+    it('fails on manifests that are not a JSON object', async () => {
+      await writeFiles(work, {'invalid-json/uff.json': '{', 'array/uff.json': '[]'});
+      await assert.rejects(Manifest.load(path.join(work, 'invalid-json')),
+          /^Error: Invalid manifest: Could not parse ".*uff\.json": /);
+      await assert.rejects(Manifest.load(path.join(work, 'array')),
+          /^Error: Invalid manifest: ".*uff\.json" must contain a JSON object$/);
+    });
+  });
+
+  describe('variables', () => {
+    /**
+     * Gets the error a manifest with the given variables fails with
+     *
+     * @param {Object[]} variables Raw variable declarations
+     *
+     * @return {string} The error message, without the path of the manifest
+     */
+    const declarationError = (variables) => {
+      try {
+        new Manifest({variables}, work);
+      } catch (e) {
+        return e.message.replace(/^Invalid manifest: ".*?": /, '');
+      }
+      return null;
+    };
+
+    it('fails on invalid declarations', () => {
+      assert.strictEqual(declarationError({}), '"variables" must be an array');
+      assert.strictEqual(declarationError([{type: 'string'}]), 'Variable at index 0 must have a name');
+      assert.strictEqual(declarationError([{name: 'A', type: 'date'}]), 'Variable "A" has unknown type "date"');
+      assert.strictEqual(declarationError([{name: 'A', values: 'a,b'}]), 'Variable "A" must declare "values" as an array');
+      assert.match(declarationError([{name: 'A', pattern: '('}]), /^Variable "A" has an invalid pattern: /);
+      assert.strictEqual(declarationError([{name: 'A', type: 'number', default: 'many'}]),
+          'Invalid default: Variable "A" must be a number, got "many"');
+    });
+
+    it('applies defaults and normalizes values', () => {
+      let manifest = new Manifest({
+        name: 'typed',
+        variables: [
+          {name: 'NAME', default: 'demo'},
+          {name: 'PORT', type: 'number', default: 8080},
+          {name: 'DOCKER', type: 'boolean', default: 'no'},
+          {name: 'CI', type: 'boolean'}
+        ]
+      }, work);
+
+      assert.deepStrictEqual(manifest.validate({CI: 'Yes', OTHER: 'kept'}), {
+        NAME: 'demo',
+        PORT: '8080',
+        DOCKER: 'false',
+        CI: 'true',
+        OTHER: 'kept'
+      });
+      assert.deepStrictEqual(manifest.validate({NAME: '', PORT: '80'}), {NAME: 'demo', PORT: '80', DOCKER: 'false'});
+    });
+
+    it('lists every invalid value at once', () => {
+      let manifest = new Manifest({
+        name: 'typed',
+        variables: [
+          {name: 'NAME', required: true},
+          {name: 'PORT', type: 'number'},
+          {name: 'DOCKER', type: 'boolean'},
+          {name: 'DB', values: ['postgres', 'mysql']},
+          {name: 'SLUG', pattern: '^[a-z-]+$'}
+        ]
+      }, work);
+
+      assert.throws(() => manifest.validate({PORT: '80a', DOCKER: 'constructor', DB: 'oracle', SLUG: 'Not A Slug'}), {
+        message: [
+          'Invalid variables for template "typed":',
+          '  - Missing required variable "NAME"',
+          '  - Variable "PORT" must be a number, got "80a"',
+          '  - Variable "DOCKER" must be a boolean, got "constructor"',
+          '  - Variable "DB" must be one of postgres, mysql, got "oracle"',
+          '  - Variable "SLUG" must match /^[a-z-]+$/, got "Not A Slug"'
+        ].join('\n')
+      });
+    });
+  });
+
+  describe('generating', () => {
+    it('fails before writing anything when a variable is invalid', async () => {
+      let templateDir = path.join(work, 'invalid-vars');
+      await writeFiles(templateDir, {
+        'uff.json': JSON.stringify({name: 'invalid-vars', variables: [{name: 'PORT', type: 'number'}]}),
+        'port.txt': '{{PORT}}\n'
+      });
+
+      let dest = path.join(work, 'invalid-vars-out');
+      let result = await uff(['run', templateDir, 'PORT=many', `--dest=${dest}`, '--no-interactive', '--json'], {home});
+      assert.strictEqual(result.code, 1);
+      assert.strictEqual(JSON.parse(result.stdout).error,
+          'Invalid variables for template "invalid-vars":\n  - Variable "PORT" must be a number, got "many"');
+      assert.strictEqual(await FileUtil.exists(dest), false);
+    });
+
+    it('lists the declared variables in the help of the template', async () => {
+      let templateDir = path.join(work, 'help');
+      await writeFiles(templateDir, {
+        'uff.json': JSON.stringify({
+          name: 'help',
+          variables: [{name: 'DB', description: 'Database', required: true, values: ['postgres'], default: 'postgres'}]
+        })
+      });
+
+      let result = await uff(['run', templateDir, '--help'], {home});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.ok(result.stdout.includes([
+        'Variables for template "help":',
+        '  DB {string, required}',
+        '      Database',
+        '      Allowed: postgres',
+        '      Default: postgres'
+      ].join('\n')), result.stdout);
+    });
+  });
+});
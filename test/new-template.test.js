@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('new-template', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a project, then a template from it, using the JSON reporter
+   *
+   * @param {string} name Name of the test, used for the directories
+   * @param {Object} files Files of the project, see `writeFiles`
+   * @param {string[]} mappings Literal to variable mappings, EX: ['widget=NAME']
+   *
+   * @return {Promise} Resolves with {code, report, files, templateDir}, where files are the
+   * files of the template
+   */
+  const create = async (name, files, mappings) => {
+    let projectDir = path.join(work, `${name}-project`);
+    let templateDir = path.join(work, `${name}-template`);
+    await writeFiles(projectDir, files);
+
+    let result = await uff(['new-template', projectDir].concat(mappings, `--dest=${templateDir}`, '--json'), {home});
+    let report = JSON.parse(result.stdout);
+    assert.strictEqual(result.code, 0, report.error);
+    return {code: result.code, report, files: await readFiles(templateDir), templateDir};
+  };
+
+  it('replaces literals in contents and paths, and declares the variables', async () => {
+    let result = await create('basic', {
+      'README.md': '# My Site\n\nmy-site uses {{NAME}} placeholders\n',
+      'src/my-site.js': 'module.exports = \'my-site\';\n'
+    }, ['my-site=NAME', 'My Site=TITLE']);
+
+    assert.deepStrictEqual(result.files, {
+      'README.md': '# {{TITLE}}\n\n{{NAME}} uses \\{{NAME}} placeholders\n',
+      'src/{{NAME}}.js': 'module.exports = \'{{NAME}}\';\n',
+      'uff.json': `${JSON.stringify({
+        name: 'basic-template',
+        description: 'Created from basic-project',
+        version: '0.1.0',
+        variables: [
+          {name: 'NAME', description: 'Replaces "my-site"', default: 'my-site'},
+          {name: 'TITLE', description: 'Replaces "My Site"', default: 'My Site'}
+        ]
+      }, null, 2)}\n`
+    });
+    assert.deepStrictEqual(result.report.variables, [
+      {name: 'NAME', literal: 'my-site', count: 3},
+      {name: 'TITLE', literal: 'My Site', count: 1}
+    ]);
+  });
+
+  it('counts literals that are only found in paths', async () => {
+    let result = await create('paths', {
+      'src/widget/index.js': 'module.exports = 1;\n',
+      'assets/widget/.keep': ''
+    }, ['widget=NAME']);
+
+    assert.deepStrictEqual(Object.keys(result.files).sort(), ['assets/{{NAME}}/.keep', 'src/{{NAME}}/index.js', 'uff.json']);
+    assert.deepStrictEqual(result.report.variables, [{name: 'NAME', literal: 'widget', count: 2}]);
+    assert.deepStrictEqual(result.report.messages, []);
+  });
+
+  it('counts literals in the paths of empty directories', async () => {
+    let projectDir = path.join(work, 'empty-project');
+    await FileUtil.makeDir(path.join(projectDir, 'widget'));
+    await writeFiles(projectDir, {'README.md': 'Nothing to replace\n'});
+    let templateDir = path.join(work, 'empty-template');
+
+    let result = await uff(['new-template', projectDir, 'widget=NAME', `--dest=${templateDir}`, '--json'], {home});
+    let report = JSON.parse(result.stdout);
+    assert.strictEqual(result.code, 0, report.error);
+    assert.deepStrictEqual(report.emptyDirs, ['widget']);
+    assert.deepStrictEqual(report.variables, [{name: 'NAME', literal: 'widget', count: 1}]);
+    assert.strictEqual(await FileUtil.exists(path.join(templateDir, '{{NAME}}')), true);
+  });
+
+  it('leaves out the files matched by any .gitignore of the project', async () => {
+    let result = await create('ignored', {
+      '.gitignore': '*.log\n',
+      'app.log': 'ignored\n',
+      'node_modules/dep/index.js': 'ignored\n',
+      '.uff-lock.json': '{}\n',
+      'packages/app/.gitignore': 'dist/\n',
+      'packages/app/dist/index.js': 'ignored\n',
+      'packages/app/src/index.js': 'kept\n',
+      'packages/other/dist/index.js': 'kept\n'
+    }, ['app=NAME']);
+
+    assert.deepStrictEqual(Object.keys(result.files).sort(), [
+      '.gitignore',
+      'packages/other/dist/index.js',
+      'packages/{{NAME}}/.gitignore',
+      'packages/{{NAME}}/src/index.js',
+      'uff.json'
+    ]);
+  });
+
+  it('warns about literals that are not found anywhere', async () => {
+    let result = await create('missing', {'README.md': 'Hello\n'}, ['widget=NAME']);
+    assert.deepStrictEqual(result.report.variables, [{name: 'NAME', literal: 'widget', count: 0}]);
+    assert.deepStrictEqual(result.report.messages, [
+      {level: 'warn', message: '"widget" was not found in any file or path of the project'}
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('paths', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a template and generates it, using the JSON reporter
+   *
+   * @param {string} name Name of the test, used for the directories
+   * @param {Object} files Files of the template, see `writeFiles`
+   * @param {string[]} vars Vars, Make style
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, files, dest}
+   */
+  const run = async (name, files, vars, extra = []) => {
+    let templateDir = path.join(work, `${name}-template`);
+    let dest = path.join(work, `${name}-out`);
+    await writeFiles(templateDir, files);
+
+    let argv = ['run', templateDir, `--dest=${dest}`, '--no-interactive', '--json'].concat(vars, extra);
+    let result = await uff(argv, {home});
+    let generated = await FileUtil.exists(dest) ? await readFiles(dest) : null;
+    return {code: result.code, report: JSON.parse(result.stdout), files: generated, dest};
+  };
+
+  it('replaces placeholders in file and directory names', async () => {
+    let result = await run('names', {
+      '{{NAME}}/src/{{NAME}}-{{KIND}}.js': '// {{NAME}}\n',
+      'static/logo.png': 'not really a png\n'
+    }, ['NAME=demo', 'KIND=cli'], ['--no-answers', '--no-lockfile']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {
+      'demo/src/demo-cli.js': '// demo\n',
+      'static/logo.png': 'not really a png\n'
+    });
+  });
+
+  it('replaces placeholders in the names of empty directories', async () => {
+    let templateDir = path.join(work, 'empty-template');
+    await FileUtil.makeDir(path.join(templateDir, 'logs', '{{NAME}}'));
+
+    let result = await run('empty', {}, ['NAME=demo'], ['--no-answers', '--no-lockfile']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.strictEqual((await FileUtil.lstat(path.join(result.dest, 'logs', 'demo'))).isDirectory(), true);
+  });
+
+  it('applies filters in paths with the template engine', async () => {
+    let result = await run('filters', {'{{NAME|kebab}}.md': '# {{NAME|title}}\n'}, ['NAME=myProject'],
+        ['--engine=template', '--no-answers', '--no-lockfile']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {'my-project.md': '# My Project\n'});
+  });
+
+  it('fails when a name becomes invalid', async () => {
+    for (let value of ['a/b', '..', '']) {
+      let result = await run('invalid', {'{{NAME}}': 'x\n'}, [`NAME=${value}`], ['--unknown-placeholders=leave']);
+      assert.strictEqual(result.code, 1);
+      assert.strictEqual(result.report.error,
+          `Unable to generate the path of "{{NAME}}": "{{NAME}}" became invalid name "${value}"`);
+      assert.strictEqual(result.files, null);
+    }
+  });
+
+  it('fails when two files would be generated in the same place', async () => {
+    let result = await run('same', {'{{A}}.txt': 'a\n', '{{B}}.txt': 'b\n'}, ['A=x', 'B=x']);
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, 'Both "{{A}}.txt" and "{{B}}.txt" would be generated as "x.txt"');
+  });
+
+  it('fails when a file would be generated as a file reserved by uff', async () => {
+    let result = await run('reserved', {'{{NAME}}': 'x\n'}, ['NAME=.uff-lock.json']);
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.report.error, '"{{NAME}}" would be generated as ".uff-lock.json", which is reserved by uff');
+  });
+});
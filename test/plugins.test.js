@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+/**
+ * A plugin adding an engine, which renders like the regex engine in upper case, and a
+ * transform that can not render templates
+ */
+const ENGINE_PLUGIN = `
+const RegexMatch = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'transforms', 'regex-match.js'))});
+const upper = (callback) => (err, output) => callback(err, output && Buffer.from(output.toString().toUpperCase()));
+
+class Upper extends RegexMatch {
+  transform(chunk, encoding, callback) { super.transform(chunk, encoding, upper(callback)); }
+  flush(callback) { super.flush(upper(callback)); }
+  replace(str) { return super.replace(str).toUpperCase(); }
+}
+
+class Banner {
+  constructor(args, options) { this.text = options.text || 'banner'; this.started = false; }
+  transform(chunk, encoding, callback) {
+    callback(null, this.started ? chunk : Buffer.concat([Buffer.from(this.text + '\\n'), chunk]));
+    this.started = true;
+  }
+  flush(callback) { callback(); }
+}
+
+module.exports = {transforms: {upper: Upper, banner: Banner}};
+`;
+
+describe('plugins', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a template with its own plugin
+   *
+   * @param {string} name Name of the template, used for its directory
+   * @param {Object} manifest Manifest properties on top of the name and plugins
+   *
+   * @return {Promise} Resolves with the full path of the template
+   */
+  const createTemplate = async (name, manifest) => {
+    let templateDir = path.join(work, name);
+    await writeFiles(templateDir, {
+      'uff.json': JSON.stringify(Object.assign({name, plugins: ['./plugins/engine.js']}, manifest)),
+      'plugins/engine.js': ENGINE_PLUGIN,
+      'src/{{NAME}}.txt': 'Hello {{NAME}}\n'
+    });
+    return templateDir;
+  };
+
+  /**
+   * Generates a template, using the JSON reporter
+   *
+   * @param {string} templateDir Full path of the template
+   * @param {string} dest Relative path of the destination
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, files}
+   */
+  const run = async (templateDir, dest, extra = []) => {
+    let destDir = path.join(work, dest);
+    let argv = ['run', templateDir, 'NAME=demo', `--dest=${destDir}`, '--no-interactive', '--no-lockfile', '--no-answers', '--json'];
+    let result = await uff(argv.concat(extra), {home});
+    let files = await FileUtil.exists(destDir) ? await readFiles(destDir) : {};
+    return {code: result.code, report: JSON.parse(result.stdout), files};
+  };
+
+  it('renders with an engine added by the template plugins and declared in the manifest', async () => {
+    let templateDir = await createTemplate('manifest-engine', {engine: 'upper'});
+
+    let result = await run(templateDir, 'manifest-engine-out');
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {'SRC/DEMO.TXT': 'HELLO DEMO\n'});
+  });
+
+  it('renders with an engine added by the template plugins and chosen with --engine', async () => {
+    let templateDir = await createTemplate('option-engine', {});
+
+    let result = await run(templateDir, 'option-engine-out', ['--engine=upper']);
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {'SRC/DEMO.TXT': 'HELLO DEMO\n'});
+  });
+
+  it('applies the transforms of the manifest after the engine', async () => {
+    let templateDir = await createTemplate('transforms', {
+      transforms: [{name: 'banner', files: ['src/*.txt'], options: {text: '# {{NAME}}'}}]
+    });
+
+    let result = await run(templateDir, 'transforms-out');
+    assert.strictEqual(result.code, 0, result.report.error);
+    assert.deepStrictEqual(result.files, {'src/demo.txt': '# {{NAME}}\nHello demo\n'});
+  });
+
+  it('fails for transforms that can not render templates, and for unknown engines', async () => {
+    let templateDir = await createTemplate('invalid-engine', {});
+
+    let transform = await run(templateDir, 'invalid-engine-out', ['--engine=banner']);
+    assert.strictEqual(transform.code, 1);
+    assert.strictEqual(transform.report.error, 'Invalid engine: "banner" is a transform that can not render templates');
+
+    let unknown = await run(templateDir, 'invalid-engine-out', ['--engine=missing']);
+    assert.strictEqual(unknown.code, 1);
+    assert.strictEqual(unknown.report.error, 'Invalid engine: "missing", must be one of regex, template, upper, banner');
+  });
+
+  it('checks templates with an engine added by their plugins', async () => {
+    let templateDir = await createTemplate('check-engine', {engine: 'upper', variables: [{name: 'NAME'}]});
+
+    let result = await uff(['check', templateDir, '--json'], {home});
+    let report = JSON.parse(result.stdout);
+    assert.strictEqual(result.code, 0, report.error);
+    assert.deepStrictEqual(report.problems, []);
+  });
+
+  it('loads plugins of the user config, adding their actions', async () => {
+    let pluginHome = await makeTempDir();
+    await writeFiles(pluginHome, {
+      'config.json': JSON.stringify({plugins: ['./greet.js']}),
+      'greet.js': `module.exports = {actions: {greet: {
+        description: 'Greet someone',
+        help: 'Greets someone',
+        options: [{name: 'who', type: 'string', description: 'Who to greet', default: 'world'}],
+        exec: async (args) => args.logger.report({status: 'ok', greeting: 'Hello ' + args.opts.who})
+      }}};`
+    });
+
+    let result = await uff(['greet', '--who=plugins', '--json'], {home: pluginHome});
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(JSON.parse(result.stdout).greeting, 'Hello plugins');
+
+    let help = await uff(['help'], {home: pluginHome});
+    assert.match(help.stdout, /- greet: Greet someone/);
+    await FileUtil.removeDir(pluginHome);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, uff} = require('./helpers.js');
+
+/**
+ * Asks for vars in a separate process, as questions are always read from stdin
+ *
+ * @param {Object} manifest Manifest data to ask with
+ * @param {string[]} names Names of the vars to ask for
+ * @param {Object} vars Vars already provided
+ * @param {string} input Everything written to stdin, which is then closed
+ *
+ * @return {Promise} Resolves with {result, error, output}, where output is everything
+ * written by the prompt
+ */
+const askVars = (manifest, names, vars, input) => {
+  let script = `
+    const Logger = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'utils', 'logger.js'))});
+    const Manifest = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'utils', 'manifest.js'))});
+    const Prompt = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'utils', 'prompt.js'))});
+    const [manifest, names, vars] = JSON.parse(process.argv[1]);
+    Prompt.askVars(new Manifest(manifest, process.cwd()), names, vars, new Logger({reporter: Logger.REPORTERS.JSON}))
+        .then((result) => console.log(JSON.stringify({result})))
+        .catch((e) => console.log(JSON.stringify({error: e.message})));
+  `;
+
+  return new Promise((resolve, reject) => {
+    let argv = ['-e', script, JSON.stringify([manifest, names, vars])];
+    let child = childProcess.execFile(process.execPath, argv, (err, stdout, stderr) => {
+      if (err) return reject(err);
+      resolve(Object.assign({output: String(stderr)}, JSON.parse(stdout)));
+    });
+    child.stdin.end(input);
+  });
+};
+
+describe('Prompt', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  it('asks for every missing var, describing declared variables', async () => {
+    let manifest = {
+      variables: [
+        {name: 'NAME', description: 'Project name', required: true},
+        {name: 'DB', values: ['postgres', 'mysql'], default: 'postgres'},
+        {name: 'GIVEN'}
+      ]
+    };
+    let result = await askVars(manifest, ['NAME', 'DB', 'GIVEN', 'OTHER'], {GIVEN: 'given'}, 'demo\nmysql\nother\n');
+
+    assert.deepStrictEqual(result.result, {NAME: 'demo', DB: 'mysql', GIVEN: 'given', OTHER: 'other'});
+    assert.strictEqual(result.output, 'NAME (Project name): DB {postgres|mysql} [postgres]: OTHER: ');
+  });
+
+  it('asks again until the answer is valid', async () => {
+    let manifest = {variables: [{name: 'NAME', required: true}, {name: 'PORT', type: 'number'}, {name: 'CI', type: 'boolean'}]};
+    let result = await askVars(manifest, ['NAME', 'PORT', 'CI'], {}, '\ndemo\nmany\n80\ny\n');
+
+    assert.deepStrictEqual(result.result, {NAME: 'demo', PORT: '80', CI: 'true'});
+    assert.strictEqual(result.output, [
+      'NAME: ',
+      '  A value for NAME is required\n',
+      'NAME: PORT: ',
+      '  Variable "PORT" must be a number, got "many"\n',
+      'PORT: CI: '
+    ].join(''));
+  });
+
+  it('leaves optional variables and defaults to the manifest when nothing is answered', async () => {
+    let manifest = {variables: [{name: 'OPTIONAL'}, {name: 'DB', default: 'postgres'}]};
+    let result = await askVars(manifest, ['OPTIONAL', 'DB'], {}, '\n\n');
+    assert.deepStrictEqual(result.result, {});
+  });
+
+  it('fails when the input closes before every question is answered', async () => {
+    let result = await askVars({}, ['NAME', 'OTHER'], {}, 'demo\n');
+    assert.strictEqual(result.error, 'Input closed before all questions were answered');
+  });
+
+  it('never asks when stdin is not a terminal, listing the missing vars instead', async () => {
+    let templateDir = path.join(work, 'template');
+    await writeFiles(templateDir, {'README.md': '# {{NAME}}\n', 'docs/{{SECTION}}.md': '{{NAME}}\n'});
+
+    let result = await uff(['run', templateDir, `--dest=${path.join(work, 'out')}`, '--json'], {home});
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(JSON.parse(result.stdout).error, [
+      'Unable to find matching var for pattern(s):',
+      `  - {{NAME}} (README.md, ${path.join('docs', '{{SECTION}}.md')})`,
+      `  - {{SECTION}} (${path.join('docs', '{{SECTION}}.md')})`
+    ].join('\n'));
+  });
+});
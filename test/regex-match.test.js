@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const RegexMatch = require('../lib/transforms/regex-match.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+/**
+ * Streams chunks through a regex transform, the way a file is transformed
+ *
+ * @param {Buffer[]|string[]} chunks Chunks of the file
+ * @param {Object} vars Vars to replace the placeholders with
+ * @param {Object} [opts] Options of the arguments, EX: {pattern: '<%\\w+%>'}
+ *
+ * @return {Object} Object in the form {output, error}, where output is everything the
+ * transform output
+ */
+const stream = (chunks, vars, opts = {}) => {
+  let matcher = new RegexMatch({opts, vars});
+  let outputs = [];
+  let error = null;
+  let push = (e, output) => {
+    if (e) error = e;
+    if (output) outputs.push(output);
+  };
+
+  chunks.forEach((chunk) => matcher.transform(Buffer.from(chunk), 'buffer', push));
+  matcher.flush(push);
+  return {output: Buffer.concat(outputs).toString(), error};
+};
+
+/**
+ * Splits a string into chunks of the given size, in bytes
+ *
+ * @param {string} str String to split
+ * @param {number} size Size of each chunk
+ *
+ * @return {Buffer[]} The chunks
+ */
+const split = (str, size) => {
+  let buffer = Buffer.from(str);
+  let chunks = [];
+  for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+  return chunks;
+};
+
+describe('RegexMatch', () => {
+  it('replaces placeholders split across chunks, wherever they are split', () => {
+    let text = 'Hello {{NAME}}, from {{PLACE}} é\\{{NAME}}\n';
+    for (let size = 1; size <= text.length; size++) {
+      let result = stream(split(text, size), {NAME: 'demo', PLACE: 'home'});
+      assert.ifError(result.error);
+      assert.strictEqual(result.output, 'Hello demo, from home é{{NAME}}\n', `Chunks of ${size} bytes`);
+    }
+  });
+
+  it('holds back no more than MAX_PLACEHOLDER_LENGTH characters between chunks', () => {
+    let matcher = new RegexMatch({opts: {}, vars: {NAME: 'demo'}});
+    let output = '';
+    let push = (e, chunk) => output += chunk ? chunk.toString() : '';
+
+    matcher.transform(Buffer.from('{{NAME}}' + 'a'.repeat(RegexMatch.MAX_PLACEHOLDER_LENGTH - 8)), 'buffer', push);
+    assert.strictEqual(output, '');
+    matcher.transform(Buffer.from('a'.repeat(100)), 'buffer', push);
+    assert.strictEqual(output, 'demo' + 'a'.repeat(100 - 8));
+    assert.strictEqual(matcher.pending.length, RegexMatch.MAX_PLACEHOLDER_LENGTH);
+  });
+
+  it('finds placeholders as long as MAX_PLACEHOLDER_LENGTH, one character at a time', () => {
+    let placeholder = `<${'A'.repeat(RegexMatch.MAX_PLACEHOLDER_LENGTH - 2)}>`;
+    let result = stream(split(`before ${placeholder} after`, 1), {'<A+>': 'long'}, {pattern: '<[A-Z]+>'});
+    assert.ifError(result.error);
+    assert.strictEqual(result.output, 'before long after');
+  });
+
+  it('fails on placeholders without a matching var, unless they are left', () => {
+    let text = '{{NAME}} {{MISSING}} {{OTHER}} {{MISSING}}';
+    let result = stream(split(text, 3), {NAME: 'demo'});
+    assert.strictEqual(result.error.message, 'Unable to find matching var for pattern(s): {{MISSING}}, {{OTHER}}');
+
+    let matcher = new RegexMatch({opts: {}, vars: {NAME: 'demo'}, unknownPolicy: 'warn'});
+    assert.strictEqual(matcher.replace(text), 'demo {{MISSING}} {{OTHER}} {{MISSING}}');
+  });
+
+  describe('files', () => {
+    let home;
+    let work;
+
+    before(async () => {
+      home = await makeTempDir();
+      work = await makeTempDir();
+    });
+
+    after(async () => {
+      await FileUtil.removeDir(home);
+      await FileUtil.removeDir(work);
+    });
+
+    it('replaces placeholders of files larger than a single chunk', async () => {
+      // Read streams use chunks of 64 KiB, so the first placeholder is split between the first two
+      let filler = 'x'.repeat(64 * 1024 - 4);
+      await writeFiles(path.join(work, 'template'), {'big.txt': `${filler}{{NAME}}\n${filler}{{NAME}}\n`});
+
+      let dest = path.join(work, 'out');
+      let argv = ['run', path.join(work, 'template'), 'NAME=demo', `--dest=${dest}`, '--no-interactive', '--no-answers',
+        '--no-lockfile', '-q'];
+      let result = await uff(argv, {home});
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual((await readFiles(dest))['big.txt'], `${filler}demo\n${filler}demo\n`);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('run', () => {
+  let home;
+  let work;
+  let templateDir;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+    templateDir = path.join(work, 'template');
+    await writeFiles(templateDir, {
+      'uff.json': JSON.stringify({name: 'run-demo', variables: [{name: 'NAME', required: true}]}),
+      'README.md': '# {{NAME}}\n',
+      'foo': 'generated\n'
+    });
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Generates the template into a directory of the work directory, using the JSON reporter
+   *
+   * @param {string} dest Relative path of the destination
+   * @param {string[]} [extra] Any other arguments
+   * @param {string} [runHome] User level directory to use instead of the shared one
+   *
+   * @return {Promise} Resolves with {code, report, files}, where files are the files of the
+   * destination afterwards
+   */
+  const run = async (dest, extra = [], runHome = home) => {
+    let destDir = path.join(work, dest);
+    let argv = ['run', templateDir, 'NAME=demo', `--dest=${destDir}`, '--no-interactive', '--json'].concat(extra);
+    let result = await uff(argv, {home: runHome});
+    let files = await FileUtil.exists(destDir) ? await readFiles(destDir) : {};
+    return {code: result.code, report: JSON.parse(result.stdout), files};
+  };
+
+  describe('on conflict', () => {
+    for (let policy of ['overwrite', 'skip', 'backup', 'fail']) {
+      it(`never replaces a directory with a file with --on-conflict=${policy}`, async () => {
+        let dest = `directory-${policy}`;
+        await writeFiles(path.join(work, dest), {'foo/keep.txt': 'kept\n'});
+
+        let result = await run(dest, [`--on-conflict=${policy}`]);
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.report.error,
+            'Unable to create file "foo", a directory already exists at the destination');
+        assert.deepStrictEqual(result.files, {'foo/keep.txt': 'kept\n'});
+      });
+    }
+  });
+
+  describe('generated content kept for updates', () => {
+    it('is kept under the hash of every generated text file', async () => {
+      let runHome = await makeTempDir();
+      let result = await run('kept', [], runHome);
+      assert.strictEqual(result.code, 0, result.report.error);
+
+      let lock = JSON.parse(result.files['.uff-lock.json']);
+      let expected = {};
+      Object.keys(lock.files).forEach((relative) => {
+        let hash = lock.files[relative];
+        expected[`${hash.slice(0, 2)}/${hash.slice(2)}`] = result.files[relative];
+      });
+      assert.deepStrictEqual(await readFiles(path.join(runHome, 'bases')), expected);
+      await FileUtil.removeDir(runHome);
+    });
+
+    it('is not kept without a lockfile', async () => {
+      let runHome = await makeTempDir();
+      let result = await run('no-lockfile', ['--no-lockfile'], runHome);
+      assert.strictEqual(result.code, 0, result.report.error);
+      assert.strictEqual(result.files['.uff-lock.json'], undefined);
+      assert.strictEqual(await FileUtil.exists(path.join(runHome, 'bases')), false);
+      await FileUtil.removeDir(runHome);
+    });
+
+    it('is not kept when the existing lockfile is kept', async () => {
+      let runHome = await makeTempDir();
+      await writeFiles(path.join(work, 'skipped-lockfile'), {'.uff-lock.json': '{}\n'});
+
+      let result = await run('skipped-lockfile', ['--on-conflict=skip'], runHome);
+      assert.strictEqual(result.code, 0, result.report.error);
+      assert.strictEqual(result.files['.uff-lock.json'], '{}\n');
+      assert.strictEqual(await FileUtil.exists(path.join(runHome, 'bases')), false);
+      await FileUtil.removeDir(runHome);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('test action', () => {
+  let home;
+  let templateDir;
+
+  before(async () => {
+    home = await makeTempDir();
+    templateDir = await makeTempDir();
+    await writeFiles(templateDir, {
+      'uff.json': JSON.stringify({
+        name: 'snapshots',
+        variables: [{name: 'NAME', required: true}],
+        fixtures: {default: {NAME: 'demo'}, other: {NAME: 'other'}}
+      }),
+      'README.md': '# {{NAME}}\n',
+      'src/index.js': 'module.exports = \'{{NAME}}\';\n'
+    });
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(templateDir);
+  });
+
+  /**
+   * Tests the template, using the JSON reporter
+   *
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report}, where the fixtures of the report are
+   * keyed by name
+   */
+  const test = async (extra = []) => {
+    let result = await uff(['test', templateDir, '--json'].concat(extra), {home});
+    let report = JSON.parse(result.stdout);
+    let fixtures = {};
+    report.fixtures.forEach((fixture) => fixtures[fixture.name] = fixture);
+    return {code: result.code, report, fixtures};
+  };
+
+  it('fails while there are no snapshots', async () => {
+    let result = await test();
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.fixtures.default.status, 'failed');
+    assert.match(result.fixtures.default.error, /No snapshot exists yet/);
+  });
+
+  it('writes a snapshot of every fixture with --update-snapshots', async () => {
+    let result = await test(['--update-snapshots']);
+    assert.strictEqual(result.code, 0);
+    assert.deepStrictEqual(Object.keys(result.fixtures).sort(), ['default', 'other']);
+    assert.strictEqual(result.fixtures.default.status, 'updated');
+
+    // The lockfile is never part of a snapshot
+    assert.deepStrictEqual(await readFiles(path.join(templateDir, '__snapshots__', 'other')), {
+      'README.md': '# other\n',
+      'src/index.js': 'module.exports = \'other\';\n'
+    });
+  });
+
+  it('passes while the output matches the snapshots', async () => {
+    let result = await test();
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(result.report.status, 'ok');
+    assert.strictEqual(result.fixtures.default.status, 'passed');
+    assert.strictEqual(result.fixtures.other.status, 'passed');
+  });
+
+  it('fails with a diff of every file that differs, and lists added and missing files', async () => {
+    await writeFiles(templateDir, {'README.md': '# {{NAME}}!\n', 'LICENSE': 'MIT\n'});
+    await FileUtil.removeDir(path.join(templateDir, 'src'));
+
+    let result = await test(['--fixture=other']);
+    assert.strictEqual(result.code, 1);
+    assert.deepStrictEqual(Object.keys(result.fixtures), ['other']);
+    assert.deepStrictEqual(result.fixtures.other.files, [
+      {path: 'LICENSE', status: 'added', diff: null},
+      {
+        path: 'README.md',
+        status: 'changed',
+        diff: '--- snapshot/README.md\n+++ output/README.md\n@@ -1,1 +1,1 @@\n-# other\n+# other!\n'
+      },
+      {path: 'src/index.js', status: 'missing', diff: null}
+    ]);
+  });
+
+  it('only updates the requested fixtures', async () => {
+    let updated = await test(['--update-snapshots', '--fixture=default']);
+    assert.strictEqual(updated.code, 0);
+    assert.deepStrictEqual(Object.keys(updated.fixtures), ['default']);
+
+    let result = await test();
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(result.fixtures.default.status, 'passed');
+    assert.strictEqual(result.fixtures.other.status, 'failed');
+  });
+
+  it('keeps none of the generated content for updates', async () => {
+    assert.strictEqual(await FileUtil.exists(path.join(home, 'bases')), false);
+  });
+});
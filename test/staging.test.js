@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, beforeEach, afterEach} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const Logger = require('../lib/utils/logger.js');
+const Staging = require('../lib/utils/staging.js');
+const {makeTempDir, writeFiles, readFiles} = require('./helpers.js');
+
+describe('Staging', () => {
+  let dest;
+  let logger;
+  let staging;
+
+  beforeEach(async () => {
+    dest = await makeTempDir();
+    logger = new Logger({reporter: Logger.REPORTERS.JSON});
+    staging = await Staging.create(logger);
+  });
+
+  afterEach(async () => {
+    await staging.cleanup();
+    await FileUtil.removeDir(dest);
+  });
+
+  /**
+   * Stages files
+   *
+   * @param {Object} files Map of relative paths to contents, see `writeFiles`
+   *
+   * @return {Promise} Resolves with an array of {staged, dest} objects, as taken by `commit`
+   */
+  const stage = async (files) => {
+    await writeFiles(staging.filesDir, files);
+    return Object.keys(files).map((relative) => {
+      return {staged: staging.getPath(relative), dest: path.join(dest, relative)};
+    });
+  };
+
+  it('moves the staged files into place, replacing existing files', async () => {
+    await writeFiles(dest, {'existing.txt': 'old\n', 'other.txt': 'other\n'});
+    let files = await stage({'existing.txt': 'new\n', 'nested/dir/created.txt': 'created\n'});
+
+    await staging.commit(files);
+    assert.deepStrictEqual(await readFiles(dest), {
+      'existing.txt': 'new\n',
+      'nested/dir/created.txt': 'created\n',
+      'other.txt': 'other\n'
+    });
+    assert.deepStrictEqual(logger.messages, []);
+  });
+
+  it('restores the destination when a file can not be moved', async () => {
+    await writeFiles(dest, {'existing.txt': 'old\n', 'nested/kept.txt': 'kept\n'});
+    let files = await stage({'existing.txt': 'new\n', 'nested/dir/created.txt': 'created\n'});
+    files.push({staged: staging.getPath('missing.txt'), dest: path.join(dest, 'missing.txt')});
+
+    await assert.rejects(staging.commit(files), {code: 'ENOENT'});
+    assert.deepStrictEqual(await readFiles(dest), {'existing.txt': 'old\n', 'nested/kept.txt': 'kept\n'});
+    assert.strictEqual(await FileUtil.exists(path.join(dest, 'nested', 'dir')), false);
+    assert.deepStrictEqual(logger.messages, []);
+  });
+
+  it('reports files that can not be restored to the logger', async () => {
+    let saved = path.join(staging.rollbackDir, '0');
+    await staging.rollback([{dest: path.join(dest, 'lost.txt'), saved}], []);
+
+    assert.strictEqual(logger.messages.length, 1);
+    assert.strictEqual(logger.messages[0].level, 'error');
+    assert.match(logger.messages[0].message, /^Unable to restore ".*lost\.txt": /);
+  });
+});
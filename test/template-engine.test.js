@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+const TemplateEngine = require('../lib/transforms/template-engine.js');
+
+/**
+ * Renders a template string
+ *
+ * @param {string} str Template string
+ * @param {Object} vars Vars to render with
+ * @param {string} [unknownPolicy] Unknown placeholder policy, see `Args.unknownPolicy`
+ *
+ * @return {string} The rendered string
+ */
+const render = (str, vars, unknownPolicy) => new TemplateEngine({vars, unknownPolicy}).replace(str);
+
+describe('TemplateEngine', () => {
+  describe('vars', () => {
+    it('replaces tags with their var, ignoring spaces within the tag', () => {
+      assert.strictEqual(render('Hello {{NAME}} and {{ NAME }}!', {NAME: 'world'}), 'Hello world and world!');
+    });
+
+    it('applies filters from left to right', () => {
+      let vars = {NAME: 'myProject-name'};
+      assert.strictEqual(render('{{NAME|kebab}}', vars), 'my-project-name');
+      assert.strictEqual(render('{{NAME|snake}}', vars), 'my_project_name');
+      assert.strictEqual(render('{{NAME|constant}}', vars), 'MY_PROJECT_NAME');
+      assert.strictEqual(render('{{NAME|camel}}', vars), 'myProjectName');
+      assert.strictEqual(render('{{NAME|pascal}}', vars), 'MyProjectName');
+      assert.strictEqual(render('{{NAME|title}}', vars), 'My Project Name');
+      assert.strictEqual(render('{{NAME|pascal|upper}}', vars), 'MYPROJECTNAME');
+      assert.strictEqual(render('{{PAD|trim|lower}}', {PAD: '  Mixed  '}), 'mixed');
+    });
+
+    it('fails on missing vars, with the line of the tag', () => {
+      assert.throws(() => render('first\n{{MISSING}}\n', {}), {
+        message: 'Unable to find matching var for "{{MISSING}}" on line 2'
+      });
+    });
+
+    it('outputs missing vars as they are when unknown placeholders are left', () => {
+      assert.strictEqual(render('{{MISSING|upper}} {{> partial}}', {}, 'leave'), '{{MISSING|upper}} {{> partial}}');
+    });
+
+    it('never finds members of Object.prototype', () => {
+      assert.throws(() => render('{{constructor}}', {}), {
+        message: 'Unable to find matching var for "{{constructor}}" on line 1'
+      });
+      assert.strictEqual(render('{{__proto__}}', {}, 'leave'), '{{__proto__}}');
+      assert.strictEqual(render('{{#if toString}}yes{{else}}no{{/if}}', {}), 'no');
+      assert.throws(() => render('{{NAME|constructor}}', {NAME: 'demo'}), {
+        message: 'Unknown filter "constructor" on line 1'
+      });
+      assert.strictEqual(render('{{#each ITEMS}}{{this.constructor}}{{/each}}', {ITEMS: '[{}]'}, 'leave'),
+          '{{this.constructor}}');
+    });
+
+    it('outputs escaped tags without the backslash', () => {
+      assert.strictEqual(render('\\{{NAME}} is {{NAME}}', {NAME: 'demo'}), '{{NAME}} is demo');
+    });
+  });
+
+  describe('conditionals', () => {
+    it('renders the if or else branch by the truthiness of the var', () => {
+      let str = '{{#if FLAG}}on{{else}}off{{/if}}';
+      assert.strictEqual(render(str, {FLAG: 'yes'}), 'on');
+      assert.strictEqual(render(str, {FLAG: true}), 'on');
+      for (let value of ['', 'false', 'no', 'n', '0', false]) {
+        assert.strictEqual(render(str, {FLAG: value}), 'off', `"${value}" should be false`);
+      }
+      assert.strictEqual(render(str, {}), 'off');
+    });
+
+    it('renders unless blocks when the var is false', () => {
+      assert.strictEqual(render('{{#unless FLAG}}shown{{/unless}}', {FLAG: 'no'}), 'shown');
+      assert.strictEqual(render('{{#unless FLAG}}shown{{/unless}}', {FLAG: 'yes'}), '');
+    });
+
+    it('nests blocks', () => {
+      let str = '{{#if A}}a{{#if B}}b{{else}}!b{{/if}}{{/if}}';
+      assert.strictEqual(render(str, {A: 'y', B: 'n'}), 'a!b');
+    });
+
+    it('fails on unbalanced blocks', () => {
+      assert.throws(() => render('{{#if A}}\nopen', {A: 'y'}), {message: 'Unclosed {{#if}} from line 1'});
+      assert.throws(() => render('{{#if A}}\n{{/each}}', {A: 'y'}), /^Error: Unexpected {{\/each}} on line 2/);
+      assert.throws(() => render('{{else}}', {}), {message: 'Unexpected {{else}} on line 1'});
+    });
+  });
+
+  describe('loops', () => {
+    it('loops over comma separated and JSON array vars', () => {
+      let str = '{{#each ITEMS}}[{{this}}]{{/each}}';
+      assert.strictEqual(render(str, {ITEMS: 'a, b,,c'}), '[a][b][c]');
+      assert.strictEqual(render(str, {ITEMS: '["a, b", "c"]'}), '[a, b][c]');
+      assert.strictEqual(render(str, {ITEMS: ['x', 'y']}), '[x][y]');
+    });
+
+    it('describes the position of each item', () => {
+      let str = '{{#each ITEMS}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+      assert.strictEqual(render(str, {ITEMS: 'a,b,c'}), '0:a, 1:b, 2:c');
+      assert.strictEqual(render('{{#each ITEMS}}{{#if @first}}first {{/if}}{{this}}{{/each}}', {ITEMS: 'a'}),
+          'first a');
+    });
+
+    it('outputs the properties of object items', () => {
+      let str = '{{#each DEPS}}{{this.name}}@{{this.version}};{{/each}}';
+      let deps = JSON.stringify([{name: 'a', version: '1'}, {name: 'b', version: '2'}]);
+      assert.strictEqual(render(str, {DEPS: deps}), 'a@1;b@2;');
+    });
+
+    it('renders the else branch of empty lists', () => {
+      let str = '{{#each ITEMS}}{{this}}{{else}}none{{/each}}';
+      assert.strictEqual(render(str, {ITEMS: ''}), 'none');
+      assert.strictEqual(render(str, {}), 'none');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const ProcessUtil = require('../lib/utils/process-util.js');
+const {makeTempDir, writeFiles, readFiles, uff, git} = require('./helpers.js');
+
+/**
+ * Files of a small template, whose readme shows the version it was generated from
+ *
+ * @param {string} version Version of the template
+ *
+ * @return {Object} Map of relative paths to contents
+ */
+const templateFiles = (version) => {
+  return {
+    'uff.json': JSON.stringify({name: 'source-demo', version, variables: [{name: 'NAME', required: true}]}),
+    'README.md': `# {{NAME}}\n\nGenerated from ${version}\n`
+  };
+};
+
+describe('template sources', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Generates a template into a new directory within the work directory
+   *
+   * @param {string} source Template source
+   * @param {string} dest Relative path of the destination
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, stdout, stderr, files, lock}, where files are
+   * the generated files and lock the parsed lockfile, if any
+   */
+  const generate = async (source, dest, extra = []) => {
+    let argv = ['run', source, 'NAME=demo', `--dest=${dest}`, '--no-interactive', '-q'].concat(extra);
+    let result = await uff(argv, {home, cwd: work});
+    let destDir = path.join(work, dest);
+    if (await FileUtil.exists(destDir)) {
+      result.files = await readFiles(destDir);
+      result.lock = result.files['.uff-lock.json'] ? JSON.parse(result.files['.uff-lock.json']) : null;
+    }
+    return result;
+  };
+
+  describe('local', () => {
+    it('generates a template from a relative path, and locks its full path', async () => {
+      await writeFiles(path.join(work, 'local-template'), templateFiles('1.0.0'));
+
+      let result = await generate('./local-template', 'local-out');
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(result.files['README.md'], '# demo\n\nGenerated from 1.0.0\n');
+      assert.strictEqual(result.files['uff.json'], undefined);
+      assert.strictEqual(result.lock.template.source, path.join(work, 'local-template'));
+      assert.strictEqual(result.lock.template.version, '1.0.0');
+    });
+
+    it('fails when the directory does not exist', async () => {
+      let result = await generate('./missing-template', 'missing-out');
+      assert.strictEqual(result.code, 1);
+      assert.strictEqual(await FileUtil.exists(path.join(work, 'missing-out')), false);
+    });
+  });
+
+  describe('git', () => {
+    let repo;
+    let tagged;
+
+    before(async () => {
+      // A working copy with a tagged first version, pushed to a local bare repository
+      let source = path.join(work, 'git-source');
+      await FileUtil.makeDir(source);
+      await git(source, 'init', '--quiet');
+      await writeFiles(source, templateFiles('1.0.0'));
+      await git(source, 'add', '--all');
+      await git(source, 'commit', '--quiet', '-m', 'First version');
+      await git(source, 'tag', 'v1');
+      tagged = await git(source, 'rev-parse', 'HEAD');
+      await writeFiles(source, templateFiles('2.0.0'));
+      await git(source, 'commit', '--quiet', '--all', '-m', 'Second version');
+
+      repo = path.join(work, 'template.git');
+      await git(work, 'clone', '--quiet', '--bare', source, repo);
+    });
+
+    it('checks out the requested ref, and locks the commit', async () => {
+      let result = await generate(`git+file://${repo}#v1`, 'git-tag-out');
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(result.files['README.md'], '# demo\n\nGenerated from 1.0.0\n');
+      assert.strictEqual(result.lock.template.source, `git+file://${repo}#v1`);
+      assert.strictEqual(result.lock.template.resolved, tagged);
+    });
+
+    it('uses the cached clone until refreshed', async () => {
+      let spec = `git+file://${repo}`;
+      let first = await generate(spec, 'git-head-out');
+      assert.strictEqual(first.code, 0, first.stderr);
+      assert.strictEqual(first.files['README.md'], '# demo\n\nGenerated from 2.0.0\n');
+
+      // Publish a third version to the bare repository
+      let source = path.join(work, 'git-source');
+      await writeFiles(source, templateFiles('3.0.0'));
+      await git(source, 'commit', '--quiet', '--all', '-m', 'Third version');
+      await git(source, 'push', '--quiet', repo, 'HEAD');
+
+      let cached = await generate(spec, 'git-cached-out');
+      assert.strictEqual(cached.files['README.md'], '# demo\n\nGenerated from 2.0.0\n');
+
+      let refreshed = await generate(spec, 'git-refreshed-out', ['--refresh']);
+      assert.strictEqual(refreshed.code, 0, refreshed.stderr);
+      assert.strictEqual(refreshed.files['README.md'], '# demo\n\nGenerated from 3.0.0\n');
+    });
+
+    it('never passes the location or ref to git as options', async () => {
+      let marker = path.join(work, 'injected');
+
+      let ref = await generate(`git+file://${repo}#--upload-pack=touch ${marker}`, 'git-ref-out');
+      assert.strictEqual(ref.code, 1);
+      assert.match(ref.stderr, /Invalid ref/);
+
+      let location = await generate(`git+--upload-pack=touch ${marker}`, 'git-location-out');
+      assert.strictEqual(location.code, 1);
+
+      assert.strictEqual(await FileUtil.exists(marker), false);
+    });
+  });
+
+  describe('npm', () => {
+    it('extracts a local tarball, and locks the package version', async () => {
+      // Packages keep their files in a single top level directory
+      let packageDir = path.join(work, 'npm-source', 'package');
+      await writeFiles(packageDir, Object.assign(templateFiles('1.2.3'), {
+        'package.json': JSON.stringify({name: 'source-demo-template', version: '1.2.3'})
+      }));
+      let tarball = path.join(work, 'source-demo-template-1.2.3.tgz');
+      await ProcessUtil.execFile('tar', ['-czf', tarball, '-C', path.dirname(packageDir), 'package']);
+
+      let result = await generate('./source-demo-template-1.2.3.tgz', 'npm-out');
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual(result.files['README.md'], '# demo\n\nGenerated from 1.2.3\n');
+      assert.strictEqual(result.files['package.json'], JSON.stringify({name: 'source-demo-template', version: '1.2.3'}));
+      assert.strictEqual(result.lock.template.resolved, '1.2.3');
+    });
+
+    it('keeps the permissions of the packaged files', async () => {
+      let packageDir = path.join(work, 'npm-modes', 'package');
+      await writeFiles(packageDir, Object.assign(templateFiles('1.0.0'), {
+        'package.json': JSON.stringify({name: 'modes-template', version: '1.0.0'}),
+        'bin/start.sh': '#!/bin/sh\necho {{NAME}}\n'
+      }));
+      await FileUtil.chmod(path.join(packageDir, 'bin', 'start.sh'), 0o755);
+      await FileUtil.chmod(path.join(packageDir, 'README.md'), 0o640);
+      let tarball = path.join(work, 'modes-template-1.0.0.tgz');
+      await ProcessUtil.execFile('tar', ['-czf', tarball, '-C', path.dirname(packageDir), 'package']);
+
+      let result = await generate('./modes-template-1.0.0.tgz', 'npm-modes-out');
+      assert.strictEqual(result.code, 0, result.stderr);
+      assert.strictEqual((await FileUtil.stat(path.join(work, 'npm-modes-out', 'bin', 'start.sh'))).mode & 0o777, 0o755);
+      assert.strictEqual((await FileUtil.stat(path.join(work, 'npm-modes-out', 'README.md'))).mode & 0o777, 0o640);
+    });
+  });
+});
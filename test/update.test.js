@@ -0,0 +1,220 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const {makeTempDir, writeFiles, readFiles, uff, git} = require('./helpers.js');
+
+/**
+ * Lines of a text file, numbered from 1
+ *
+ * @param {number} count Number of lines
+ * @param {Object} [changes] Map of line numbers to the text replacing them
+ *
+ * @return {string} The lines, each followed by a newline
+ */
+const lines = (count, changes = {}) => {
+  let result = [];
+  for (let i = 1; i <= count; i++) result.push(changes[i] !== undefined ? changes[i] : `line ${i}`);
+  return `${result.join('\n')}\n`;
+};
+
+describe('update', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  /**
+   * Creates a local template, and generates a project from it
+   *
+   * @param {string} name Name of the test, used for the directories
+   * @param {Object} files Files of the template, see `writeFiles`
+   *
+   * @return {Promise} Resolves with {templateDir, projectDir}
+   */
+  const setup = async (name, files) => {
+    let templateDir = path.join(work, `${name}-template`);
+    let projectDir = path.join(work, `${name}-project`);
+    await writeFiles(templateDir, Object.assign({'uff.json': JSON.stringify({name})}, files));
+
+    let result = await uff(['run', templateDir, 'NAME=demo', `--dest=${projectDir}`, '--no-interactive', '-q'], {home});
+    assert.strictEqual(result.code, 0, result.stderr);
+    return {templateDir, projectDir};
+  };
+
+  /**
+   * Updates a project, using the JSON reporter
+   *
+   * @param {string} projectDir Full path of the project
+   * @param {string[]} [extra] Any other arguments
+   *
+   * @return {Promise} Resolves with {code, report, files}, where report maps the path of
+   * each file to its outcome, and files are the files of the project afterwards
+   */
+  const update = async (projectDir, extra = []) => {
+    let result = await uff(['update', `--dest=${projectDir}`, '--no-interactive', '--json'].concat(extra), {home});
+    let report = JSON.parse(result.stdout);
+    assert.strictEqual(result.code, 0, JSON.stringify(report.errors || report.error));
+
+    let outcomes = {};
+    report.files.forEach((file) => outcomes[file.path] = file.outcome);
+    return {code: result.code, report, outcomes, files: await readFiles(projectDir)};
+  };
+
+  it('merges changes made to both a local template and the project', async () => {
+    let {templateDir, projectDir} = await setup('merge', {'config.txt': lines(10)});
+
+    await writeFiles(projectDir, {'config.txt': lines(10, {2: 'local change'})});
+    await writeFiles(templateDir, {'config.txt': lines(10, {9: 'template change'})});
+
+    let result = await update(projectDir);
+    assert.strictEqual(result.outcomes['config.txt'], 'merged');
+    assert.strictEqual(result.files['config.txt'], lines(10, {2: 'local change', 9: 'template change'}));
+    assert.strictEqual(result.report.status, 'ok');
+  });
+
+  it('marks only the conflicting lines', async () => {
+    let {templateDir, projectDir} = await setup('markers', {'config.txt': lines(10)});
+
+    await writeFiles(projectDir, {'config.txt': lines(10, {5: 'local change'})});
+    await writeFiles(templateDir, {'config.txt': lines(10, {5: 'template change'})});
+
+    let result = await update(projectDir);
+    assert.strictEqual(result.outcomes['config.txt'], 'conflict');
+    assert.strictEqual(result.report.status, 'conflict');
+    assert.strictEqual(result.files['config.txt'], lines(10, {5: [
+      '<<<<<<< config.txt (local)',
+      'local change',
+      '=======',
+      'template change',
+      '>>>>>>> config.txt (template)'
+    ].join('\n')}));
+  });
+
+  it('keeps conflicting files and writes the template changes to .rej files with --merge=rej', async () => {
+    let {templateDir, projectDir} = await setup('rej', {'config.txt': lines(10)});
+
+    await writeFiles(projectDir, {'config.txt': lines(10, {5: 'local change'})});
+    await writeFiles(templateDir, {'config.txt': lines(10, {5: 'template change'})});
+
+    let result = await update(projectDir, ['--merge=rej']);
+    assert.strictEqual(result.outcomes['config.txt'], 'conflict');
+    assert.strictEqual(result.files['config.txt'], lines(10, {5: 'local change'}));
+    assert.match(result.files['config.txt.rej'], /^-line 5\n\+template change$/m);
+  });
+
+  it('updates, keeps, creates and removes files by what changed on each side', async () => {
+    let {templateDir, projectDir} = await setup('paths', {
+      'updated.txt': 'first\n',
+      'local.txt': 'first\n',
+      'removed.txt': 'first\n',
+      'removed-changed.txt': 'first\n'
+    });
+
+    await writeFiles(projectDir, {'local.txt': 'changed locally\n', 'removed-changed.txt': 'changed locally\n'});
+    await writeFiles(templateDir, {'updated.txt': 'second {{NAME}}\n', 'created.txt': 'new {{NAME}}\n'});
+    await FileUtil.unlink(path.join(templateDir, 'removed.txt'));
+    await FileUtil.unlink(path.join(templateDir, 'removed-changed.txt'));
+
+    let result = await update(projectDir);
+    assert.deepStrictEqual(result.outcomes, {
+      'created.txt': 'created',
+      'local.txt': 'unchanged',
+      'removed-changed.txt': 'kept',
+      'removed.txt': 'removed',
+      'updated.txt': 'updated'
+    });
+    assert.strictEqual(result.files['updated.txt'], 'second demo\n');
+    assert.strictEqual(result.files['created.txt'], 'new demo\n');
+    assert.strictEqual(result.files['local.txt'], 'changed locally\n');
+    assert.strictEqual(result.files['removed-changed.txt'], 'changed locally\n');
+    assert.strictEqual(result.files['removed.txt'], undefined);
+
+    // The new lockfile describes the new template version
+    let lock = JSON.parse(result.files['.uff-lock.json']);
+    assert.deepStrictEqual(Object.keys(lock.files).sort(), ['created.txt', 'local.txt', 'updated.txt']);
+  });
+
+  it('creates new links and empty directories, keeping anything else already there', async () => {
+    let {templateDir, projectDir} = await setup('others', {'config.txt': 'first\n'});
+
+    await FileUtil.symlink('config.txt', path.join(templateDir, 'latest.txt'));
+    await FileUtil.symlink('config.txt', path.join(templateDir, 'local.txt'));
+    await FileUtil.makeDir(path.join(templateDir, 'cache'));
+    await FileUtil.makeDir(path.join(templateDir, 'logs'));
+    await writeFiles(projectDir, {'local.txt': 'local\n', 'logs': 'local\n'});
+
+    let result = await update(projectDir);
+    assert.deepStrictEqual(result.outcomes, {
+      'cache': 'created',
+      'config.txt': 'unchanged',
+      'latest.txt': 'created',
+      'local.txt': 'kept',
+      'logs': 'kept'
+    });
+    assert.strictEqual(await FileUtil.readlink(path.join(projectDir, 'latest.txt')), 'config.txt');
+    assert.strictEqual((await FileUtil.lstat(path.join(projectDir, 'cache'))).isDirectory(), true);
+    assert.strictEqual(result.files['local.txt'], 'local\n');
+    assert.strictEqual(result.files['logs'], 'local\n');
+
+    // Nothing is left to do afterwards
+    result = await update(projectDir);
+    assert.strictEqual(result.outcomes['cache'], 'unchanged');
+    assert.strictEqual(result.outcomes['latest.txt'], 'unchanged');
+  });
+
+  it('creates new files named like members of Object.prototype', async () => {
+    let {templateDir, projectDir} = await setup('prototype', {'config.txt': 'first\n'});
+    await writeFiles(templateDir, {'constructor': 'new\n', 'toString': 'new\n'});
+
+    let result = await update(projectDir);
+    assert.strictEqual(result.outcomes['constructor'], 'created');
+    assert.strictEqual(result.outcomes['toString'], 'created');
+    assert.strictEqual(result.files['constructor'], 'new\n');
+  });
+
+  it('writes nothing with --dry-run', async () => {
+    let {templateDir, projectDir} = await setup('dry-run', {'config.txt': lines(3)});
+    await writeFiles(templateDir, {'config.txt': lines(3, {1: 'template change'})});
+    let before = await readFiles(projectDir);
+
+    let result = await update(projectDir, ['--dry-run']);
+    assert.strictEqual(result.outcomes['config.txt'], 'updated');
+    assert.deepStrictEqual(result.files, before);
+  });
+
+  it('generates the locked version of a git template when the generated content is not kept', async () => {
+    let source = path.join(work, 'git-source');
+    await FileUtil.makeDir(source);
+    await git(source, 'init', '--quiet');
+    await writeFiles(source, {'uff.json': JSON.stringify({name: 'git'}), 'config.txt': lines(10)});
+    await git(source, 'add', '--all');
+    await git(source, 'commit', '--quiet', '-m', 'First version');
+    let repo = path.join(work, 'git-template.git');
+    await git(work, 'clone', '--quiet', '--bare', source, repo);
+
+    let projectDir = path.join(work, 'git-project');
+    let run = await uff(['run', `git+file://${repo}`, `--dest=${projectDir}`, '--no-interactive', '-q'], {home});
+    assert.strictEqual(run.code, 0, run.stderr);
+
+    await writeFiles(projectDir, {'config.txt': lines(10, {2: 'local change'})});
+    await writeFiles(source, {'config.txt': lines(10, {9: 'template change'})});
+    await git(source, 'commit', '--quiet', '--all', '-m', 'Second version');
+    await git(source, 'push', '--quiet', repo, 'HEAD');
+    await FileUtil.removeDir(path.join(home, 'bases'));
+
+    let result = await update(projectDir);
+    assert.strictEqual(result.outcomes['config.txt'], 'merged');
+    assert.strictEqual(result.files['config.txt'], lines(10, {2: 'local change', 9: 'template change'}));
+  });
+});
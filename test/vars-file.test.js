@@ -0,0 +1,127 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {describe, it, before, after} = require('node:test');
+const FileUtil = require('../lib/utils/file-util.js');
+const VarsFile = require('../lib/utils/vars-file.js');
+const {makeTempDir, writeFiles, readFiles, uff} = require('./helpers.js');
+
+describe('VarsFile', () => {
+  let home;
+  let work;
+
+  before(async () => {
+    home = await makeTempDir();
+    work = await makeTempDir();
+  });
+
+  after(async () => {
+    await FileUtil.removeDir(home);
+    await FileUtil.removeDir(work);
+  });
+
+  describe('YAML', () => {
+    it('parses scalars, flow lists and block lists', () => {
+      let vars = VarsFile.parseYaml([
+        '---',
+        '# Comment',
+        'NAME: demo # trailing comment',
+        '"QUOTED": "a # b"',
+        'SINGLE: \'it\'\'s\'',
+        'EMPTY:',
+        'NULL: ~',
+        'FLOW: [a, b]',
+        'NONE: []',
+        'BLOCK:',
+        '  - one',
+        '  - "two"'
+      ].join('\n'));
+      assert.deepStrictEqual(vars, {
+        NAME: 'demo',
+        QUOTED: 'a # b',
+        SINGLE: 'it\'s',
+        EMPTY: null,
+        NULL: null,
+        FLOW: ['a', 'b'],
+        NONE: [],
+        BLOCK: ['one', 'two']
+      });
+    });
+
+    it('keeps commas within the quoted items of flow lists', () => {
+      let vars = VarsFile.parseYaml([
+        'DOUBLE: [a, "b, c", "d \\" e, f"]',
+        'SINGLE: [\'x, y\', \'it\'\'s, z\']'
+      ].join('\n'));
+      assert.deepStrictEqual(vars, {DOUBLE: ['a', 'b, c', 'd " e, f'], SINGLE: ['x, y', 'it\'s, z']});
+    });
+
+    it('fails on unsupported syntax, with the line', () => {
+      assert.throws(() => VarsFile.parseYaml('LIST: [a, "b]'), {message: 'Unterminated quote in list, on line 1'});
+      assert.throws(() => VarsFile.parseYaml('A: 1\nB: |'), {message: 'Block scalars are not supported, on line 2'});
+      assert.throws(() => VarsFile.parseYaml('A:\n  B: 1'), {message: 'Nested values are not supported, on line 2'});
+      assert.throws(() => VarsFile.parseYaml('not yaml'), {message: 'Invalid line 1: "not yaml"'});
+    });
+  });
+
+  describe('.env', () => {
+    it('parses comments, export prefixes and quoted values', () => {
+      let vars = VarsFile.parseEnv([
+        '# Comment',
+        'export NAME=demo # trailing comment',
+        'DOUBLE="a\\nb # c"',
+        'SINGLE=\'x\'',
+        'EMPTY='
+      ].join('\n'));
+      assert.deepStrictEqual(vars, {NAME: 'demo', DOUBLE: 'a\nb # c', SINGLE: 'x', EMPTY: ''});
+      assert.throws(() => VarsFile.parseEnv('NAME demo'), {message: 'Invalid line 1: "NAME demo"'});
+    });
+  });
+
+  describe('load', () => {
+    it('picks the format by the extension, converting values into strings', async () => {
+      await writeFiles(work, {
+        'vars.json': JSON.stringify({NAME: 'json', COUNT: 2, LIST: ['a'], SKIPPED: null}),
+        'vars.yml': '\uFEFFNAME: yaml\nLIST: [a, "b, c"]\n',
+        '.env.local': 'NAME=env\n'
+      });
+      assert.deepStrictEqual(await VarsFile.load(path.join(work, 'vars.json')),
+          {NAME: 'json', COUNT: '2', LIST: '["a"]'});
+      assert.deepStrictEqual(await VarsFile.load(path.join(work, 'vars.yml')), {NAME: 'yaml', LIST: '["a","b, c"]'});
+      assert.deepStrictEqual(await VarsFile.load(path.join(work, '.env.local')), {NAME: 'env'});
+    });
+
+    it('fails on unknown formats and anything but an object', async () => {
+      await writeFiles(work, {'vars.txt': 'NAME=txt\n', 'list.json': '[]'});
+      await assert.rejects(VarsFile.load(path.join(work, 'vars.txt')),
+          /^Error: Invalid vars file: Could not parse ".*vars\.txt": Unknown format/);
+      await assert.rejects(VarsFile.load(path.join(work, 'list.json')),
+          /^Error: Invalid vars file: Could not parse ".*list\.json": The file must contain an object of vars$/);
+      await assert.rejects(VarsFile.load(path.join(work, 'missing.json')),
+          /^Error: Invalid vars file: Could not read ".*missing\.json"/);
+    });
+  });
+
+  describe('generating', () => {
+    it('takes vars from the command line over vars files, and vars files over the environment', async () => {
+      let templateDir = path.join(work, 'template');
+      await writeFiles(templateDir, {
+        'uff.json': JSON.stringify({name: 'vars'}),
+        'vars.txt': '{{A}} {{B}} {{C}} {{D}}\n'
+      });
+      await writeFiles(work, {'first.yml': 'B: first\nC: first\n', 'second.env': 'C=second\n'});
+
+      let dest = path.join(work, 'out');
+      let argv = ['run', templateDir, 'D=cli', `--dest=${dest}`, '--no-interactive', '-q',
+        `--vars-file=${path.join(work, 'first.yml')}`, `--vars-file=${path.join(work, 'second.env')}`];
+      let env = {UFF_VAR_A: 'env', UFF_VAR_B: 'env', UFF_VAR_D: 'env'};
+      let result = await uff(argv, {home, env});
+      assert.strictEqual(result.code, 0, result.stderr);
+
+      let files = await readFiles(dest);
+      assert.strictEqual(files['vars.txt'], 'env first second cli\n');
+      assert.deepStrictEqual(JSON.parse(files[VarsFile.ANSWERS_FILENAME]), {A: 'env', B: 'first', C: 'second', D: 'cli'});
+    });
+  });
+});